@@ -1,11 +1,29 @@
 // Workshop Catalogue App
 class WorkshopCatalogue {
-    constructor() {
+    /**
+     * @param {Object} options - App options
+     * @param {Date} options.now - Pin the current time (e.g. in tests); defaults to the real clock
+     */
+    constructor(options = {}) {
+        this.now = options.now || null;
         this.data = null;
         this.filteredWorkshops = [];
         this.filters = this.getFiltersFromURL();
+        this.view = this.getViewFromURL();
+        this.route = this.getRouteFromURL();
         this.sortBy = 'date';
         this.icalGenerator = null;
+        this.searchIndex = null;
+        this.templates = null;
+        this.feeds = [];
+        this.calendarView = null;
+        this.seatProvider = null;
+        this.seatRefreshSeconds = 0;
+        this.seats = new Map();
+        this.seatsLoading = false;
+        this.mySchedule = new MySchedule(MySchedule.getBrowserStorage());
+        // Sessions from a shared ?schedule= link (read before updateURL() drops it)
+        this.sharedSchedule = MySchedule.fromParams(new URLSearchParams(window.location.search));
         
         this.init();
     }
@@ -13,13 +31,38 @@ class WorkshopCatalogue {
     async init() {
         try {
             await this.loadData();
-            this.icalGenerator = new ICalGenerator(this.data);
+            await this.loadFeeds();
+            await this.loadSeatProvider();
+            this.searchIndex = new SearchIndex(this.data);
+            this.icalGenerator = new ICalGenerator(this.data, { now: this.now });
+            this.templates = new CatalogueTemplates(this.data, {
+                icalGenerator: this.icalGenerator,
+                now: () => this.getNow(),
+                getSearchMatches: workshop => this.getSearchMatches(workshop),
+                cataloguePath: this.getCataloguePath(),
+                getSeats: offering => this.seats.get(offering.id)
+            });
+            this.structuredData = new StructuredData(this.data, {
+                baseUrl: new URL(this.getCataloguePath(), window.location.href).toString(),
+                now: () => this.getNow(),
+                getSeats: offering => this.seats.get(offering.id)
+            });
+            this.calendarView = new CalendarView(document.getElementById('calendarView'), {
+                onSelect: (workshopId) => this.openWorkshop(workshopId),
+                now: () => this.getNow()
+            });
             this.setupEventListeners();
             this.populateFilters();
             this.filterAndDisplayWorkshops();
+            this.renderRoute();
+            this.updateMySchedule();
+            if (this.sharedSchedule.length > 0) {
+                bootstrap.Offcanvas.getOrCreateInstance(document.getElementById('mySchedule')).show();
+            }
+            this.startSeatUpdates();
         } catch (error) {
             console.error('Error initializing app:', error);
-            this.showError('Failed to load workshop data <i class="bi bi-emoji-dizzy"></i>');
+            this.showError(html`Failed to load workshop data <i class="bi bi-emoji-dizzy"></i>`);
         }
     }
 
@@ -29,6 +72,95 @@ class WorkshopCatalogue {
         this.data = await response.json();
     }
 
+    /**
+     * Load the index of published calendar feeds (generated by scripts/generate-ics.js).
+     * The app still works without it, but can only offer one-time downloads.
+     */
+    async loadFeeds() {
+        try {
+            const response = await fetch('calendars/index.json');
+            if (!response.ok) throw new Error('Failed to fetch calendar feed index');
+            this.feeds = (await response.json()).feeds || [];
+        } catch (error) {
+            console.warn('Calendar feeds unavailable:', error);
+            this.feeds = [];
+        }
+    }
+
+    /**
+     * Set up live seat counts as configured in assets/data/seats.config.json.
+     * Without a provider (or the config) sessions show their static capacity.
+     */
+    async loadSeatProvider() {
+        try {
+            const response = await fetch('assets/data/seats.config.json');
+            if (!response.ok) throw new Error('Failed to fetch seat provider config');
+            const config = await response.json();
+            this.seatProvider = SeatProvider.create(config.provider);
+            this.seatRefreshSeconds = config.refreshSeconds || 0;
+        } catch (error) {
+            console.warn('Live seat counts unavailable:', error);
+            this.seatProvider = null;
+        }
+    }
+
+    /**
+     * Fetch seat counts now and then every `refreshSeconds` while the page is
+     * visible, skipping a tick while the last fetch is still running
+     */
+    startSeatUpdates() {
+        if (!this.seatProvider) return;
+
+        this.refreshSeats();
+        if (this.seatRefreshSeconds > 0) {
+            setInterval(() => {
+                if (!document.hidden && !this.seatsLoading) this.refreshSeats();
+            }, this.seatRefreshSeconds * 1000);
+        }
+    }
+
+    /**
+     * Ask the seat provider how many seats the open sessions have left and
+     * redraw the sessions whose count changed. If it can't be reached, the
+     * sessions go back to their static capacity until it answers again.
+     */
+    async refreshSeats() {
+        const now = this.getNow();
+        const offerings = this.data.offerings.filter(offering =>
+            !OfferingSchedule.isCancelled(offering) && OfferingSchedule.getStatus(offering, now) !== OfferingSchedule.PAST
+        );
+        let seats;
+
+        this.seatsLoading = true;
+        try {
+            seats = await this.seatProvider.fetchSeats(offerings);
+        } catch (error) {
+            console.warn('Live seat counts unavailable:', error);
+            seats = new Map();
+        } finally {
+            this.seatsLoading = false;
+        }
+
+        const changed = offerings.filter(offering => seats.get(offering.id) !== this.seats.get(offering.id));
+        this.seats = seats;
+        this.updateOfferingItems(changed);
+        // Offer availability follows the seats left too
+        if (changed.length && this.structuredWorkshops) this.updateStructuredData(this.structuredWorkshops);
+    }
+
+    /**
+     * Redraw some sessions wherever they are on screen (cards and detail pages)
+     * @param {Array} offerings - Offering objects
+     */
+    updateOfferingItems(offerings) {
+        offerings.forEach(offering => {
+            document.querySelectorAll(`[data-offering="${CSS.escape(offering.id)}"]`).forEach(item => {
+                item.outerHTML = this.templates.createOfferingItem(offering);
+            });
+        });
+        if (offerings.length > 0) this.syncStars();
+    }
+
     setupEventListeners() {
         // Search input
         document.getElementById('searchInput').addEventListener('input', (e) => {
@@ -36,11 +168,40 @@ class WorkshopCatalogue {
             this.filterAndDisplayWorkshops();
         });
 
-        // Filter dropdowns
-        ['areaFilter', 'audienceFilter', 'formatFilter', 'departmentFilter', 'instructorFilter'].forEach(id => {
+        // Facet dropdowns: checkboxes for values, radios for any/all
+        Object.keys(WorkshopFilter.FACETS).forEach(facet => {
+            document.getElementById(`${facet}Filter`).addEventListener('change', (e) => {
+                const menu = e.currentTarget;
+                if (e.target.type === 'radio') {
+                    this.filters[`${facet}_mode`] = e.target.value === WorkshopFilter.AND ? WorkshopFilter.AND : '';
+                } else {
+                    this.filters[facet] = [...menu.querySelectorAll('input[type="checkbox"]:checked')].map(input => input.value);
+                }
+                this.updateFacetToggle(facet);
+                this.filterAndDisplayWorkshops();
+            });
+        });
+
+        // Session filters: quarter, day of week and time of day lists, date range
+        WorkshopFilter.WHEN_LISTS.forEach(key => {
+            document.getElementById(`${key}Filter`).addEventListener('change', (e) => {
+                this.filters[key] = [...e.currentTarget.querySelectorAll('input:checked')].map(input => input.value);
+                if (key === 'quarter') this.updateFacetToggle(key);
+                this.filterAndDisplayWorkshops();
+            });
+        });
+        WorkshopFilter.WHEN_DATES.forEach(key => {
+            document.getElementById(`${key}Filter`).addEventListener('change', (e) => {
+                this.filters[key] = e.target.value;
+                this.filterAndDisplayWorkshops();
+            });
+        });
+
+        // Session status toggles
+        ['upcomingFilter', 'archivedFilter'].forEach(id => {
             document.getElementById(id).addEventListener('change', (e) => {
                 const filterKey = id.replace('Filter', '');
-                this.filters[filterKey] = e.target.value;
+                this.filters[filterKey] = e.target.checked ? '1' : '';
                 this.filterAndDisplayWorkshops();
             });
         });
@@ -56,92 +217,312 @@ class WorkshopCatalogue {
             this.filterAndDisplayWorkshops();
         });
 
+        // View switcher (cards, month, week)
+        document.querySelectorAll('[data-view]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.view = button.dataset.view;
+                this.filterAndDisplayWorkshops();
+            });
+        });
+
         // Calendar subscription button
         document.getElementById('subscribeCalendar').addEventListener('click', () => {
             this.subscribeToCalendar();
         });
 
-        document.getElementById('workshopList').addEventListener('click', (e) => {
-            if (e.target.dataset.instructor) {
-                const instructorFilter = document.getElementById('instructorFilter');
-                instructorFilter.value = e.target.dataset.instructor;
-                instructorFilter.dispatchEvent(new Event('change'));
-            } else if (e.target.dataset.format) {
-                const formatFilter = document.getElementById('formatFilter');
-                formatFilter.value = e.target.dataset.format;
-                formatFilter.dispatchEvent(new Event('change'));
-            } else if (e.target.dataset.tag) {
-                const searchInput = document.getElementById('searchInput');
-                searchInput.value = e.target.dataset.tag;
-                searchInput.dispatchEvent(new Event('input'));
-            } else if (e.target.classList.contains('toggle-description')) {
-                const descriptionEl = e.target.parentElement;
-                const isExpanded = descriptionEl.classList.contains('expanded');
-                
-                if (isExpanded) {
-                    descriptionEl.classList.remove('expanded');
-                    descriptionEl.innerHTML = descriptionEl.dataset.truncated + ' <span class="toggle-description" title="Show more">[+]</span>';
-                } else {
-                    descriptionEl.classList.add('expanded');
-                    descriptionEl.innerHTML = descriptionEl.dataset.full + ' <span class="toggle-description" title="Show less">[-]</span>';
-                }
-            }
-        })
+        // Export menu (CSV, JSON, ICS, printable schedule)
+        document.getElementById('exportMenu').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-export]');
+            if (item) this.exportWorkshops(item.dataset.export);
+        });
+
+        // Instructor directory
+        document.getElementById('instructorsLink').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.openPage('instructors');
+        });
+
+        // Browser back/forward: restore state from the URL
+        window.addEventListener('popstate', () => {
+            this.filters = this.getFiltersFromURL();
+            this.view = this.getViewFromURL();
+            this.route = this.getRouteFromURL();
+            this.syncFilterControls();
+            this.filterAndDisplayWorkshops();
+            this.renderRoute();
+        });
+
+        ['workshopList', 'workshopDetail', 'activeFilters'].forEach(id => {
+            document.getElementById(id).addEventListener('click', (e) => this.handleWorkshopClick(e));
+        });
+
+        // My schedule panel
+        document.getElementById('mySchedulePanel').addEventListener('click', (e) => this.handleMyScheduleClick(e));
+
+        // Stars added or removed in another tab
+        window.addEventListener('storage', (e) => {
+            if (e.key !== MySchedule.STORAGE_KEY) return;
+            this.mySchedule.reload();
+            this.updateMySchedule();
+        });
     }
 
+    /**
+     * Delegated clicks on workshop cards, the detail views and the filter
+     * pills: workshop, series and instructor links, filter links (instructor,
+     * format, tag), filter removal and description toggles
+     * @param {Event} e - Click event
+     */
+    handleWorkshopClick(e) {
+        const workshopLink = e.target.closest('[data-workshop-link]');
+        const pageLink = e.target.closest('[data-page-link]');
+        const reminder = e.target.closest('[data-remind-filter]');
+        const removeFilter = e.target.closest('[data-remove-filter]');
+        const star = e.target.closest('[data-star]');
+        const isFilterLink = e.target.dataset.instructor || e.target.dataset.format || e.target.dataset.tag;
+
+        if (star) {
+            this.mySchedule.toggle(star.dataset.star);
+            this.updateMySchedule();
+            return;
+        }
 
+        if (workshopLink) {
+            // Let the browser handle "open in new tab"
+            if (e.metaKey || e.ctrlKey || e.shiftKey) return;
+            e.preventDefault();
+            this.openWorkshop(workshopLink.dataset.workshopLink);
+            return;
+        }
+
+        if (pageLink) {
+            if (e.metaKey || e.ctrlKey || e.shiftKey) return;
+            e.preventDefault();
+            this.openPage(pageLink.dataset.pageLink, pageLink.dataset.id);
+            return;
+        }
+
+        if (reminder) {
+            this.remindFor(reminder.dataset.remindFilter, reminder.dataset.remindId);
+            return;
+        }
+
+        if (removeFilter) {
+            this.removeFilter(removeFilter.dataset.removeFilter, removeFilter.dataset.value);
+            return;
+        }
+
+        if (e.target.closest('[data-clear-filters]')) {
+            this.clearFilters();
+            return;
+        }
+
+        if (e.target.closest('[data-route="catalogue"]')) {
+            e.preventDefault();
+            this.closeDetail();
+            return;
+        }
+
+        // Filter links in the detail view go to the newly filtered catalogue
+        if (isFilterLink && this.isDetailRoute()) {
+            this.closeDetail(false);
+        }
+
+        if (e.target.dataset.instructor || e.target.dataset.format) {
+            // Filter links show just that instructor/format
+            const facet = e.target.dataset.instructor ? 'instructor' : 'format';
+            this.filters[facet] = [e.target.dataset[facet]];
+            this.syncFilterControls();
+            this.filterAndDisplayWorkshops();
+        } else if (e.target.dataset.tag) {
+            const searchInput = document.getElementById('searchInput');
+            searchInput.value = e.target.dataset.tag;
+            searchInput.dispatchEvent(new Event('input'));
+        } else if (e.target.classList.contains('toggle-description')) {
+            const descriptionEl = e.target.parentElement;
+            const isExpanded = descriptionEl.classList.toggle('expanded');
+
+            descriptionEl.querySelector('.description-truncated').classList.toggle('d-none', isExpanded);
+            descriptionEl.querySelector('.description-full').classList.toggle('d-none', !isExpanded);
+            e.target.textContent = isExpanded ? '[-]' : '[+]';
+            e.target.title = isExpanded ? 'Show less' : 'Show more';
+        }
+    }
 
     populateFilters() {
-        // Populate area filter
-        this.populateSelect('areaFilter', this.data.areas, 'label', 'id');
+        this.getFacets().forEach(facet => this.populateFacet(facet));
+
+        // Session filters: quarter dropdown, day and time toggle buttons
+        const [quarter, , , day, time] = this.getWhenFilters();
+        this.populateFacet(quarter);
+        [day, time].forEach(filter => {
+            document.getElementById(`${filter.key}Filter`).innerHTML = html`${filter.items.map(item => html`
+                <input type="checkbox" class="btn-check" id="${filter.key}-${item.id}" value="${item.id}" autocomplete="off">
+                <label class="btn btn-outline-primary" for="${filter.key}-${item.id}">${item.label}</label>
+            `)}`;
+        });
 
-        // Populate audience filter
-        this.populateSelect('audienceFilter', this.data.audiences, 'label', 'id');
+        this.syncFilterControls();
+    }
 
-        // Populate format filter
-        this.populateSelect('formatFilter', this.data.formats, 'label', 'id');
+    /**
+     * Facets shown as filters, with the data they draw their options from
+     * @returns {Array} Facets as { key, label, items, labelKey }
+     */
+    getFacets() {
+        return [
+            { key: 'area', label: 'Area', items: this.data.areas, labelKey: 'label' },
+            { key: 'audience', label: 'Audience', items: this.data.audiences, labelKey: 'label' },
+            { key: 'format', label: 'Format', items: this.data.formats, labelKey: 'label' },
+            { key: 'department', label: 'Department', items: this.data.departments, labelKey: 'label' },
+            { key: 'instructor', label: 'Instructor', items: this.data.instructors, labelKey: 'name' },
+            { key: 'series', label: 'Series', items: this.data.series, labelKey: 'title' }
+        ];
+    }
 
-        // Populate department filter
-        this.populateSelect('departmentFilter', this.data.departments, 'label', 'id');
+    /**
+     * Session ("when") filters, with their display names and, for lists,
+     * their options
+     * @returns {Array} Filters as { key, label, items }
+     */
+    getWhenFilters() {
+        const days = { sun: 'Sun', mon: 'Mon', tue: 'Tue', wed: 'Wed', thu: 'Thu', fri: 'Fri', sat: 'Sat' };
+        const times = { morning: 'Morning', afternoon: 'Afternoon', evening: 'Evening' };
+
+        return [
+            { key: 'quarter', label: 'Quarter', items: this.getQuarters(), labelKey: 'label' },
+            { key: 'from', label: 'From' },
+            { key: 'to', label: 'Until' },
+            { key: 'day', label: 'Day', items: OfferingSchedule.DAYS.map(id => ({ id, label: days[id] })), labelKey: 'label' },
+            { key: 'time', label: 'Time', items: Object.keys(OfferingSchedule.TIMES_OF_DAY).map(id => ({ id, label: times[id] })), labelKey: 'label' }
+        ];
+    }
 
-        // Populate instructor filter
-        this.populateSelect('instructorFilter', this.data.instructors, 'name', 'id');
+    /**
+     * Quarters that have sessions, in chronological order
+     * @returns {Array} Quarters as { id: 'winter-2026', label: 'Winter 2026' }
+     */
+    getQuarters() {
+        const quarters = new Map();
+
+        [...this.data.offerings]
+            .sort((a, b) => new Date(a.start) - new Date(b.start))
+            .forEach(offering => {
+                const id = OfferingSchedule.getQuarterKey(offering);
+                if (id && !quarters.has(id)) quarters.set(id, { id, label: `${offering.quarter} ${offering.year}` });
+            });
 
-        document.getElementById('searchInput').value = this.filters.search;
-        document.getElementById('areaFilter').value = this.filters.area;
-        document.getElementById('audienceFilter').value = this.filters.audience;
-        document.getElementById('formatFilter').value = this.filters.format;
-        document.getElementById('departmentFilter').value = this.filters.department;
-        document.getElementById('instructorFilter').value = this.filters.instructor;
+        return [...quarters.values()];
     }
 
-    populateSelect(elementId, items, labelKey, valueKey) {
-        const select = document.getElementById(elementId);
-        items.forEach(item => {
-            const option = document.createElement('option');
-            option.value = item[valueKey];
-            option.textContent = item[labelKey];
-            select.appendChild(option);
+    /**
+     * Display label of a filter value
+     * @param {string} filterKey - Facet or "when" filter name
+     * @param {string} id - Value id (or date, for from/to)
+     * @returns {string|undefined} Label, or undefined for unknown ids
+     */
+    getFilterValueLabel(filterKey, id) {
+        if (filterKey === 'from' || filterKey === 'to') {
+            return new Date(`${id}T12:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+        }
+
+        const filter = [...this.getFacets(), ...this.getWhenFilters()].find(f => f.key === filterKey);
+        const item = filter?.items?.find(item => item.id === id);
+        return item?.[filter.labelKey];
+    }
+
+    /**
+     * Selected session ("when") values, grouped by filter
+     * @returns {Array} Selections as { key, label, values }
+     */
+    getWhenSelections() {
+        return this.getWhenFilters()
+            .map(filter => ({ key: filter.key, label: filter.label, values: WorkshopFilter.getValues(this.filters, filter.key) }))
+            .filter(selection => selection.values.length > 0);
+    }
+
+    /**
+     * Fill a facet dropdown with a checkbox per value, plus an any/all
+     * switch for facets where a workshop can have several values
+     * @param {Object} facet - Facet from getFacets()
+     */
+    populateFacet(facet) {
+        const menu = document.querySelector(`#${facet.key}Filter .dropdown-menu`);
+        const modeSwitch = facet.key in WorkshopFilter.FACETS && WorkshopFilter.isMultiValued(facet.key) ? html`
+            <div class="btn-group btn-group-sm w-100 mb-2" role="group" aria-label="Match">
+                <input type="radio" class="btn-check" name="${facet.key}_mode" id="${facet.key}ModeOr" value="${WorkshopFilter.OR}" checked>
+                <label class="btn btn-outline-primary" for="${facet.key}ModeOr">Any selected</label>
+                <input type="radio" class="btn-check" name="${facet.key}_mode" id="${facet.key}ModeAnd" value="${WorkshopFilter.AND}">
+                <label class="btn btn-outline-primary" for="${facet.key}ModeAnd">All selected</label>
+            </div>
+        ` : '';
+
+        menu.innerHTML = html`${modeSwitch}${facet.items.map(item => html`
+            <div class="form-check">
+                <input class="form-check-input" type="checkbox" value="${item.id}" id="${facet.key}-${item.id}">
+                <label class="form-check-label" for="${facet.key}-${item.id}">
+                    ${item[facet.labelKey]} <span class="facet-count text-muted small"></span>
+                </label>
+            </div>
+        `)}`;
+    }
+
+    /**
+     * Set the filter inputs to the current filter state
+     */
+    syncFilterControls() {
+        document.getElementById('searchInput').value = this.filters.search;
+
+        [...Object.keys(WorkshopFilter.FACETS), ...WorkshopFilter.WHEN_LISTS].forEach(key => {
+            const container = document.getElementById(`${key}Filter`);
+            const values = WorkshopFilter.getValues(this.filters, key);
+            const mode = WorkshopFilter.getMode(this.filters, key);
+
+            container.querySelectorAll('input[type="checkbox"]').forEach(input => {
+                input.checked = values.includes(input.value);
+            });
+            container.querySelectorAll('input[type="radio"]').forEach(input => {
+                input.checked = input.value === mode;
+            });
+            if (container.classList.contains('facet-filter')) this.updateFacetToggle(key);
+        });
+
+        WorkshopFilter.WHEN_DATES.forEach(key => {
+            document.getElementById(`${key}Filter`).value = this.filters[key];
         });
+
+        document.getElementById('upcomingFilter').checked = Boolean(this.filters.upcoming);
+        document.getElementById('archivedFilter').checked = Boolean(this.filters.archived);
+    }
+
+    /**
+     * Summarize a facet's selection on its dropdown button
+     * @param {string} facet - Facet name
+     */
+    updateFacetToggle(facet) {
+        const toggle = document.querySelector(`#${facet}Filter [data-bs-toggle="dropdown"]`);
+        const values = WorkshopFilter.getValues(this.filters, facet);
+
+        if (values.length === 0) {
+            toggle.textContent = toggle.dataset.placeholder;
+        } else if (values.length === 1) {
+            toggle.textContent = this.getFilterValueLabel(facet, values[0]) || values[0];
+        } else if (facet in WorkshopFilter.FACETS) {
+            const mode = WorkshopFilter.getMode(this.filters, facet) === WorkshopFilter.AND ? 'all' : 'any';
+            toggle.textContent = `${values.length} selected (${mode})`;
+        } else {
+            toggle.textContent = `${values.length} selected`;
+        }
     }
 
     clearFilters() {
         this.filters = {
             search: '',
-            area: '',
-            audience: '',
-            format: '',
-            department: '',
-            instructor: ''
+            ...WorkshopFilter.fromParams(new URLSearchParams()),
+            upcoming: '',
+            archived: ''
         };
-
-        document.getElementById('searchInput').value = '';
-        document.getElementById('areaFilter').value = '';
-        document.getElementById('audienceFilter').value = '';
-        document.getElementById('formatFilter').value = '';
-        document.getElementById('departmentFilter').value = '';
-        document.getElementById('instructorFilter').value = '';
-
+        this.syncFilterControls();
         this.filterAndDisplayWorkshops();
     }
 
@@ -152,236 +533,547 @@ class WorkshopCatalogue {
         // Update active filters display
         this.updateActiveFiltersDisplay();
 
-        // Filter active workshops
-        this.filteredWorkshops = this.data.workshops.filter(workshop => {
-            if (!workshop.is_active) return false;
+        // Facet filters (area, audience, format, department, instructor, series)
+        const candidates = this.getCandidateWorkshops(this.filters);
+        this.filteredWorkshops = candidates.filter(workshop => WorkshopFilter.matches(workshop, this.filters, this.getOfferings(workshop)));
 
-            // Search filter
-            if (this.filters.search) {
-                const searchText = `${workshop.title} ${workshop.summary} ${workshop.description} ${workshop.tags}`.toLowerCase();
-                if (!searchText.includes(this.filters.search)) return false;
-            }
+        // Show how many workshops each facet option would give
+        this.updateFacetCounts(candidates);
 
-            // Area filter
-            if (this.filters.area && !workshop.area_ids.includes(this.filters.area)) return false;
+        // Sort workshops
+        this.sortWorkshops();
 
-            // Audience filter
-            if (this.filters.audience && !workshop.audience_ids.includes(this.filters.audience)) return false;
+        // Display workshops
+        this.displayWorkshops();
+        this.updateResultsCount();
+        this.syncStars();
+        if (!this.isDetailRoute()) this.updateStructuredData(this.filteredWorkshops);
+    }
+
+    /**
+     * Workshops passing the non-facet filters: active (or archived),
+     * upcoming sessions, session dates and times, and search
+     * @param {Object} filters - Filter state
+     * @returns {Array} Workshops
+     */
+    getCandidateWorkshops(filters) {
+        return this.data.workshops.filter(workshop => {
+            if (filters.archived ? !this.isArchived(workshop) : !workshop.is_active) return false;
 
-            // Format filter
-            if (this.filters.format && workshop.format_id !== this.filters.format) return false;
+            // Upcoming sessions filter
+            if (filters.upcoming && !OfferingSchedule.hasUpcoming(this.getOfferings(workshop), this.getNow())) return false;
 
-            // Department filter
-            if (this.filters.department && !workshop.department_ids.includes(this.filters.department)) return false;
+            // Session filters: at least one session in the quarter, date range, days and times
+            if (OfferingSchedule.hasWhen(filters) &&
+                !this.getOfferings(workshop).some(offering => OfferingSchedule.matchesWhen(offering, filters))) return false;
 
-            // Instructor filter
-            if (this.filters.instructor && !workshop.instructor_ids.includes(this.filters.instructor)) return false;
+            // Search filter: every term (or phrase) found in some field
+            if (filters.search && !this.searchIndex.search(filters.search).has(workshop.id)) return false;
 
             return true;
         });
+    }
 
-        // Sort workshops
-        this.sortWorkshops();
+    /**
+     * Number of workshops a filter state would show
+     * @param {Object} filters - Filter state
+     * @returns {number} Workshop count
+     */
+    countWorkshops(filters) {
+        return this.getCandidateWorkshops(filters)
+            .filter(workshop => WorkshopFilter.matches(workshop, filters, this.getOfferings(workshop)))
+            .length;
+    }
 
-        // Display workshops
-        this.displayWorkshops();
-        this.updateResultsCount();
+    /**
+     * Update the count next to each facet option, and disable options that
+     * would leave no workshops
+     * @param {Array} candidates - Workshops passing the non-facet filters
+     */
+    updateFacetCounts(candidates) {
+        Object.keys(WorkshopFilter.FACETS).forEach(facet => {
+            const counts = WorkshopFilter.countValues(candidates, this.filters, facet, workshop => this.getOfferings(workshop));
+
+            document.querySelectorAll(`#${facet}Filter input[type="checkbox"]`).forEach(input => {
+                const count = counts[input.value] || 0;
+                input.disabled = count === 0 && !input.checked;
+                input.closest('.form-check').querySelector('.facet-count').textContent = `(${count})`;
+            });
+        });
+    }
+
+    /**
+     * Find the single filter whose removal brings back the most workshops
+     * @returns {Object|null} { key, value, label, count }, or null if no removal helps
+     */
+    getRelaxSuggestion() {
+        const options = [];
+
+        if (this.filters.search) {
+            options.push({ key: 'search', label: `Search: "${this.filters.search}"`, filters: { ...this.filters, search: '' } });
+        }
+        this.getFacets().forEach(facet => {
+            WorkshopFilter.getValues(this.filters, facet.key).forEach(id => {
+                options.push({
+                    key: facet.key,
+                    value: id,
+                    label: `${facet.label}: ${this.getFilterValueLabel(facet.key, id) || id}`,
+                    filters: { ...this.filters, [facet.key]: WorkshopFilter.getValues(this.filters, facet.key).filter(v => v !== id) }
+                });
+            });
+        });
+        this.getWhenSelections().forEach(selection => {
+            selection.values.forEach(value => {
+                options.push({
+                    key: selection.key,
+                    value,
+                    label: `${selection.label}: ${this.getFilterValueLabel(selection.key, value) || value}`,
+                    filters: { ...this.filters, [selection.key]: Array.isArray(this.filters[selection.key]) ? selection.values.filter(v => v !== value) : '' }
+                });
+            });
+        });
+        if (this.filters.upcoming) {
+            options.push({ key: 'upcoming', label: 'Has upcoming sessions', filters: { ...this.filters, upcoming: '' } });
+        }
+
+        const best = options
+            .map(({ filters, ...option }) => ({ ...option, count: this.countWorkshops(filters) }))
+            .filter(option => option.count > 0)
+            .sort((a, b) => b.count - a.count)[0];
+
+        return best || null;
     }
 
     sortWorkshops() {
+        // Relevance only applies while searching; ties (and no search) fall back to date
+        const results = this.filters.search ? this.searchIndex.search(this.filters.search) : null;
+
         this.filteredWorkshops.sort((a, b) => {
-            if (this.sortBy === 'date') {
-                // Get the first offering for each workshop
-                const offeringA = this.getFirstOffering(a);
-                const offeringB = this.getFirstOffering(b);
-                
-                if (!offeringA) return 1;
-                if (!offeringB) return -1;
-                
-                return new Date(offeringA.start) - new Date(offeringB.start);
+            if (this.sortBy === 'relevance' && results) {
+                const difference = results.get(b.id).score - results.get(a.id).score;
+                if (difference !== 0) return difference;
+            }
+
+            if (this.sortBy === 'date' || this.sortBy === 'relevance') {
+                return OfferingSchedule.compareBySchedule(this.getOfferings(a), this.getOfferings(b), this.getNow());
             } else if (this.sortBy === 'title') {
                 return a.title.localeCompare(b.title);
             }
         });
     }
 
-    getFirstOffering(workshop) {
-        const offering = this.data.offerings.find(o => o.workshop_id === workshop.id);
-        return offering;
+    /**
+     * Current time, unless pinned through the constructor options
+     * @returns {Date}
+     */
+    getNow() {
+        return this.now || new Date();
+    }
+
+    getOfferings(workshop) {
+        return this.data.offerings.filter(o => o.workshop_id === workshop.id);
+    }
+
+    /**
+     * Archived workshops are inactive ones and those without upcoming sessions
+     * @param {Object} workshop - Workshop object
+     * @returns {boolean}
+     */
+    isArchived(workshop) {
+        return !workshop.is_active || !OfferingSchedule.hasUpcoming(this.getOfferings(workshop), this.getNow());
     }
 
     displayWorkshops() {
         const workshopList = document.getElementById('workshopList');
+        const calendarView = document.getElementById('calendarView');
+        const showCalendar = this.view === 'month' || this.view === 'week';
+
+        document.querySelectorAll('[data-view]').forEach(button => {
+            button.classList.toggle('active', button.dataset.view === this.view);
+            button.setAttribute('aria-pressed', button.dataset.view === this.view);
+        });
+        workshopList.classList.toggle('d-none', showCalendar && this.filteredWorkshops.length > 0);
+        calendarView.classList.toggle('d-none', !showCalendar || this.filteredWorkshops.length === 0);
         
         if (this.filteredWorkshops.length === 0) {
-            workshopList.innerHTML = `
+            const suggestion = this.getRelaxSuggestion();
+            workshopList.innerHTML = html`
                 <div class="col-12">
                     <div class="alert alert-info" role="alert">
                         <i class="bi bi-info-circle"></i> No workshops found matching your criteria.
+                        ${suggestion ? html`
+                            <div class="mt-2">
+                                Try removing
+                                <button type="button" class="btn btn-sm btn-outline-primary ms-1" data-remove-filter="${suggestion.key}" data-value="${suggestion.value || ''}">
+                                    <i class="bi bi-x-circle"></i> ${suggestion.label}
+                                </button>
+                                <small class="text-muted ms-1">(${suggestion.count} workshop${suggestion.count !== 1 ? 's' : ''})</small>
+                            </div>
+                        ` : html`
+                            <div class="mt-2">
+                                <button type="button" class="btn btn-sm btn-outline-primary" data-clear-filters>
+                                    <i class="bi bi-x-circle"></i> Clear all filters
+                                </button>
+                            </div>
+                        `}
                     </div>
                 </div>
             `;
             return;
         }
 
-        workshopList.innerHTML = this.filteredWorkshops.map(workshop => 
-            this.createWorkshopCard(workshop)
-        ).join('');
+        if (showCalendar) {
+            this.calendarView.render(this.getCalendarEvents(), this.view);
+            return;
+        }
+
+        if (this.keepPrerendered(workshopList, this.isDefaultState())) return;
+
+        workshopList.innerHTML = html`${this.filteredWorkshops.map(workshop =>
+            this.templates.createWorkshopCard(workshop)
+        )}`;
     }
 
-    createWorkshopCard(workshop) {
-        /*this.data.formats.find(f => f.id === workshop.format_id)*/
-        const format = this.data.formats.find(f => f.id === workshop.format_id);
-        const formatLink = `<span class="filter-element-link" data-format="${format?.id}">${format?.label || 'Unknown Format'}</span>`;
-        const areas = workshop.area_ids.map(id => 
-            this.data.areas.find(a => a.id === id)?.label
-        ).filter(Boolean);
-        const audiences = workshop.audience_ids.map(id => 
-            this.data.audiences.find(a => a.id === id)?.label
-        ).filter(Boolean);
-        const instructors = workshop.instructor_ids.map(id => {
-            const instructor = this.data.instructors.find(i => i.id === id);
-            return `<span class="filter-element-link" data-instructor="${id}">${instructor?.name || id}</span>`;
-        }).join(', ');
-        const tags = workshop.tags.map(tag => `<span class="badge bg-secondary me-1" style="cursor: pointer;" data-tag="${tag}">${tag}</span>`).join('');
-        const offerings = this.data.offerings.filter(o => o.workshop_id === workshop.id);
-        const series = workshop.series_id ? this.data.series.find(s => s.id === workshop.series_id) : null;
-
-        // Handle description truncation
-        const description = workshop.description || workshop.summary;
-        const maxLength = 150;
-        const needsTruncation = description.length > maxLength;
-        const truncatedDesc = needsTruncation ? description.substring(0, maxLength) + '...' : description;
-        const toggleButton = needsTruncation ? ' <span class="toggle-description" title="Show more">[+]</span>' : '';
-
-        return `
-            <div class="col-12 col-md-6 col-lg-4 mb-4">
-                <div class="card h-100 shadow-sm workshop-card">
-                    <div class="card-header bg-light">
-                        <h5 class="card-title mb-1">${workshop.title}</h5>
-                        ${series ? `<small class="text-muted"><i class="bi bi-collection"></i> Part of: ${series.title}</small>` : ''}
-                    </div>
-                    <div class="card-body">
-                        <p class="card-text description-text" style="white-space: pre-line;" data-full="${description}" data-truncated="${truncatedDesc}">${truncatedDesc}${toggleButton}</p>
-                        
-                        <div class="mb-3">
-                            <small class="text-muted d-block mb-1">
-                                <i class="bi ${format?.icon || 'bi-app'}"></i> ${formatLink}
-                            </small>
-                            <small class="text-muted d-block mb-1">
-                                <strong>Areas:</strong> ${areas.join(', ')}
-                            </small>
-                            <small class="text-muted d-block mb-1">
-                                <strong>Audience:</strong> ${audiences.join(', ')}
-                            </small>
-                            <small class="text-muted d-block mb-1">
-                                <strong>Instructors:</strong> ${instructors}
-                            </small>
-                        </div>
+    /**
+     * Whether the catalogue is in its default state (no filters, cards sorted
+     * by date), which is the one pre-rendered into index.html
+     * @returns {boolean}
+     */
+    isDefaultState() {
+        return this.view === 'grid' && this.sortBy === 'date' &&
+            !this.filters.search && !this.filters.upcoming && !this.filters.archived &&
+            Object.keys(WorkshopFilter.normalize(this.filters)).length === 0;
+    }
 
-                        ${this.createOfferingsSection(offerings)}
+    /**
+     * Whether to keep the markup that scripts/build-pages.js pre-rendered into
+     * a container instead of rendering it again. Only the first render can
+     * keep it, and only if it shows the same state and nothing the page shows
+     * about a session has changed since the build (see
+     * OfferingSchedule.getChangeTimes).
+     * @param {HTMLElement} container - Workshop list or detail view
+     * @param {boolean} sameState - Whether the container shows what was pre-rendered
+     * @returns {boolean}
+     */
+    keepPrerendered(container, sameState) {
+        if (!container.dataset.prerendered) return false;
 
-                        <div class="mt-2">
-                            ${tags}
-                        </div>
-                    </div>
-                </div>
-            </div>
-        `;
+        const renderedAt = new Date(container.dataset.prerendered);
+        const now = this.getNow();
+        delete container.dataset.prerendered;
+
+        return sameState && !this.data.offerings.some(offering =>
+            OfferingSchedule.getChangeTimes(offering).some(time => (time > renderedAt) !== (time > now))
+        );
     }
 
-    createOfferingsSection(offerings) {
-        if (offerings.length === 0) {
-            return '<p class="text-muted mb-2"><small>No upcoming sessions scheduled</small></p>';
-        }
-
-        return `
-            <div class="offerings mb-2">
-                <strong class="d-block mb-2"><i class="bi bi-calendar-event"></i> Upcoming Sessions:</strong>
-                ${offerings.map(offering => {
-                    const date = new Date(offering.start);
-                    const endDate = new Date(offering.end);
-                    return `
-                        <div class="offering-item mb-2 p-2 border rounded bg-light">
-                            <small class="d-block">
-                                <strong>${date.toLocaleDateString('en-US', { 
-                                    weekday: 'short', 
-                                    month: 'short', 
-                                    day: 'numeric', 
-                                    year: 'numeric' 
-                                })}</strong>
-                            </small>
-                            <small class="d-block text-muted">
-                                ${date.toLocaleTimeString('en-US', { 
-                                    hour: '2-digit', 
-                                    minute: '2-digit' 
-                                })} - ${endDate.toLocaleTimeString('en-US', { 
-                                    hour: '2-digit', 
-                                    minute: '2-digit' 
-                                })}
-                            </small>
-                            <small class="d-block text-muted">
-                                <i class="bi bi-geo-alt"></i> ${offering.location}
-                            </small>
-                            <small class="d-block text-muted">
-                                <i class="bi bi-person-check"></i> Capacity: ${offering.capacity}
-                            </small>
-                            <div class="mt-2 d-flex gap-1 flex-wrap">
-                                ${offering.registration_url ? 
-                                    `<a href="${offering.registration_url}" class="btn btn-sm btn-primary" target="_blank">
-                                        <i class="bi bi-box-arrow-up-right"></i> Register
-                                    </a>` : `<a href="#" class="btn btn-sm btn-secondary disabled">
-                                        <i class="bi bi-hourglass-split"></i> Opens soon
-                                    </a>`
-                                }
-                                ${this.createAddToCalendarButton(offering)}
-                            </div>
-                        </div>
-                    `;
-                }).join('')}
-            </div>
-        `;
+    /**
+     * Sessions of the filtered workshops, as events for the calendar view
+     * (one per meeting of a series)
+     * @returns {Array} Events
+     */
+    getCalendarEvents() {
+        const now = this.getNow();
+        return this.filteredWorkshops.flatMap(workshop =>
+            this.getOfferings(workshop)
+                .filter(offering => OfferingSchedule.matchesWhen(offering, this.filters))
+                .flatMap(offering => OfferingRecurrence.getMeetings(offering)
+                    .filter(meeting => OfferingSchedule.matchesTime(meeting.start, this.filters))
+                    .map(meeting => ({
+                        workshopId: workshop.id,
+                        title: workshop.title,
+                        start: meeting.start,
+                        end: meeting.end,
+                        location: OfferingLocation.getLabel(offering),
+                        status: meeting.cancelled ? 'cancelled' : OfferingSchedule.getStatus(meeting, now)
+                    })))
+        );
     }
 
-    createAddToCalendarButton(offering) {
-        // Find the workshop for this offering
-        const workshop = this.data.workshops.find(w => w.id === offering.workshop_id);
-        if (!workshop) return '';
+    /**
+     * Open a workshop's detail view, adding a history entry
+     * @param {string} workshopId - Workshop id
+     */
+    openWorkshop(workshopId) {
+        this.openDetail({ page: 'workshop', id: workshopId }, CatalogueTemplates.getPagePath('workshop', workshopId));
+    }
 
-        // Build event description
-        const format = this.data.formats.find(f => f.id === workshop.format_id);
-        const instructors = workshop.instructor_ids.map(id => 
-            this.data.instructors.find(i => i.id === id)?.name
-        ).filter(Boolean).join(', ');
-        
-        let description = workshop.description || workshop.summary || '';
-        description += '\n\n---\n';
-        if (format) description += `Format: ${format.label}\n`;
-        if (instructors) description += `Instructor(s): ${instructors}\n`;
-        if (offering.registration_url) description += `\nRegister: ${offering.registration_url}`;
-
-        const event = {
-            title: workshop.title,
-            description: description,
-            location: offering.location || 'TBA',
-            start: new Date(offering.start),
-            end: new Date(offering.end),
-            url: offering.registration_url || ''
+    /**
+     * Open a series, instructor or the instructor directory page, adding a
+     * history entry
+     * @param {string} page - 'series', 'instructor' or 'instructors'
+     * @param {string} id - Series or instructor id
+     */
+    openPage(page, id = null) {
+        this.openDetail({ page, id }, CatalogueTemplates.getPagePath(page, id));
+    }
+
+    /**
+     * Show a detail route, adding a history entry
+     * @param {Object} route - Route as { page, id }
+     * @param {string} path - URL of the page, relative to the catalogue
+     */
+    openDetail(route, path) {
+        // Count detail pages since leaving the catalogue, so "All workshops"
+        // can go back to it with its filters. 0 means we arrived by deep link.
+        const depth = window.history.state?.detailDepth;
+        const detailDepth = !this.isDetailRoute() ? 1 : (depth ? depth + 1 : 0);
+
+        this.route = route;
+        window.history.pushState({ detailDepth }, '', `${this.getCataloguePath()}${path}`);
+        this.renderRoute();
+    }
+
+    /**
+     * Return from a detail view to the catalogue. Goes back in history when
+     * the detail view was opened from the catalogue, so filters are kept.
+     * @param {boolean} useHistory - Go back instead of adding a history entry
+     */
+    closeDetail(useHistory = true) {
+        const depth = window.history.state?.detailDepth;
+        if (useHistory && depth) {
+            window.history.go(-depth);
+            return;
+        }
+
+        this.route = { page: null, id: null };
+        this.updateURL(true);
+        this.renderRoute();
+    }
+
+    isDetailRoute() {
+        return Boolean(this.route.page);
+    }
+
+    /**
+     * Show either the catalogue or the detail view of the current route
+     */
+    renderRoute() {
+        const catalogue = document.getElementById('catalogueView');
+        const detail = document.getElementById('workshopDetail');
+
+        if (!this.isDetailRoute()) {
+            catalogue.classList.remove('d-none');
+            detail.classList.add('d-none');
+            detail.innerHTML = '';
+            document.title = 'RDS Workshops Catalogue';
+            this.updateStructuredData(this.filteredWorkshops);
+            return;
+        }
+
+        // Old #/workshops/<id> links become workshops/<id>.html
+        if (window.location.hash.startsWith('#/workshops/')) {
+            window.history.replaceState(window.history.state, '', `${this.getCataloguePath()}${CatalogueTemplates.getPagePath('workshop', this.route.id)}`);
+        }
+
+        const pages = {
+            workshop: {
+                items: this.data.workshops,
+                render: item => this.templates.createWorkshopDetail(item),
+                workshops: item => [item]
+            },
+            series: {
+                items: this.data.series,
+                render: item => this.templates.createSeriesDetail(item),
+                workshops: item => this.templates.getSeriesWorkshops(item)
+            },
+            instructor: {
+                items: this.data.instructors,
+                render: item => this.templates.createInstructorProfile(item),
+                workshops: item => this.templates.getInstructorWorkshops(item)
+            }
         };
+        const page = pages[this.route.page];
+        const item = page?.items.find(item => item.id === this.route.id);
+
+        if (this.route.page === 'instructors') {
+            detail.innerHTML = this.templates.createInstructorDirectory();
+            document.title = 'Instructors | RDS Workshops Catalogue';
+        } else if (item) {
+            // Pre-rendered pages (workshops/<id>.html, series/<id>.html) arrive with the markup
+            if (!this.keepPrerendered(detail, true)) detail.innerHTML = page.render(item);
+            document.title = `${item.title || item.name} | RDS Workshops Catalogue`;
+        } else {
+            detail.innerHTML = html`
+                ${this.templates.createBackLink()}
+                <div class="alert alert-info" role="alert">
+                    <i class="bi bi-info-circle"></i> This page could not be found.
+                </div>
+            `;
+            document.title = 'RDS Workshops Catalogue';
+        }
+
+        catalogue.classList.add('d-none');
+        detail.classList.remove('d-none');
+        this.syncStars();
+        this.updateStructuredData(item ? page.workshops(item) : []);
+        window.scrollTo(0, 0);
+    }
+
+    /**
+     * Describe the workshops on screen as schema.org JSON-LD, in the
+     * <script type="application/ld+json"> that build-pages.js pre-renders
+     * @param {Array} workshops - Workshop objects
+     */
+    updateStructuredData(workshops) {
+        this.structuredWorkshops = workshops;
+        let script = document.getElementById('structuredData');
+        if (!script) {
+            script = document.createElement('script');
+            script.type = 'application/ld+json';
+            script.id = 'structuredData';
+            document.head.appendChild(script);
+        }
+
+        script.textContent = StructuredData.stringify(this.structuredData.createGraph(workshops));
+    }
+
+    /**
+     * Clicks in the My schedule panel: unstarring, workshop links (which
+     * close the panel) and the panel actions
+     * @param {Event} e - Click event
+     */
+    handleMyScheduleClick(e) {
+        const action = e.target.closest('[data-schedule-action]')?.dataset.scheduleAction;
+        const panel = bootstrap.Offcanvas.getInstance(document.getElementById('mySchedule'));
+
+        if (e.target.closest('[data-workshop-link]')) {
+            if (e.metaKey || e.ctrlKey || e.shiftKey) return;
+            panel?.hide();
+            this.handleWorkshopClick(e);
+            return;
+        }
+
+        if (e.target.closest('[data-star]')) {
+            this.handleWorkshopClick(e);
+            return;
+        }
+
+        if (action === 'save-shared') {
+            this.mySchedule.add(this.sharedSchedule);
+            this.sharedSchedule = [];
+            this.updateMySchedule();
+        } else if (action === 'dismiss-shared') {
+            this.sharedSchedule = [];
+            this.updateMySchedule();
+        } else if (action === 'download') {
+            this.downloadMySchedule();
+        } else if (action === 'copy') {
+            const input = document.getElementById('myScheduleUrl');
+            input.select();
+            navigator.clipboard?.writeText(input.value);
+        } else if (action === 'clear') {
+            if (confirm('Remove all sessions from My schedule?')) {
+                this.mySchedule.clear();
+                this.updateMySchedule();
+            }
+        }
+    }
+
+    /**
+     * Render the My schedule panel (or the sessions of a shared link, until
+     * they're saved or dismissed), its count and the stars on the page
+     */
+    updateMySchedule() {
+        const shared = this.sharedSchedule.length > 0;
+        const offerings = shared
+            ? MySchedule.sort(this.data.offerings.filter(o => this.sharedSchedule.includes(o.id)))
+            : this.mySchedule.getOfferings(this.data.offerings);
+        const shareUrl = new URL(this.getCataloguePath() + MySchedule.toQuery(offerings.map(o => o.id)), window.location.href);
+
+        document.getElementById('mySchedulePanel').innerHTML = this.templates.createMySchedule(offerings, {
+            conflicts: MySchedule.findConflicts(offerings.filter(o => !OfferingSchedule.isCancelled(o))),
+            shared,
+            shareUrl: shareUrl.toString()
+        });
+        document.getElementById('myScheduleCount').textContent = this.mySchedule.getOfferings(this.data.offerings).length;
+        this.syncStars();
+    }
+
+    /**
+     * Show which sessions on the page are starred
+     */
+    syncStars() {
+        document.querySelectorAll('[data-star]').forEach(button => {
+            const starred = this.mySchedule.has(button.dataset.star);
+            const label = starred ? 'Remove from My schedule' : 'Add to My schedule';
+
+            button.setAttribute('aria-pressed', starred);
+            button.title = label;
+            button.querySelector('.bi').className = `bi ${starred ? 'bi-star-fill' : 'bi-star'}`;
+            button.querySelector('.visually-hidden').textContent = label;
+        });
+    }
+
+    /**
+     * Download all starred sessions as one calendar file
+     */
+    downloadMySchedule() {
+        const offerings = this.mySchedule.getOfferings(this.data.offerings);
+        const icsContent = this.icalGenerator.generateForOfferings(offerings, {
+            name: 'My RDS Workshops',
+            description: 'Workshops I starred in the RDS Workshop Catalogue'
+        });
+
+        ICalGenerator.downloadICS(icsContent, 'rds-my-schedule.ics');
+    }
+
+    /**
+     * Subscribe to (or download) every session of a series or of an
+     * instructor at once
+     * @param {string} filterKey - 'series' or 'instructor'
+     * @param {string} id - Series or instructor id
+     */
+    remindFor(filterKey, id) {
+        let selection;
+        if (filterKey === 'series') {
+            const series = this.data.series.find(s => s.id === id);
+            if (!series) return;
+            selection = {
+                workshops: this.templates.getSeriesWorkshops(series),
+                summary: `Series: ${series.title}`,
+                calendar: { name: series.title, description: series.description }
+            };
+        } else {
+            const instructor = this.data.instructors.find(i => i.id === id);
+            if (!instructor) return;
+            selection = {
+                workshops: this.templates.getInstructorWorkshops(instructor),
+                summary: `Instructor: ${instructor.name}`,
+                calendar: { name: `RDS Workshops taught by ${instructor.name}` }
+            };
+        }
+
+        const feed = this.feeds.find(feed => WorkshopFilter.equals(feed.filter || {}, { [filterKey]: id }));
 
-        return AddToCalendar.createDropdownButton(event, 'btn-sm btn-outline-secondary');
+        this.showSubscriptionModal(feed ? this.resolveFeed(feed, true) : null, {
+            ...selection,
+            filename: `rds-workshops-${id}.ics`
+        });
+    }
+
+    /**
+     * Words of a workshop matched by the current search, for highlighting
+     * @param {Object} workshop - Workshop object
+     * @returns {Set|null} Matched words, or null when not searching
+     */
+    getSearchMatches(workshop) {
+        if (!this.filters.search) return null;
+        return this.searchIndex.search(this.filters.search).get(workshop.id)?.words || null;
     }
 
     updateResultsCount() {
         const count = this.filteredWorkshops.length;
-        const total = this.data.workshops.filter(w => w.is_active).length;
+        const total = this.filters.archived
+            ? this.data.workshops.filter(w => this.isArchived(w)).length
+            : this.data.workshops.filter(w => w.is_active).length;
         document.getElementById('resultsCount').textContent = 
-            `Showing ${count} of ${total} workshop${total !== 1 ? 's' : ''}`;
+            `Showing ${count} of ${total} ${this.filters.archived ? 'archived ' : ''}workshop${total !== 1 ? 's' : ''}`;
     }
 
     showError(message) {
         const workshopList = document.getElementById('workshopList');
-        workshopList.innerHTML = `
+        workshopList.innerHTML = html`
             <div class="col-12">
                 <div class="alert alert-danger" role="alert">
                     <i class="bi bi-exclamation-triangle"></i> ${message}
@@ -395,28 +1087,83 @@ class WorkshopCatalogue {
 
         return {
             search: params.get('search') || '',
-            area: params.get('area') || '',
-            audience: params.get('audience') || '',
-            format: params.get('format') || '',
-            department: params.get('department') || '',
-            instructor: params.get('instructor') || ''
+            ...WorkshopFilter.fromParams(params),
+            upcoming: params.get('upcoming') || '',
+            archived: params.get('archived') || ''
         };
     }
     
-    updateURL() {
+    /**
+     * Read the current route: ?workshop=<id> (or the #/workshops/<id> form)
+     * for a workshop page, ?page=<page>&id=<id> for series, instructor and
+     * directory pages
+     * @returns {Object} { page: page name or null for the catalogue, id }
+     */
+    getRouteFromURL() {
+        const pageRoute = CatalogueTemplates.getRouteFromPath(window.location.pathname.slice(this.getCataloguePath().length));
+        if (pageRoute) return pageRoute;
+
+        // Links from before the pre-rendered pages: ?workshop=<id>, #/workshops/<id>, ?page=series&id=<id>
+        const params = new URLSearchParams(window.location.search);
+        const hashMatch = /^#\/workshops\/([^/?#]+)/.exec(window.location.hash);
+        const workshop = params.get('workshop') ||
+            (hashMatch ? decodeURIComponent(hashMatch[1]) : null);
+
+        if (workshop) return { page: 'workshop', id: workshop };
+
+        const page = params.get('page');
+        return ['series', 'instructor', 'instructors'].includes(page)
+            ? { page, id: params.get('id') }
+            : { page: null, id: null };
+    }
+
+    /**
+     * Path of the catalogue page. Every page has a <base> pointing at it, so
+     * relative links keep working on pre-rendered pages (workshops/<id>.html)
+     * and after the URL changes to one of them.
+     * @returns {string} Path, e.g. '/rds-ws-catalogue/'
+     */
+    getCataloguePath() {
+        return new URL('./', document.baseURI).pathname;
+    }
+
+    getViewFromURL() {
+        const view = new URLSearchParams(window.location.search).get('view');
+        return ['grid', 'month', 'week'].includes(view) ? view : 'grid';
+    }
+    
+    /**
+     * Reflect the catalogue state in the URL. Filter changes replace the
+     * current history entry, so typing a search doesn't flood the history.
+     * @param {boolean} push - Add a new history entry instead
+     */
+    updateURL(push = false) {
+        // The detail view owns the URL while it's open
+        if (this.isDetailRoute()) return;
+
         const params = new URLSearchParams();
 
-        Object.keys(this.filters).forEach(key => {
-            if (this.filters[key]) {
-                params.set(key, this.filters[key]);
-            }
+        if (this.filters.search) params.set('search', this.filters.search);
+        WorkshopFilter.toParams(this.filters, params);
+        ['upcoming', 'archived'].forEach(key => {
+            if (this.filters[key]) params.set(key, this.filters[key]);
         });
 
-        const newURL = params.toString() 
-            ? `${window.location.pathname}?${params.toString()}`
-            : window.location.pathname;
+        if (this.view !== 'grid') {
+            params.set('view', this.view);
+        }
+
+        // Keep multi-value lists readable (area=a,b rather than area=a%2Cb)
+        const query = params.toString().replace(/%2C/gi, ',');
+        const newURL = query
+            ? `${this.getCataloguePath()}?${query}`
+            : this.getCataloguePath();
 
-        window.history.pushState({}, '', newURL);
+        if (push) {
+            window.history.pushState({}, '', newURL);
+        } else {
+            window.history.replaceState(window.history.state, '', newURL);
+        }
     }
 
     /**
@@ -431,38 +1178,35 @@ class WorkshopCatalogue {
             pills.push(this.createFilterPill('search', `Search: "${this.filters.search}"`));
         }
 
-        // Area filter
-        if (this.filters.area) {
-            const area = this.data.areas.find(a => a.id === this.filters.area);
-            if (area) pills.push(this.createFilterPill('area', `Area: ${area.label}`));
-        }
+        // Facet filters: one pill per selected value
+        this.getFacets().forEach(facet => {
+            const values = WorkshopFilter.getValues(this.filters, facet.key);
+            const all = values.length > 1 && WorkshopFilter.getMode(this.filters, facet.key) === WorkshopFilter.AND;
 
-        // Audience filter
-        if (this.filters.audience) {
-            const audience = this.data.audiences.find(a => a.id === this.filters.audience);
-            if (audience) pills.push(this.createFilterPill('audience', `Audience: ${audience.label}`));
-        }
+            values.forEach(id => {
+                const label = this.getFilterValueLabel(facet.key, id);
+                if (label) pills.push(this.createFilterPill(facet.key, `${facet.label}${all ? ' (all)' : ''}: ${label}`, id));
+            });
+        });
 
-        // Format filter
-        if (this.filters.format) {
-            const format = this.data.formats.find(f => f.id === this.filters.format);
-            if (format) pills.push(this.createFilterPill('format', `Format: ${format.label}`));
-        }
+        // Session filters: quarter, date range, day of week, time of day
+        this.getWhenSelections().forEach(selection => {
+            selection.values.forEach(value => {
+                const label = this.getFilterValueLabel(selection.key, value);
+                if (label) pills.push(this.createFilterPill(selection.key, `${selection.label}: ${label}`, value));
+            });
+        });
 
-        // Department filter
-        if (this.filters.department) {
-            const dept = this.data.departments.find(d => d.id === this.filters.department);
-            if (dept) pills.push(this.createFilterPill('department', `Department: ${dept.label}`));
+        // Session status filters
+        if (this.filters.upcoming) {
+            pills.push(this.createFilterPill('upcoming', 'Has upcoming sessions'));
         }
-
-        // Instructor filter
-        if (this.filters.instructor) {
-            const instructor = this.data.instructors.find(i => i.id === this.filters.instructor);
-            if (instructor) pills.push(this.createFilterPill('instructor', `Instructor: ${instructor.name}`));
+        if (this.filters.archived) {
+            pills.push(this.createFilterPill('archived', 'Archived workshops'));
         }
 
-        container.innerHTML = pills.length > 0 
-            ? `<small class="text-muted me-2">Active filters:</small>` + pills.join('')
+        container.innerHTML = pills.length > 0
+            ? html`<small class="text-muted me-2">Active filters:</small>${pills}`
             : '';
     }
 
@@ -470,13 +1214,14 @@ class WorkshopCatalogue {
      * Create a dismissible filter pill
      * @param {string} filterKey - The filter key (search, area, etc.)
      * @param {string} label - Display label
-     * @returns {string} HTML for the pill
+     * @param {string} value - Value the pill removes (list filters only)
+     * @returns {SafeHtml} HTML for the pill
      */
-    createFilterPill(filterKey, label) {
-        return `
+    createFilterPill(filterKey, label, value = '') {
+        return html`
             <span class="badge bg-primary me-1 mb-1 filter-pill" data-filter="${filterKey}">
                 ${label}
-                <i class="bi bi-x-circle ms-1" style="cursor: pointer;" onclick="app.removeFilter('${filterKey}')"></i>
+                <i class="bi bi-x-circle ms-1" role="button" aria-label="Remove filter" data-remove-filter="${filterKey}" data-value="${value}"></i>
             </span>
         `;
     }
@@ -484,25 +1229,24 @@ class WorkshopCatalogue {
     /**
      * Remove a specific filter
      * @param {string} filterKey - The filter key to remove
+     * @param {string} value - Remove only this value of a list filter
      */
-    removeFilter(filterKey) {
-        this.filters[filterKey] = '';
-        
-        // Update the corresponding input/select element
-        if (filterKey === 'search') {
-            document.getElementById('searchInput').value = '';
+    removeFilter(filterKey, value = '') {
+        if (Array.isArray(this.filters[filterKey])) {
+            this.filters[filterKey] = value
+                ? this.filters[filterKey].filter(id => id !== value)
+                : [];
         } else {
-            const elementId = filterKey + 'Filter';
-            const element = document.getElementById(elementId);
-            if (element) element.value = '';
+            this.filters[filterKey] = '';
         }
-        
+
+        this.syncFilterControls();
         this.filterAndDisplayWorkshops();
     }
 
     /**
      * Subscribe to calendar with current filters
-     * Opens calendar app with subscription prompt
+     * Resolves the filters to a published feed and opens the subscription modal
      */
     subscribeToCalendar() {
         if (this.filteredWorkshops.length === 0) {
@@ -510,84 +1254,170 @@ class WorkshopCatalogue {
             return;
         }
 
-        // For GitHub Pages deployment, we'll generate a static ICS file
-        // The URL pattern will be: /calendars/filter-{hash}.ics
-        // For now, we'll just download the ICS file
-        // In production with serverless, this would open a webcal:// URL
-        
-        const filterHash = this.getFilterHash();
-        const baseUrl = window.location.origin + window.location.pathname.replace('index.html', '');
-        const icsUrl = `${baseUrl}calendars/${filterHash}.ics`;
-        
-        // Check if we have a serverless endpoint or static files
-        // For now, we'll show instructions and download
-        this.showSubscriptionModal(icsUrl);
+        this.showSubscriptionModal(this.findFeed());
+    }
+
+    /**
+     * Find the published feed for the current filters: the feed declared with
+     * exactly these filters (only in the default view: feeds know nothing of
+     * search, "has upcoming sessions" or archived workshops), or else the
+     * smallest feed that covers the selection (see coversSelection)
+     * @returns {Object|null} Feed with `exact` flag and resolved URLs, or null if no feed covers the selection
+     */
+    findFeed() {
+        const { search, upcoming, archived } = this.filters;
+        const exact = !search && !upcoming && !archived &&
+            this.feeds.find(feed => WorkshopFilter.equals(feed.filter || {}, this.filters));
+        const feed = exact || this.feeds
+            .filter(feed => this.coversSelection(feed))
+            .sort((a, b) => a.workshop_ids.length - b.workshop_ids.length)[0];
+
+        return feed ? this.resolveFeed(feed, Boolean(exact)) : null;
+    }
+
+    /**
+     * Resolve a feed's URLs against the current site, so the links work on
+     * any deployment (forks and previews included): the calendar, its webcal
+     * link and the Atom and JSON Feed versions
+     * @param {Object} feed - Entry from calendars/index.json
+     * @param {boolean} exact - Whether the feed matches the selection exactly
+     * @returns {Object} Feed with `exact` flag and resolved URLs
+     */
+    resolveFeed(feed, exact) {
+        const baseUrl = window.location.origin + this.getCataloguePath();
+        const resolve = file => `${baseUrl}calendars/${file}`;
+        const url = resolve(feed.file);
+
+        return {
+            ...feed,
+            exact,
+            url,
+            webcal: ICalGenerator.generateWebcalURL(url),
+            atom: feed.atom ? resolve(new URL(feed.atom).pathname.split('/').pop()) : undefined,
+            json_feed: feed.json_feed ? resolve(new URL(feed.json_feed).pathname.split('/').pop()) : undefined
+        };
+    }
+
+    /**
+     * Whether a feed carries every selected session (the filtered workshops'
+     * sessions that haven't ended and meet the session filters), and lists
+     * the filtered workshops so their later sessions reach it too. Goes by
+     * the feed's filter rather than its `workshop_ids`, which leave out
+     * workshops whose sessions have all ended.
+     * @param {Object} feed - Entry from calendars/index.json
+     * @returns {boolean}
+     */
+    coversSelection(feed) {
+        const filter = feed.filter || {};
+
+        return this.filteredWorkshops.every(workshop =>
+            workshop.is_active &&
+            WorkshopFilter.matches(workshop, filter, this.getOfferings(workshop)) &&
+            this.icalGenerator.getOfferings(workshop, this.filters).every(offering =>
+                OfferingSchedule.matchesWhen(offering, filter) &&
+                WorkshopFilter.matchesOffering(offering, workshop, filter)
+            )
+        );
     }
 
     /**
      * Download ICS file for current filtered workshops
+     * @param {Object} selection - Workshops, filename and calendar name to use instead
      */
-    downloadICS() {
-        if (this.filteredWorkshops.length === 0) {
+    downloadICS(selection = {}) {
+        const workshops = selection.workshops || this.filteredWorkshops;
+        if (workshops.length === 0) {
             alert('No workshops match your current filters. Please adjust your filters and try again.');
             return;
         }
 
-        const icsContent = this.icalGenerator.generate(this.filteredWorkshops);
-        const filename = this.generateFilename();
+        const icsContent = this.icalGenerator.generate(workshops, selection.calendar);
+        const filename = selection.filename || this.generateFilename();
         
         ICalGenerator.downloadICS(icsContent, filename);
     }
 
     /**
      * Generate a descriptive filename based on current filters
-     * @returns {string} Filename for ICS file
+     * @param {string|null} extension - File extension (default: 'ics'), or null for none
+     * @returns {string} Filename for the export
      */
-    generateFilename() {
+    generateFilename(extension = 'ics') {
         let parts = ['rds-workshops'];
         
-        if (this.filters.area) {
-            const area = this.data.areas.find(a => a.id === this.filters.area);
-            if (area) parts.push(area.label.toLowerCase().replace(/\s+/g, '-'));
-        }
+        ['area', 'format', 'audience'].forEach(facet => {
+            WorkshopFilter.getValues(this.filters, facet).forEach(id => {
+                const label = this.getFilterValueLabel(facet, id);
+                if (label) parts.push(label.toLowerCase().replace(/\s+/g, '-'));
+            });
+        });
         
-        if (this.filters.format) {
-            const format = this.data.formats.find(f => f.id === this.filters.format);
-            if (format) parts.push(format.label.toLowerCase().replace(/\s+/g, '-'));
+        return parts.join('-') + (extension ? `.${extension}` : '');
+    }
+
+    /**
+     * Export the filtered workshops from the Export menu
+     * @param {string} format - 'csv', 'json', 'ics' or 'print'
+     */
+    exportWorkshops(format) {
+        const workshops = this.filteredWorkshops;
+        if (workshops.length === 0) {
+            alert('No workshops match your current filters. Please adjust your filters and try again.');
+            return;
         }
-        
-        if (this.filters.audience) {
-            const audience = this.data.audiences.find(a => a.id === this.filters.audience);
-            if (audience) parts.push(audience.label.toLowerCase().replace(/\s+/g, '-'));
+
+        if (format === 'ics') {
+            this.downloadICS();
+        } else if (format === 'csv') {
+            const sessions = CatalogueExport.getSessions(this.data, workshops, this.filters);
+            CatalogueExport.download(CatalogueExport.toCSV(sessions), this.generateFilename('csv'), 'text/csv;charset=utf-8');
+        } else if (format === 'json') {
+            const subset = CatalogueExport.toData(this.data, workshops);
+            CatalogueExport.download(JSON.stringify(subset, null, 2) + '\n', this.generateFilename('json'), 'application/json');
+        } else if (format === 'print') {
+            this.printSchedule(workshops);
         }
-        
-        return parts.join('-') + '.ics';
     }
 
     /**
-     * Generate a hash for current filter state
-     * @returns {string} Filter hash
+     * Print a one-page schedule of the filtered sessions. Browsers name the
+     * PDF after the page title, so the title follows generateFilename() while
+     * printing.
+     * @param {Array} workshops - Workshops to include
      */
-    getFilterHash() {
-        const filterString = JSON.stringify(this.filters);
-        // Simple hash function
-        let hash = 0;
-        for (let i = 0; i < filterString.length; i++) {
-            const char = filterString.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash;
-        }
-        return Math.abs(hash).toString(36);
+    printSchedule(workshops) {
+        const container = document.getElementById('printSchedule');
+        const title = document.title;
+
+        container.innerHTML = this.templates.createPrintSchedule(
+            CatalogueExport.getSessions(this.data, workshops, this.filters),
+            {
+                summary: this.getFilterSummary(),
+                url: new URL(this.getCataloguePath(), window.location.href).toString()
+            }
+        );
+        document.body.classList.add('printing-schedule');
+        document.title = this.generateFilename(null);
+
+        window.addEventListener('afterprint', () => {
+            document.body.classList.remove('printing-schedule');
+            document.title = title;
+            container.innerHTML = '';
+        }, { once: true });
+        window.print();
     }
 
     /**
-     * Show modal with subscription instructions
-     * @param {string} icsUrl - URL to the ICS file
+     * Show modal with subscription links, or a one-time download when no
+     * published feed covers the current selection
+     * @param {Object|null} feed - Feed resolved by findFeed()
+     * @param {Object} selection - Workshops and summary to show instead of the current filters
      */
-    showSubscriptionModal(icsUrl) {
+    showSubscriptionModal(feed, selection = {}) {
+        const workshops = selection.workshops || this.filteredWorkshops;
         const modal = document.createElement('div');
         modal.className = 'modal fade';
-        modal.innerHTML = `
+        modal.innerHTML = html`
             <div class="modal-dialog modal-dialog-centered">
                 <div class="modal-content">
                     <div class="modal-header">
@@ -595,30 +1425,22 @@ class WorkshopCatalogue {
                         <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
                     </div>
                     <div class="modal-body">
-                        <p><strong>Don't miss these workshops!</strong></p>
-                        <p>Download a calendar file with automatic reminders so you don't forget to attend.</p>
-
-                        <p class="mb-2"><strong>How to import to your calendar:</strong></p>
-                        <ul class="small">
-                            <li><strong><i class="bi bi-google"></i> Google Calendar:</strong> Settings → Import & Export → Import</li>
-                            <li><strong><i class="bi bi-apple"></i> Apple Calendar:</strong> Double-click the downloaded file</li>
-                            <li><strong><i class="bi bi-microsoft"></i> Outlook:</strong> File → Open & Export → Import/Export</li>
-                        </ul>
+                        ${feed ? this.createSubscriptionLinks(feed, workshops) : this.createSnapshotInstructions()}
 
                         <div class="alert alert-info mt-3 mb-0">
                             <i class="bi bi-funnel"></i> 
                             <strong>Workshops included:</strong><br>
-                            ${this.getFilterSummary()}
+                            ${selection.summary || this.getFilterSummary()}
                             <div class="mt-2 small text-muted">
-                                (${this.filteredWorkshops.length} workshop${this.filteredWorkshops.length !== 1 ? 's' : ''})
+                                (${workshops.length} workshop${workshops.length !== 1 ? 's' : ''})
                             </div>
                         </div>
                     </div>
                     <div class="modal-footer">
-                        <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
-                        <button type="button" class="btn btn-primary" id="downloadFromModal">
+                        <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">${feed ? 'Close' : 'Cancel'}</button>
+                        ${feed ? '' : html`<button type="button" class="btn btn-primary" id="downloadFromModal">
                             <i class="bi bi-download"></i> Download Calendar File
-                        </button>
+                        </button>`}
                     </div>
                 </div>
             </div>
@@ -629,10 +1451,17 @@ class WorkshopCatalogue {
         bootstrapModal.show();
         
         // Handle download from modal
-        modal.querySelector('#downloadFromModal').addEventListener('click', () => {
-            this.downloadICS();
+        modal.querySelector('#downloadFromModal')?.addEventListener('click', () => {
+            this.downloadICS(selection);
             bootstrapModal.hide();
         });
+
+        // Copy feed URL
+        modal.querySelector('#copyFeedUrl')?.addEventListener('click', () => {
+            const input = modal.querySelector('#feedUrl');
+            input.select();
+            navigator.clipboard?.writeText(input.value);
+        });
         
         // Clean up modal after hiding
         modal.addEventListener('hidden.bs.modal', () => {
@@ -640,9 +1469,81 @@ class WorkshopCatalogue {
         });
     }
 
+    /**
+     * Build the subscription options for a published feed
+     * @param {Object} feed - Feed resolved by findFeed()
+     * @param {Array} workshops - Workshops the user selected
+     * @returns {SafeHtml} HTML for the modal body
+     */
+    createSubscriptionLinks(feed, workshops = this.filteredWorkshops) {
+        const googleUrl = `https://calendar.google.com/calendar/r?cid=${encodeURIComponent(feed.webcal)}`;
+        const outlookParams = new URLSearchParams({ url: feed.url, name: feed.name });
+        const outlookUrl = `https://outlook.live.com/calendar/0/addfromweb?${outlookParams.toString()}`;
+        const office365Url = `https://outlook.office.com/calendar/0/addfromweb?${outlookParams.toString()}`;
+        const extra = feed.workshop_ids.length - workshops.length;
+
+        return html`
+            <p><strong>Subscribe to "${feed.name}"</strong></p>
+            <p>Your calendar will stay up to date as sessions are added or changed, with automatic reminders before each one.</p>
+            ${feed.exact || extra === 0 ? '' : html`
+                <p class="small text-muted">
+                    There is no feed for exactly these filters; this is the closest one.
+                    It also includes ${extra} other workshop${extra !== 1 ? 's' : ''}.
+                </p>
+            `}
+
+            <div class="d-grid gap-2 mb-3">
+                <a href="${feed.webcal}" class="btn btn-primary">
+                    <i class="bi bi-apple"></i> Apple Calendar / Outlook desktop
+                </a>
+                <a href="${googleUrl}" class="btn btn-outline-primary" target="_blank" rel="noopener">
+                    <i class="bi bi-google"></i> Google Calendar
+                </a>
+                <a href="${outlookUrl}" class="btn btn-outline-primary" target="_blank" rel="noopener">
+                    <i class="bi bi-microsoft"></i> Outlook.com
+                </a>
+                <a href="${office365Url}" class="btn btn-outline-primary" target="_blank" rel="noopener">
+                    <i class="bi bi-microsoft"></i> Office 365
+                </a>
+            </div>
+
+            <label for="feedUrl" class="form-label small mb-1">Or add this URL to any calendar app:</label>
+            <div class="input-group input-group-sm">
+                <input type="text" class="form-control" id="feedUrl" value="${feed.url}" readonly>
+                <button class="btn btn-outline-secondary" type="button" id="copyFeedUrl">
+                    <i class="bi bi-clipboard"></i> Copy
+                </button>
+            </div>
+            ${feed.atom ? html`
+                <p class="small text-muted mt-3 mb-0">
+                    <i class="bi bi-rss"></i> Prefer a feed reader? Follow newly announced sessions as
+                    <a href="${feed.atom}">Atom</a> or <a href="${feed.json_feed}">JSON Feed</a>.
+                </p>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Build the instructions for a one-time calendar file download
+     * @returns {SafeHtml} HTML for the modal body
+     */
+    createSnapshotInstructions() {
+        return html`
+            <p><strong>Don't miss these workshops!</strong></p>
+            <p>No live calendar feed covers this selection, but you can download a calendar file with automatic reminders so you don't forget to attend. It won't update when sessions change.</p>
+
+            <p class="mb-2"><strong>How to import to your calendar:</strong></p>
+            <ul class="small">
+                <li><strong><i class="bi bi-google"></i> Google Calendar:</strong> Settings → Import & Export → Import</li>
+                <li><strong><i class="bi bi-apple"></i> Apple Calendar:</strong> Double-click the downloaded file</li>
+                <li><strong><i class="bi bi-microsoft"></i> Outlook:</strong> File → Open & Export → Import/Export</li>
+            </ul>
+        `;
+    }
+
     /**
      * Get a human-readable summary of current filters
-     * @returns {string} Filter summary HTML
+     * @returns {SafeHtml} Filter summary HTML
      */
     getFilterSummary() {
         const active = [];
@@ -650,28 +1551,25 @@ class WorkshopCatalogue {
         if (this.filters.search) {
             active.push(`Search: "${this.filters.search}"`);
         }
-        if (this.filters.area) {
-            const area = this.data.areas.find(a => a.id === this.filters.area);
-            if (area) active.push(`Area: ${area.label}`);
-        }
-        if (this.filters.audience) {
-            const audience = this.data.audiences.find(a => a.id === this.filters.audience);
-            if (audience) active.push(`Audience: ${audience.label}`);
-        }
-        if (this.filters.format) {
-            const format = this.data.formats.find(f => f.id === this.filters.format);
-            if (format) active.push(`Format: ${format.label}`);
-        }
-        if (this.filters.department) {
-            const dept = this.data.departments.find(d => d.id === this.filters.department);
-            if (dept) active.push(`Department: ${dept.label}`);
+        this.getFacets().forEach(facet => {
+            const labels = WorkshopFilter.getValues(this.filters, facet.key)
+                .map(id => this.getFilterValueLabel(facet.key, id))
+                .filter(Boolean);
+            const joiner = WorkshopFilter.getMode(this.filters, facet.key) === WorkshopFilter.AND ? ' and ' : ' or ';
+            if (labels.length > 0) active.push(`${facet.label}: ${labels.join(joiner)}`);
+        });
+        this.getWhenSelections().forEach(selection => {
+            const labels = selection.values.map(value => this.getFilterValueLabel(selection.key, value)).filter(Boolean);
+            if (labels.length > 0) active.push(`${selection.label}: ${labels.join(' or ')}`);
+        });
+        if (this.filters.upcoming) {
+            active.push('Has upcoming sessions');
         }
-        if (this.filters.instructor) {
-            const instructor = this.data.instructors.find(i => i.id === this.filters.instructor);
-            if (instructor) active.push(`Instructor: ${instructor.name}`);
+        if (this.filters.archived) {
+            active.push('Archived workshops');
         }
         
-        return active.length > 0 ? active.join('<br>') : 'No filters applied (all workshops)';
+        return active.length > 0 ? html.join(active, html`<br>`) : html`No filters applied (all workshops)`;
     }
 
 }
@@ -0,0 +1,332 @@
+// Calendar Core
+// Shared iCalendar building blocks used by the browser app (ICalGenerator),
+// the Add-to-Calendar helper and the Node.js build script (scripts/generate-ics.js)
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CalendarCore = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const PRODID = '-//UCSB Library//RDS Workshops//EN';
+    const UID_DOMAIN = 'rds-workshops.ucsb.edu';
+    const TIMEZONE = 'America/Los_Angeles';
+    const CRLF = '\r\n';
+
+    // Lines longer than this many octets are folded (RFC 5545, section 3.1)
+    const MAX_LINE_OCTETS = 75;
+
+    // Pacific time definition embedded in every calendar, so clients don't
+    // depend on their own time zone database to resolve TZID references
+    const VTIMEZONE = [
+        'BEGIN:VTIMEZONE',
+        `TZID:${TIMEZONE}`,
+        `X-LIC-LOCATION:${TIMEZONE}`,
+        'BEGIN:DAYLIGHT',
+        'TZOFFSETFROM:-0800',
+        'TZOFFSETTO:-0700',
+        'TZNAME:PDT',
+        'DTSTART:19700308T020000',
+        'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+        'END:DAYLIGHT',
+        'BEGIN:STANDARD',
+        'TZOFFSETFROM:-0700',
+        'TZOFFSETTO:-0800',
+        'TZNAME:PST',
+        'DTSTART:19701101T020000',
+        'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+        'END:STANDARD',
+        'END:VTIMEZONE'
+    ];
+
+    const zonedFormatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: TIMEZONE,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    });
+
+    /**
+     * Format date as wall-clock time in the calendar time zone (YYYYMMDDTHHMMSS),
+     * to be used with a TZID parameter. Independent of the machine's own time zone.
+     * @param {Date} date - JavaScript Date object
+     * @returns {string} Formatted date string
+     */
+    function formatDate(date) {
+        const parts = {};
+        zonedFormatter.formatToParts(date).forEach(part => {
+            parts[part.type] = part.value;
+        });
+
+        return `${parts.year}${parts.month}${parts.day}T${parts.hour}${parts.minute}${parts.second}`;
+    }
+
+    /**
+     * Format date as UTC time (YYYYMMDDTHHMMSSZ), e.g. for DTSTAMP
+     * @param {Date} date - JavaScript Date object
+     * @returns {string} Formatted date string
+     */
+    function formatUTCDate(date) {
+        return date.toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+    }
+
+    /**
+     * Escape special characters in iCalendar text fields
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    function escapeText(text) {
+        if (!text) return '';
+
+        return String(text)
+            .replace(/\r\n?/g, '\n')   // Normalize line endings
+            .replace(/\\/g, '\\\\')    // Backslash
+            .replace(/;/g, '\\;')      // Semicolon
+            .replace(/,/g, '\\,')      // Comma
+            .replace(/\n/g, '\\n');    // Newline
+    }
+
+    /**
+     * Escape a property parameter value. Parameter values can't contain
+     * double quotes or control characters, and must be quoted when they
+     * contain ":", ";" or ","
+     * @param {string} value - Parameter value
+     * @returns {string} Escaped parameter value
+     */
+    function escapeParam(value) {
+        const clean = String(value).replace(/[\u0000-\u001f\u007f"]/g, '');
+        return /[:;,]/.test(clean) ? `"${clean}"` : clean;
+    }
+
+    /**
+     * Fold a content line to at most 75 octets per line. Never splits a
+     * multi-byte UTF-8 character across lines.
+     * @param {string} line - Unfolded content line
+     * @returns {string} Folded content line
+     */
+    function foldLine(line) {
+        let folded = '';
+        let octets = 0;
+
+        for (const char of line) {
+            const code = char.codePointAt(0);
+            const size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+
+            if (octets + size > MAX_LINE_OCTETS) {
+                // Continuation lines start with a single space, which counts as one octet
+                folded += CRLF + ' ';
+                octets = 1;
+            }
+
+            folded += char;
+            octets += size;
+        }
+
+        return folded;
+    }
+
+    /**
+     * Build a folded content line
+     * @param {string} name - Property name (e.g. DTSTART)
+     * @param {string} value - Property value, already escaped if it's text
+     * @param {Object} params - Property parameters (e.g. { TZID: 'America/Los_Angeles' })
+     * @returns {string} Content line
+     */
+    function property(name, value, params = {}) {
+        const paramString = Object.entries(params)
+            .map(([key, paramValue]) => `;${key}=${escapeParam(paramValue)}`)
+            .join('');
+
+        return foldLine(`${name}${paramString}:${value}`);
+    }
+
+    /**
+     * Simple, stable string hash (base 36)
+     * @param {string} text - Text to hash
+     * @returns {string} Hash string
+     */
+    function hashString(text) {
+        let hash = 0;
+        for (let i = 0; i < text.length; i++) {
+            const char = text.charCodeAt(i);
+            hash = ((hash << 5) - hash) + char;
+            hash = hash & hash;
+        }
+        return Math.abs(hash).toString(36);
+    }
+
+    /**
+     * Build a stable UID for an event. Uses the given id when available,
+     * otherwise a hash of the event title and start time.
+     * @param {Object} event - Event details
+     * @returns {string} UID value
+     */
+    function createUID(event) {
+        const id = event.uid || hashString(`${event.title}|${new Date(event.start).toISOString()}`);
+        return `${id}@${UID_DOMAIN}`;
+    }
+
+    /**
+     * Create an iCalendar event (VEVENT)
+     * @param {Object} event - Event details
+     * @param {string} event.uid - Stable identifier (e.g. the offering id)
+     * @param {string} event.title - Event title
+     * @param {string} event.description - Event description
+     * @param {string} event.location - Event location
+     * @param {Date} event.start - Start date/time
+     * @param {Date} event.end - End date/time
+     * @param {string} event.url - Event URL (optional)
+     * @param {Object} event.conference - Video call as { url, label } (optional): a
+     *   CONFERENCE property (RFC 7986), and X-GOOGLE-CONFERENCE for clients that
+     *   only know Google's
+     * @param {Date|string} event.updated - Last change to the event (optional). Used for
+     *   DTSTAMP and LAST-MODIFIED so unchanged events produce identical output.
+     * @param {boolean} event.cancelled - Publish the event as cancelled (optional)
+     * @param {number} event.sequence - Revision number, bumped when the event is
+     *   rescheduled or cancelled so calendars replace their copy (default: 0)
+     * @param {string} event.rrule - Recurrence rule, e.g. 'FREQ=WEEKLY;COUNT=4' (optional)
+     * @param {Array<Date>} event.rdates - Extra occurrences (RDATE, optional)
+     * @param {Array<Date>} event.exdates - Occurrences left out (EXDATE, optional)
+     * @param {Array<Object>} event.overrides - Occurrences that differ from the
+     *   rule, as event details with a `recurrenceId` (the occurrence's original
+     *   start); each becomes a VEVENT of its own with a RECURRENCE-ID and the
+     *   same UID (optional)
+     * @param {Date} event.recurrenceId - Occurrence this event overrides (optional)
+     * @returns {string} VEVENT formatted string (several for overrides)
+     */
+    function createEvent(event) {
+        const start = new Date(event.start);
+        const end = new Date(event.end);
+        const title = escapeText(event.title);
+        const stamp = event.updated ? new Date(event.updated) : new Date();
+
+        const lines = [
+            'BEGIN:VEVENT',
+            property('UID', createUID(event)),
+            property('DTSTAMP', formatUTCDate(stamp)),
+            property('DTSTART', formatDate(start), { TZID: TIMEZONE }),
+            property('DTEND', formatDate(end), { TZID: TIMEZONE }),
+            ...recurrenceLines(event),
+            property('SUMMARY', title),
+            property('DESCRIPTION', escapeText(event.description)),
+            property('LOCATION', escapeText(event.location))
+        ];
+
+        if (event.url) lines.push(property('URL', event.url));
+        if (event.conference?.url) {
+            lines.push(
+                property('CONFERENCE', event.conference.url, {
+                    VALUE: 'URI',
+                    FEATURE: 'VIDEO',
+                    ...(event.conference.label ? { LABEL: event.conference.label } : {})
+                }),
+                property('X-GOOGLE-CONFERENCE', event.conference.url)
+            );
+        }
+        if (event.updated) lines.push(property('LAST-MODIFIED', formatUTCDate(stamp)));
+
+        lines.push(
+            `STATUS:${event.cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+            `SEQUENCE:${event.sequence || 0}`
+        );
+
+        const overrides = (event.overrides || []).map(override => createEvent({
+            ...event,
+            rrule: null,
+            rdates: null,
+            exdates: null,
+            overrides: null,
+            ...override
+        }));
+
+        // No reminders for a session that isn't happening
+        if (event.cancelled) {
+            lines.push('END:VEVENT');
+            return [lines.join(CRLF), ...overrides].join(CRLF);
+        }
+
+        lines.push(
+            'BEGIN:VALARM',
+            'TRIGGER:-PT24H',
+            'ACTION:DISPLAY',
+            property('DESCRIPTION', `Reminder: ${title} tomorrow`),
+            'END:VALARM',
+            'BEGIN:VALARM',
+            'TRIGGER:-PT1H',
+            'ACTION:DISPLAY',
+            property('DESCRIPTION', `Reminder: ${title} in 1 hour`),
+            'END:VALARM',
+            'END:VEVENT'
+        );
+
+        return [lines.join(CRLF), ...overrides].join(CRLF);
+    }
+
+    /**
+     * RECURRENCE-ID, RRULE, RDATE and EXDATE lines of an event, in the
+     * calendar time zone like DTSTART
+     * @param {Object} event - Event details
+     * @returns {Array<string>} Content lines
+     */
+    function recurrenceLines(event) {
+        const times = dates => (dates || []).map(date => formatDate(new Date(date))).join(',');
+        const lines = [];
+
+        if (event.recurrenceId) lines.push(property('RECURRENCE-ID', formatDate(new Date(event.recurrenceId)), { TZID: TIMEZONE }));
+        if (event.rrule) lines.push(property('RRULE', event.rrule));
+        if (event.rdates?.length > 0) lines.push(property('RDATE', times(event.rdates), { TZID: TIMEZONE }));
+        if (event.exdates?.length > 0) lines.push(property('EXDATE', times(event.exdates), { TZID: TIMEZONE }));
+
+        return lines;
+    }
+
+    /**
+     * Wrap events in calendar structure
+     * @param {Array<string>} events - VEVENT strings
+     * @param {Object} options - Calendar options
+     * @param {string} options.name - Calendar display name (X-WR-CALNAME)
+     * @param {string} options.description - Calendar description (X-WR-CALDESC)
+     * @param {string} options.color - Calendar color as a hex value (X-APPLE-CALENDAR-COLOR)
+     * @returns {string} Complete ICS file content, CRLF-terminated
+     */
+    function wrapInCalendar(events, options = {}) {
+        const header = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            property('PRODID', PRODID),
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH'
+        ];
+
+        if (options.name) {
+            header.push(property('X-WR-CALNAME', escapeText(options.name)));
+            header.push(property('X-WR-TIMEZONE', TIMEZONE));
+            if (options.description) header.push(property('X-WR-CALDESC', escapeText(options.description)));
+            if (options.color) header.push(property('X-APPLE-CALENDAR-COLOR', options.color));
+        }
+
+        return [...header, ...VTIMEZONE, ...events, 'END:VCALENDAR'].join(CRLF) + CRLF;
+    }
+
+    return {
+        PRODID,
+        UID_DOMAIN,
+        TIMEZONE,
+        CRLF,
+        formatDate,
+        formatUTCDate,
+        escapeText,
+        escapeParam,
+        foldLine,
+        property,
+        hashString,
+        createUID,
+        createEvent,
+        wrapInCalendar
+    };
+}));
@@ -0,0 +1,229 @@
+// Calendar View
+// Month and week (agenda) layouts of workshop sessions, shown as an
+// alternative to the card grid. Days are campus days, as in the filters and
+// the session list, whatever the visitor's time zone: cells hold days as
+// campus dates (YYYY-MM-DD) and times show in campus time.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./html'), require('./calendar-core'), require('./offering-recurrence'));
+    } else {
+        root.CalendarView = factory(root.html, root.CalendarCore, root.OfferingRecurrence);
+    }
+}(typeof self !== 'undefined' ? self : this, function (html, CalendarCore, OfferingRecurrence) {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // Campus dates are formatted as UTC midnights, so the labels don't shift
+    // with the visitor's time zone
+    const dateFormat = options => new Intl.DateTimeFormat('en-US', { timeZone: 'UTC', ...options });
+    const monthTitle = dateFormat({ month: 'long', year: 'numeric' });
+    const agendaDay = dateFormat({ weekday: 'long', month: 'short', day: 'numeric' });
+    const rangeStart = dateFormat({ month: 'short', day: 'numeric' });
+    const rangeEnd = dateFormat({ month: 'short', day: 'numeric', year: 'numeric' });
+    const campusTime = new Intl.DateTimeFormat('en-US', { timeZone: CalendarCore.TIMEZONE, hour: 'numeric', minute: '2-digit' });
+
+    /**
+     * A campus date as a Date at UTC midnight, for date arithmetic
+     * @param {string} day - YYYY-MM-DD
+     * @returns {Date}
+     */
+    const toDate = day => new Date(`${day}T00:00:00Z`);
+
+    /**
+     * A campus date some days later (or earlier)
+     * @param {string} day - YYYY-MM-DD
+     * @param {number} days - Days to add
+     * @returns {string} YYYY-MM-DD
+     */
+    const addDays = (day, days) => new Date(toDate(day).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+
+    class CalendarView {
+        /**
+         * @param {HTMLElement} container - Element to render into
+         * @param {Object} options - View options
+         * @param {Function} options.onSelect - Called with the workshop id when an event is clicked
+         * @param {Function} options.now - Returns the current time
+         */
+        constructor(container, options = {}) {
+            this.container = container;
+            this.onSelect = options.onSelect || (() => {});
+            this.now = options.now || (() => new Date());
+            this.mode = 'month';
+            this.cursor = null;
+            this.events = [];
+
+            this.container.addEventListener('click', (e) => {
+                const nav = e.target.closest('[data-calendar-nav]');
+                const event = e.target.closest('[data-workshop-id]');
+
+                if (nav) {
+                    this.navigate(nav.dataset.calendarNav);
+                } else if (event) {
+                    e.preventDefault();
+                    this.onSelect(event.dataset.workshopId);
+                }
+            });
+        }
+
+        /**
+         * Render events in the given mode
+         * @param {Array} events - Events as { workshopId, title, start, end, location, status }
+         * @param {string} mode - 'month' or 'week'
+         */
+        render(events, mode = this.mode) {
+            this.events = [...events].sort((a, b) => a.start - b.start);
+            this.mode = mode;
+
+            // Start on the month/week of the next session, or today
+            if (!this.cursor) {
+                const now = this.now();
+                const next = this.events.find(event => event.end > now);
+                this.cursor = OfferingRecurrence.getLocalDate(next ? next.start : now);
+            }
+
+            this.container.innerHTML = html`
+                ${this.createToolbar()}
+                ${this.mode === 'week' ? this.createWeek() : this.createMonth()}
+            `;
+        }
+
+        /**
+         * Move the visible period
+         * @param {string} direction - 'prev', 'next' or 'today'
+         */
+        navigate(direction) {
+            if (direction === 'today') {
+                this.cursor = OfferingRecurrence.getLocalDate(this.now());
+            } else {
+                const step = direction === 'prev' ? -1 : 1;
+                if (this.mode === 'week') {
+                    this.cursor = addDays(this.cursor, step * 7);
+                } else {
+                    const cursor = toDate(this.cursor);
+                    this.cursor = new Date(Date.UTC(cursor.getUTCFullYear(), cursor.getUTCMonth() + step, 1)).toISOString().slice(0, 10);
+                }
+            }
+
+            this.render(this.events, this.mode);
+        }
+
+        createToolbar() {
+            const title = this.mode === 'week'
+                ? this.formatWeekRange(this.startOfWeek(this.cursor))
+                : monthTitle.format(toDate(this.cursor));
+
+            return html`
+                <div class="d-flex justify-content-between align-items-center mb-3 calendar-toolbar">
+                    <div class="btn-group btn-group-sm" role="group" aria-label="Calendar navigation">
+                        <button type="button" class="btn btn-outline-secondary" data-calendar-nav="prev" title="Previous">
+                            <i class="bi bi-chevron-left"></i>
+                        </button>
+                        <button type="button" class="btn btn-outline-secondary" data-calendar-nav="today">Today</button>
+                        <button type="button" class="btn btn-outline-secondary" data-calendar-nav="next" title="Next">
+                            <i class="bi bi-chevron-right"></i>
+                        </button>
+                    </div>
+                    <h5 class="mb-0 calendar-title">${title}</h5>
+                </div>
+            `;
+        }
+
+        createMonth() {
+            const month = this.cursor.slice(0, 7);
+            const today = OfferingRecurrence.getLocalDate(this.now());
+            const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+            return html`
+                <div class="calendar-month">
+                    ${weekdays.map(name => html`<div class="calendar-weekday">${name}</div>`)}
+                    ${this.getMonthDays().map(day => html`
+                        <div class="calendar-day ${day.slice(0, 7) !== month ? 'calendar-day-outside' : ''} ${day === today ? 'calendar-day-today' : ''}">
+                            <div class="calendar-day-number">${Number(day.slice(8))}</div>
+                            ${this.getEventsOn(day).map(event => html`
+                                <a href="#" class="calendar-event calendar-event-${event.status}" data-workshop-id="${event.workshopId}" title="${event.title}">
+                                    <span class="calendar-event-time">${this.formatTime(event.start)}</span> ${event.title}
+                                </a>
+                            `)}
+                        </div>
+                    `)}
+                </div>
+            `;
+        }
+
+        createWeek() {
+            const start = this.startOfWeek(this.cursor);
+            const days = Array.from({ length: 7 }, (_, i) => addDays(start, i));
+            const today = OfferingRecurrence.getLocalDate(this.now());
+
+            return html`
+                <div class="calendar-agenda list-group">
+                    ${days.map(day => {
+                        const events = this.getEventsOn(day);
+                        return html`
+                            <div class="list-group-item ${day === today ? 'calendar-day-today' : ''}">
+                                <div class="fw-bold mb-1">${agendaDay.format(toDate(day))}</div>
+                                ${events.length === 0 ? html`<small class="text-muted">No sessions</small>` : events.map(event => html`
+                                    <a href="#" class="d-block calendar-agenda-event calendar-event-${event.status}" data-workshop-id="${event.workshopId}">
+                                        <small class="text-muted me-2">${this.formatTime(event.start)} - ${this.formatTime(event.end)}</small>
+                                        ${event.title}
+                                        ${event.location ? html`<small class="text-muted ms-2"><i class="bi bi-geo-alt"></i> ${event.location}</small>` : ''}
+                                    </a>
+                                `)}
+                            </div>
+                        `;
+                    })}
+                </div>
+            `;
+        }
+
+        /**
+         * Whole weeks (Sunday to Saturday) covering the cursor's month
+         * @returns {Array<string>} Campus dates (YYYY-MM-DD)
+         */
+        getMonthDays() {
+            const first = `${this.cursor.slice(0, 7)}-01`;
+            const next = toDate(first);
+            next.setUTCMonth(next.getUTCMonth() + 1);
+            const last = addDays(next.toISOString().slice(0, 10), -1);
+            const end = addDays(last, 6 - toDate(last).getUTCDay());
+            const days = [];
+
+            for (let day = this.startOfWeek(first); day <= end; day = addDays(day, 1)) {
+                days.push(day);
+            }
+            return days;
+        }
+
+        /**
+         * Events taking place on a campus day: starting on it, or starting
+         * before and still going
+         * @param {string} day - YYYY-MM-DD
+         * @returns {Array} Events
+         */
+        getEventsOn(day) {
+            return this.events.filter(event =>
+                OfferingRecurrence.getLocalDate(event.start) <= day &&
+                OfferingRecurrence.getLocalDate(new Date(Math.max(event.start, event.end - 1))) >= day
+            );
+        }
+
+        /**
+         * Sunday of a campus date's week
+         * @param {string} day - YYYY-MM-DD
+         * @returns {string} YYYY-MM-DD
+         */
+        startOfWeek(day) {
+            return addDays(day, -toDate(day).getUTCDay());
+        }
+
+        formatTime(date) {
+            return campusTime.format(date);
+        }
+
+        formatWeekRange(start) {
+            return `${rangeStart.format(toDate(start))} – ${rangeEnd.format(toDate(addDays(start, 6)))}`;
+        }
+    }
+
+    return CalendarView;
+}));
@@ -0,0 +1,218 @@
+// Catalogue Export
+// Spreadsheet (CSV) and data (JSON) exports of a selection of workshops, and
+// the session list behind the printable schedule. Ids are resolved to labels
+// and times are given in campus time, wherever the browser runs.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(
+            require('./calendar-core'),
+            require('./offering-schedule'),
+            require('./offering-location'),
+            require('./offering-recurrence')
+        );
+    } else {
+        root.CatalogueExport = factory(root.CalendarCore, root.OfferingSchedule, root.OfferingLocation, root.OfferingRecurrence);
+    }
+}(typeof self !== 'undefined' ? self : this, function (CalendarCore, OfferingSchedule, OfferingLocation, OfferingRecurrence) {
+    const CSV_LINE_END = '\r\n';
+
+    // Excel only reads CSV files as UTF-8 when they start with a byte order mark
+    const BOM = '\uFEFF';
+
+    // Cells starting with these are run as formulas by spreadsheet apps
+    const FORMULA_START = /^[=+\-@\t\r]/;
+
+    const localFormat = new Intl.DateTimeFormat('en-US', {
+        timeZone: CalendarCore.TIMEZONE,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+
+    // Spreadsheet columns: header -> value of a session
+    const CSV_COLUMNS = {
+        'Date': session => session.date,
+        'Day': session => session.day,
+        'Start': session => session.start,
+        'End': session => session.end,
+        'Workshop': session => session.workshop.title,
+        'Part': session => session.part,
+        'Series': session => session.series,
+        'Format': session => session.format,
+        'Location': session => session.location,
+        'Instructors': session => session.instructors.join('; '),
+        'Departments': session => session.departments.join('; '),
+        'Areas': session => session.areas.join('; '),
+        'Audience': session => session.audiences.join('; '),
+        'Capacity': session => session.offering.capacity,
+        'Registration': session => session.offering.registration_url,
+        'Workshop ID': session => session.workshop.id,
+        'Session ID': session => session.offering.id
+    };
+
+    /**
+     * Campus-time date and time of a moment
+     * @param {Date} date - Moment in time
+     * @returns {Object} { date: 'YYYY-MM-DD', day: 'Mon', time: 'HH:MM' }
+     */
+    function getLocalDateTime(date) {
+        const parts = Object.fromEntries(localFormat.formatToParts(date).map(part => [part.type, part.value]));
+
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            day: parts.weekday,
+            time: `${parts.hour}:${parts.minute}`
+        };
+    }
+
+    /**
+     * Labels of the items a list of ids points to
+     * @param {Array} items - Collection (e.g. data.areas)
+     * @param {Array} ids - Ids
+     * @param {string} labelKey - Field holding the label (default: 'label')
+     * @returns {Array} Labels
+     */
+    function getLabels(items, ids = [], labelKey = 'label') {
+        return [].concat(ids)
+            .map(id => items.find(item => item.id === id)?.[labelKey])
+            .filter(Boolean);
+    }
+
+    /**
+     * Sessions of some workshops, soonest first, with labels resolved. Every
+     * meeting of a series is a session of its own.
+     * @param {Object} data - Workshop catalogue data
+     * @param {Array} workshops - Workshop objects
+     * @param {Object} when - Only include sessions meeting these criteria
+     *   (see OfferingSchedule.matchesWhen; optional)
+     * @returns {Array} Sessions as { workshop, offering, meeting, part, date, day,
+     *   start, end, series, format, location, instructors, departments, areas, audiences }
+     */
+    function getSessions(data, workshops, when = {}) {
+        return workshops
+            .flatMap(workshop => data.offerings
+                .filter(o => o.workshop_id === workshop.id && OfferingSchedule.matchesWhen(o, when))
+                .flatMap(offering => {
+                    const meetings = OfferingRecurrence.getMeetings(offering);
+
+                    return meetings
+                        .filter(meeting => OfferingSchedule.matchesTime(meeting.start, when))
+                        .map(meeting => ({ offering, meeting, part: meetings.length > 1 ? `${meetings.indexOf(meeting) + 1} of ${meetings.length}` : '' }));
+                })
+                .map(({ offering, meeting, part }) => {
+                    const start = getLocalDateTime(meeting.start);
+
+                    return {
+                        workshop,
+                        offering,
+                        meeting,
+                        part,
+                        date: start.date,
+                        day: start.day,
+                        start: start.time,
+                        end: getLocalDateTime(meeting.end).time,
+                        series: getLabels(data.series, workshop.series_id || [], 'title')[0] || '',
+                        format: getLabels(data.formats, OfferingLocation.getFormatId(offering, workshop))[0] || '',
+                        location: OfferingLocation.getLabel(offering),
+                        instructors: getLabels(data.instructors, workshop.instructor_ids, 'name'),
+                        departments: getLabels(data.departments, workshop.department_ids),
+                        areas: getLabels(data.areas, workshop.area_ids),
+                        audiences: getLabels(data.audiences, workshop.audience_ids)
+                    };
+                }))
+            .sort((a, b) => a.meeting.start - b.meeting.start);
+    }
+
+    /**
+     * Quote a CSV cell (RFC 4180) and defuse formulas
+     * @param {*} value - Cell value
+     * @returns {string} CSV cell
+     */
+    function toCSVCell(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (FORMULA_START.test(text)) text = `'${text}`;
+
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Spreadsheet of sessions, one row each
+     * @param {Array} sessions - Sessions from getSessions()
+     * @returns {string} CSV content
+     */
+    function toCSV(sessions) {
+        const rows = [
+            Object.keys(CSV_COLUMNS),
+            ...sessions.map(session => Object.values(CSV_COLUMNS).map(column => column(session)))
+        ];
+
+        return BOM + rows.map(row => row.map(toCSVCell).join(',')).join(CSV_LINE_END) + CSV_LINE_END;
+    }
+
+    /**
+     * The part of workshops.json describing some workshops: the workshops,
+     * all their sessions, and the series, people and labels they refer to
+     * @param {Object} data - Workshop catalogue data
+     * @param {Array} workshops - Workshop objects
+     * @returns {Object} Data in the shape of workshops.json
+     */
+    function toData(data, workshops) {
+        const ids = new Set(workshops.map(w => w.id));
+        const used = (collection, field) => {
+            const refs = new Set(workshops.flatMap(w => [].concat(w[field] || [])));
+            return data[collection].filter(item => refs.has(item.id));
+        };
+        const series = used('series', 'series_id');
+        const instructors = used('instructors', 'instructor_ids');
+        const departmentIds = new Set([
+            ...workshops.flatMap(w => w.department_ids || []),
+            ...series.flatMap(s => s.department_ids || []),
+            ...instructors.map(i => i.department_id)
+        ]);
+
+        return {
+            workshops: data.workshops.filter(w => ids.has(w.id)),
+            series: series.map(series => ({
+                ...series,
+                workshop_ids: series.workshop_ids.filter(id => ids.has(id))
+            })),
+            offerings: data.offerings.filter(o => ids.has(o.workshop_id)),
+            instructors,
+            departments: data.departments.filter(d => departmentIds.has(d.id)),
+            formats: used('formats', 'format_id'),
+            areas: used('areas', 'area_ids'),
+            audiences: used('audiences', 'audience_ids')
+        };
+    }
+
+    /**
+     * Download text as a file
+     * @param {string} content - File content
+     * @param {string} filename - Filename for download
+     * @param {string} type - MIME type
+     */
+    function download(content, filename, type) {
+        const blob = new Blob([content], { type });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(link.href);
+    }
+
+    return {
+        CSV_COLUMNS,
+        getLocalDateTime,
+        getSessions,
+        toCSV,
+        toData,
+        download
+    };
+}));
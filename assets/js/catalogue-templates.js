@@ -0,0 +1,971 @@
+// Catalogue Templates
+// Workshop cards, the workshop, series and instructor pages, and the printable
+// schedule. Loaded as a plain script by the catalogue and with require() by
+// scripts/build-pages.js, which pre-renders the same markup into static pages.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(
+            require('./html'),
+            require('./calendar-core'),
+            require('./offering-schedule'),
+            require('./offering-location'),
+            require('./offering-recurrence'),
+            require('./search-index'),
+            require('./add-to-calendar')
+        );
+    } else {
+        root.CatalogueTemplates = factory(
+            root.html,
+            root.CalendarCore,
+            root.OfferingSchedule,
+            root.OfferingLocation,
+            root.OfferingRecurrence,
+            root.SearchIndex,
+            root.AddToCalendar
+        );
+    }
+}(typeof self !== 'undefined' ? self : this, function (html, CalendarCore, OfferingSchedule, OfferingLocation, OfferingRecurrence, SearchIndex, AddToCalendar) {
+
+    // Session dates and times are in campus time, like the recurrence rules
+    // and the filters, so they read the same wherever the page is built or
+    // viewed
+    const campusFormat = options => new Intl.DateTimeFormat('en-US', { timeZone: CalendarCore.TIMEZONE, ...options });
+    const sessionDate = campusFormat({ weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+    const sessionHours = campusFormat({ hour: '2-digit', minute: '2-digit' });
+    const shortDate = campusFormat({ weekday: 'short', month: 'short', day: 'numeric' });
+    const shortDateTime = campusFormat({ weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+    const longDate = campusFormat({ weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+    const seriesDates = campusFormat({ month: 'short', day: 'numeric' });
+    const shortTime = campusFormat({ hour: 'numeric', minute: '2-digit' });
+    const seriesWeekdays = campusFormat({ weekday: 'long' });
+    const seriesDays = new Intl.ListFormat('en-US', { type: 'conjunction' });
+
+    // Page -> folder of its pre-rendered files
+    const PAGE_FOLDERS = {
+        workshop: 'workshops',
+        series: 'series'
+    };
+
+    class CatalogueTemplates {
+        /**
+         * @param {Object} data - Workshop catalogue data
+         * @param {Object} options - Template options
+         * @param {ICalGenerator} options.icalGenerator - Builds the "Remind Me" events
+         * @param {Function} options.now - Current time (default: the real clock)
+         * @param {Function} options.getSearchMatches - Words to highlight in a workshop card
+         * @param {string} options.cataloguePath - Link back to the catalogue (default: './')
+         * @param {Function} options.getSeats - Live count of seats left in a session,
+         *   or undefined to show its static capacity (see SeatProvider)
+         */
+        constructor(data, options = {}) {
+            this.data = data;
+            this.icalGenerator = options.icalGenerator;
+            this.now = options.now || (() => new Date());
+            this.getSearchMatches = options.getSearchMatches || (() => null);
+            this.cataloguePath = options.cataloguePath || './';
+            this.getSeats = options.getSeats || (() => undefined);
+        }
+
+        /**
+         * Link to a page, relative to the catalogue. Workshops and series
+         * have pre-rendered pages (workshops/<id>.html); instructor pages
+         * only exist in the app (?page=instructor&id=<id>).
+         * @param {string} page - 'workshop', 'series', 'instructor' or 'instructors'
+         * @param {string} id - Item id
+         * @returns {string} Relative URL
+         */
+        static getPagePath(page, id = null) {
+            if (PAGE_FOLDERS[page]) return `${PAGE_FOLDERS[page]}/${encodeURIComponent(id)}.html`;
+
+            const params = new URLSearchParams({ page });
+            if (id) params.set('id', id);
+            return `?${params.toString()}`;
+        }
+
+        /**
+         * Route of a pre-rendered page path
+         * @param {string} path - Path relative to the catalogue (e.g. 'series/ser-intro-apis.html')
+         * @returns {Object|null} Route as { page, id }, or null for other paths
+         */
+        static getRouteFromPath(path) {
+            const match = /^([\w-]+)\/([^/]+)\.html$/.exec(path);
+            const page = match && Object.keys(PAGE_FOLDERS).find(page => PAGE_FOLDERS[page] === match[1]);
+
+            return page ? { page, id: decodeURIComponent(match[2]) } : null;
+        }
+
+        /**
+         * Offerings of a workshop
+         * @param {Object} workshop - Workshop object
+         * @returns {Array} Offering objects
+         */
+        getOfferings(workshop) {
+            return this.data.offerings.filter(o => o.workshop_id === workshop.id);
+        }
+
+        createBackLink() {
+            return html`
+                <a href="${this.cataloguePath}" class="d-inline-block mb-3 back-link" data-route="catalogue">
+                    <i class="bi bi-arrow-left"></i> All workshops
+                </a>
+            `;
+        }
+
+        /**
+         * Full page for a single workshop: description, sessions, instructors,
+         * series and related workshops
+         * @param {Object} workshop - Workshop object
+         * @returns {SafeHtml} HTML for the detail view
+         */
+        createWorkshopDetail(workshop) {
+            const format = this.data.formats.find(f => f.id === workshop.format_id);
+            const areas = workshop.area_ids.map(id => this.data.areas.find(a => a.id === id)?.label).filter(Boolean);
+            const audiences = workshop.audience_ids.map(id => this.data.audiences.find(a => a.id === id)?.label).filter(Boolean);
+            const departments = workshop.department_ids.map(id => this.data.departments.find(d => d.id === id)?.label).filter(Boolean);
+            const tags = workshop.tags.map(tag => html`<span class="badge bg-secondary me-1" data-tag="${tag}">${tag}</span>`);
+            const series = workshop.series_id ? this.data.series.find(s => s.id === workshop.series_id) : null;
+            const related = this.getRelatedWorkshops(workshop);
+
+            return html`
+                ${this.createBackLink()}
+                <div class="row">
+                    <div class="col-lg-8 mb-4">
+                        <div class="card shadow-sm workshop-detail">
+                            <div class="card-header bg-light">
+                                <h2 class="card-title h3 mb-1">${workshop.title}</h2>
+                                ${series ? html`<small class="text-muted"><i class="bi bi-collection"></i> Part of: <a href="${CatalogueTemplates.getPagePath('series', series.id)}" class="workshop-link" data-page-link="series" data-id="${series.id}">${series.title}</a></small>` : ''}
+                            </div>
+                            <div class="card-body">
+                                <p class="card-text pre-line">${workshop.description || workshop.summary}</p>
+
+                                <div class="mb-3">
+                                    <small class="text-muted d-block mb-1">
+                                        <i class="bi ${format?.icon || 'bi-app'}"></i> <span class="filter-element-link" data-format="${format?.id}">${format?.label || 'Unknown Format'}</span>
+                                    </small>
+                                    <small class="text-muted d-block mb-1"><strong>Areas:</strong> ${areas.join(', ')}</small>
+                                    <small class="text-muted d-block mb-1"><strong>Audience:</strong> ${audiences.join(', ')}</small>
+                                    <small class="text-muted d-block mb-1"><strong>Offered by:</strong> ${departments.join(', ')}</small>
+                                </div>
+
+                                ${this.createOfferingsSection(this.getOfferings(workshop))}
+
+                                <div class="mt-2">
+                                    ${tags}
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+
+                    <div class="col-lg-4">
+                        ${this.createInstructorsSection(workshop)}
+                        ${series ? this.createSeriesSection(series, workshop) : ''}
+                        ${related.length > 0 ? html`
+                            <div class="card shadow-sm mb-4">
+                                <div class="card-header bg-light"><strong><i class="bi bi-lightbulb"></i> Related workshops</strong></div>
+                                <ul class="list-group list-group-flush">
+                                    ${related.map(w => html`
+                                        <li class="list-group-item">
+                                            <a href="${CatalogueTemplates.getPagePath('workshop', w.id)}" class="workshop-link" data-workshop-link="${w.id}">${w.title}</a>
+                                        </li>
+                                    `)}
+                                </ul>
+                            </div>
+                        ` : ''}
+                    </div>
+                </div>
+            `;
+        }
+
+        createInstructorsSection(workshop) {
+            const instructors = workshop.instructor_ids
+                .map(id => this.data.instructors.find(i => i.id === id))
+                .filter(Boolean);
+
+            if (instructors.length === 0) return '';
+
+            return html`
+                <div class="card shadow-sm mb-4">
+                    <div class="card-header bg-light"><strong><i class="bi bi-person-video3"></i> Instructors</strong></div>
+                    <ul class="list-group list-group-flush">
+                        ${instructors.map(instructor => {
+                            const department = this.data.departments.find(d => d.id === instructor.department_id);
+                            return html`
+                                <li class="list-group-item">
+                                    <a href="${CatalogueTemplates.getPagePath('instructor', instructor.id)}" class="workshop-link fw-bold" data-page-link="instructor" data-id="${instructor.id}">${instructor.name}</a>
+                                    ${instructor.title ? html`<small class="d-block text-muted">${instructor.title}</small>` : ''}
+                                    ${department ? html`<small class="d-block text-muted">${department.label}</small>` : ''}
+                                    ${instructor.email ? html`<small class="d-block"><i class="bi bi-envelope"></i> <a href="mailto:${instructor.email}">${instructor.email}</a></small>` : ''}
+                                    ${instructor.bio ? html`<p class="small mt-2 mb-0">${instructor.bio}</p>` : ''}
+                                </li>
+                            `;
+                        })}
+                    </ul>
+                </div>
+            `;
+        }
+
+        createSeriesSection(series, workshop) {
+            const workshops = this.getSeriesWorkshops(series);
+
+            return html`
+                <div class="card shadow-sm mb-4">
+                    <div class="card-header bg-light">
+                        <strong><i class="bi bi-collection"></i> <a href="${CatalogueTemplates.getPagePath('series', series.id)}" class="workshop-link" data-page-link="series" data-id="${series.id}">${series.title}</a></strong>
+                    </div>
+                    <div class="card-body">
+                        ${series.description ? html`<p class="small">${series.description}</p>` : ''}
+                        <ol class="small mb-0">
+                            ${workshops.map(w => w.id === workshop.id
+                                ? html`<li><strong>${w.title}</strong></li>`
+                                : html`<li><a href="${CatalogueTemplates.getPagePath('workshop', w.id)}" class="workshop-link" data-workshop-link="${w.id}">${w.title}</a></li>`
+                            )}
+                        </ol>
+                    </div>
+                </div>
+            `;
+        }
+
+        /**
+         * Series page: description and the member workshops in order, each with
+         * its sessions
+         * @param {Object} series - Series object
+         * @returns {SafeHtml} HTML for the series view
+         */
+        createSeriesDetail(series) {
+            const workshops = this.getSeriesWorkshops(series);
+            const tags = (series.tags || []).map(tag => html`<span class="badge bg-secondary me-1" data-tag="${tag}">${tag}</span>`);
+            const hasUpcoming = workshops.some(w => OfferingSchedule.hasUpcoming(this.getOfferings(w), this.now()));
+
+            return html`
+                ${this.createBackLink()}
+                <div class="card shadow-sm mb-4 workshop-detail">
+                    <div class="card-header bg-light">
+                        <small class="text-muted"><i class="bi bi-collection"></i> Workshop series</small>
+                        <h2 class="card-title h3 mb-0">${series.title}</h2>
+                    </div>
+                    <div class="card-body">
+                        ${series.description ? html`<p class="card-text pre-line">${series.description}</p>` : ''}
+                        <div class="d-flex justify-content-between align-items-center flex-wrap gap-2">
+                            <div>${tags}</div>
+                            ${hasUpcoming ? html`
+                                <button type="button" class="btn btn-primary btn-sm" data-remind-filter="series" data-remind-id="${series.id}">
+                                    <i class="bi bi-bell"></i> Remind me for the whole series
+                                </button>
+                            ` : ''}
+                        </div>
+                    </div>
+                </div>
+
+                <ol class="list-unstyled series-workshops">
+                    ${workshops.map((workshop, i) => html`
+                        <li class="card shadow-sm mb-3">
+                            <div class="card-body">
+                                <h3 class="h5 mb-1">
+                                    <span class="badge bg-primary me-1">${i + 1}</span>
+                                    <a href="${CatalogueTemplates.getPagePath('workshop', workshop.id)}" class="workshop-link" data-workshop-link="${workshop.id}">${workshop.title}</a>
+                                </h3>
+                                ${workshop.summary ? html`<p class="card-text small text-muted">${workshop.summary}</p>` : ''}
+                                ${this.createOfferingsSection(this.getOfferings(workshop))}
+                            </div>
+                        </li>
+                    `)}
+                </ol>
+            `;
+        }
+
+        /**
+         * Member workshops of a series, in series order
+         * @param {Object} series - Series object
+         * @returns {Array} Workshop objects
+         */
+        getSeriesWorkshops(series) {
+            return series.workshop_ids
+                .map(id => this.data.workshops.find(w => w.id === id))
+                .filter(Boolean);
+        }
+
+        /**
+         * Directory of every instructor with their workshops and next session
+         * @returns {SafeHtml} HTML for the directory view
+         */
+        createInstructorDirectory() {
+            const now = this.now();
+            const instructors = [...this.data.instructors].sort((a, b) => a.name.localeCompare(b.name));
+
+            return html`
+                ${this.createBackLink()}
+                <h2 class="h3 mb-3 page-title"><i class="bi bi-person-video3"></i> Instructors</h2>
+                <div class="row">
+                    ${instructors.map(instructor => {
+                        const department = this.data.departments.find(d => d.id === instructor.department_id);
+                        const workshops = this.getInstructorWorkshops(instructor);
+                        const next = OfferingSchedule.getNextOffering(workshops.flatMap(w => this.getOfferings(w)), now);
+
+                        return html`
+                            <div class="col-12 col-md-6 col-lg-4 mb-4">
+                                <div class="card h-100 shadow-sm workshop-card">
+                                    <div class="card-header bg-light">
+                                        <h5 class="card-title mb-1">
+                                            <a href="${CatalogueTemplates.getPagePath('instructor', instructor.id)}" class="workshop-link" data-page-link="instructor" data-id="${instructor.id}">${instructor.name}</a>
+                                        </h5>
+                                        ${instructor.title ? html`<small class="text-muted">${instructor.title}</small>` : ''}
+                                    </div>
+                                    <div class="card-body">
+                                        ${department ? html`<small class="text-muted d-block mb-1"><i class="bi bi-building"></i> ${department.label}</small>` : ''}
+                                        <small class="text-muted d-block mb-1">
+                                            <i class="bi bi-easel"></i> ${workshops.length} workshop${workshops.length !== 1 ? 's' : ''}
+                                        </small>
+                                        ${next ? html`
+                                            <small class="text-muted d-block mb-1">
+                                                <i class="bi bi-calendar-event"></i> Next: ${this.formatSessionDate(next)}
+                                            </small>
+                                        ` : ''}
+                                    </div>
+                                </div>
+                            </div>
+                        `;
+                    })}
+                </div>
+            `;
+        }
+
+        /**
+         * Instructor profile: contact details, workshops taught and upcoming
+         * sessions across all of them
+         * @param {Object} instructor - Instructor object
+         * @returns {SafeHtml} HTML for the profile view
+         */
+        createInstructorProfile(instructor) {
+            const department = this.data.departments.find(d => d.id === instructor.department_id);
+            const workshops = this.getInstructorWorkshops(instructor);
+            const offerings = workshops.flatMap(w => this.getOfferings(w));
+            const { upcoming, inProgress } = OfferingSchedule.classify(offerings, this.now());
+            const sessions = [...inProgress, ...upcoming];
+
+            return html`
+                ${this.createBackLink()}
+                <a href="${CatalogueTemplates.getPagePath('instructors')}" class="d-inline-block mb-3 ms-3 back-link" data-page-link="instructors">
+                    <i class="bi bi-people"></i> All instructors
+                </a>
+                <div class="row">
+                    <div class="col-lg-4 mb-4">
+                        <div class="card shadow-sm workshop-detail">
+                            <div class="card-header bg-light">
+                                <h2 class="card-title h3 mb-1">${instructor.name}</h2>
+                                ${instructor.title ? html`<small class="text-muted">${instructor.title}</small>` : ''}
+                            </div>
+                            <div class="card-body">
+                                ${department ? html`<small class="text-muted d-block mb-1"><i class="bi bi-building"></i> ${department.label}</small>` : ''}
+                                ${instructor.email ? html`<small class="d-block mb-1"><i class="bi bi-envelope"></i> <a href="mailto:${instructor.email}">${instructor.email}</a></small>` : ''}
+                                ${instructor.bio ? html`<p class="small mt-2 mb-0">${instructor.bio}</p>` : ''}
+                                ${workshops.length > 0 ? html`
+                                    <button type="button" class="btn btn-primary btn-sm mt-3" data-remind-filter="instructor" data-remind-id="${instructor.id}">
+                                        <i class="bi bi-calendar-plus"></i> Teaching calendar
+                                    </button>
+                                ` : ''}
+                            </div>
+                        </div>
+                    </div>
+
+                    <div class="col-lg-8">
+                        <div class="card shadow-sm mb-4">
+                            <div class="card-header bg-light"><strong><i class="bi bi-calendar-event"></i> Upcoming sessions</strong></div>
+                            ${sessions.length > 0 ? html`
+                                <ul class="list-group list-group-flush">
+                                    ${sessions.map(offering => {
+                                        const workshop = workshops.find(w => w.id === offering.workshop_id);
+                                        return html`
+                                            <li class="list-group-item">
+                                                <small class="text-muted d-block">${this.formatSessionDate(offering)}${OfferingLocation.getLabel(offering) ? ` · ${OfferingLocation.getLabel(offering)}` : ''}</small>
+                                                <a href="${CatalogueTemplates.getPagePath('workshop', workshop.id)}" class="workshop-link" data-workshop-link="${workshop.id}">${workshop.title}</a>
+                                            </li>
+                                        `;
+                                    })}
+                                </ul>
+                            ` : html`<div class="card-body"><small class="text-muted">No upcoming sessions scheduled</small></div>`}
+                        </div>
+
+                        <div class="card shadow-sm mb-4">
+                            <div class="card-header bg-light"><strong><i class="bi bi-easel"></i> Workshops</strong></div>
+                            ${workshops.length > 0 ? html`
+                                <ul class="list-group list-group-flush">
+                                    ${workshops.map(workshop => html`
+                                        <li class="list-group-item">
+                                            <a href="${CatalogueTemplates.getPagePath('workshop', workshop.id)}" class="workshop-link" data-workshop-link="${workshop.id}">${workshop.title}</a>
+                                            ${workshop.is_active ? '' : html`<span class="badge bg-secondary ms-1">Archived</span>`}
+                                            ${workshop.summary ? html`<small class="d-block text-muted">${workshop.summary}</small>` : ''}
+                                        </li>
+                                    `)}
+                                </ul>
+                            ` : html`<div class="card-body"><small class="text-muted">No workshops listed</small></div>`}
+                        </div>
+                    </div>
+                </div>
+            `;
+        }
+
+        /**
+         * Workshops an instructor teaches, active ones first
+         * @param {Object} instructor - Instructor object
+         * @returns {Array} Workshop objects
+         */
+        getInstructorWorkshops(instructor) {
+            return this.data.workshops
+                .filter(w => w.instructor_ids.includes(instructor.id))
+                .sort((a, b) => Number(b.is_active) - Number(a.is_active));
+        }
+
+        /**
+         * Short date and time of a session, e.g. "Wed, Feb 11, 10:00 AM"
+         * @param {Object} offering - Offering object
+         * @returns {string} Formatted date
+         */
+        formatSessionDate(offering) {
+            return shortDateTime.format(new Date(offering.start));
+        }
+
+        /**
+         * Other active workshops sharing tags or research areas, best matches first
+         * @param {Object} workshop - Workshop object
+         * @param {number} limit - Maximum number of workshops
+         * @returns {Array} Related workshops
+         */
+        getRelatedWorkshops(workshop, limit = 3) {
+            return this.data.workshops
+                .filter(w => w.is_active && w.id !== workshop.id)
+                .map(w => ({
+                    workshop: w,
+                    // Shared tags are a stronger signal than shared areas
+                    score: 2 * w.tags.filter(tag => workshop.tags.includes(tag)).length +
+                        w.area_ids.filter(id => workshop.area_ids.includes(id)).length
+                }))
+                .filter(({ score }) => score > 0)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, limit)
+                .map(({ workshop }) => workshop);
+        }
+
+        createWorkshopCard(workshop) {
+            /*this.data.formats.find(f => f.id === workshop.format_id)*/
+            const mark = text => SearchIndex.highlight(text, this.getSearchMatches(workshop));
+            const format = this.data.formats.find(f => f.id === workshop.format_id);
+            const formatLink = html`<span class="filter-element-link" data-format="${format?.id}">${format?.label || 'Unknown Format'}</span>`;
+            const areas = workshop.area_ids.map(id => 
+                this.data.areas.find(a => a.id === id)?.label
+            ).filter(Boolean);
+            const audiences = workshop.audience_ids.map(id => 
+                this.data.audiences.find(a => a.id === id)?.label
+            ).filter(Boolean);
+            const instructors = workshop.instructor_ids.map(id => {
+                const instructor = this.data.instructors.find(i => i.id === id);
+                return html`<span class="filter-element-link" data-instructor="${id}">${mark(instructor?.name || id)}</span>`;
+            });
+            const tags = workshop.tags.map(tag => html`<span class="badge bg-secondary me-1" data-tag="${tag}">${mark(tag)}</span>`);
+            const offerings = this.getOfferings(workshop);
+            const series = workshop.series_id ? this.data.series.find(s => s.id === workshop.series_id) : null;
+
+            // Handle description truncation (before highlighting, so the cut never falls inside a <mark>)
+            const description = workshop.description || workshop.summary;
+            const maxLength = 150;
+            const needsTruncation = description.length > maxLength;
+            const truncatedDesc = mark(needsTruncation ? description.substring(0, maxLength) + '...' : description);
+            const fullDesc = mark(description);
+            const toggleButton = needsTruncation
+                ? html`<span class="description-full d-none">${fullDesc}</span> <span class="toggle-description" title="Show more">[+]</span>`
+                : '';
+
+            return html`
+                <div class="col-12 col-md-6 col-lg-4 mb-4">
+                    <div class="card h-100 shadow-sm workshop-card">
+                        <div class="card-header bg-light">
+                            <h5 class="card-title mb-1">
+                                <a href="${CatalogueTemplates.getPagePath('workshop', workshop.id)}" class="workshop-link" data-workshop-link="${workshop.id}">${mark(workshop.title)}</a>
+                            </h5>
+                            ${series ? html`<small class="text-muted"><i class="bi bi-collection"></i> Part of: <a href="${CatalogueTemplates.getPagePath('series', series.id)}" class="workshop-link" data-page-link="series" data-id="${series.id}">${mark(series.title)}</a></small>` : ''}
+                        </div>
+                        <div class="card-body">
+                            <p class="card-text description-text pre-line"><span class="description-truncated">${truncatedDesc}</span>${toggleButton}</p>
+
+                            <div class="mb-3">
+                                <small class="text-muted d-block mb-1">
+                                    <i class="bi ${format?.icon || 'bi-app'}"></i> ${formatLink}
+                                </small>
+                                <small class="text-muted d-block mb-1">
+                                    <strong>Areas:</strong> ${areas.join(', ')}
+                                </small>
+                                <small class="text-muted d-block mb-1">
+                                    <strong>Audience:</strong> ${audiences.join(', ')}
+                                </small>
+                                <small class="text-muted d-block mb-1">
+                                    <strong>Instructors:</strong> ${html.join(instructors, ', ')}
+                                </small>
+                            </div>
+
+                            ${this.createOfferingsSection(offerings)}
+
+                            <div class="mt-2">
+                                ${tags}
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }
+
+        createOfferingsSection(offerings) {
+            if (offerings.length === 0) {
+                return html`<p class="text-muted mb-2"><small>No sessions scheduled</small></p>`;
+            }
+
+            const { upcoming, inProgress, past } = OfferingSchedule.classify(offerings, this.now());
+            const current = [...inProgress, ...upcoming];
+
+            return html`
+                <div class="offerings mb-2">
+                    ${current.length > 0 ? html`
+                        <strong class="d-block mb-2"><i class="bi bi-calendar-event"></i> Upcoming Sessions:</strong>
+                        ${current.map(offering => this.createOfferingItem(offering))}
+                    ` : html`<p class="text-muted mb-2"><small>No upcoming sessions scheduled</small></p>`}
+                    ${past.length > 0 ? html`
+                        <details class="past-offerings">
+                            <summary class="small text-muted mb-2">Past sessions (${past.length})</summary>
+                            ${past.map(offering => this.createOfferingItem(offering))}
+                        </details>
+                    ` : ''}
+                </div>
+            `;
+        }
+
+        /**
+         * Create the details for a single session. Past sessions have no
+         * registration or reminder buttons, and cancelled ones only the star
+         * (to take them off My schedule).
+         * @param {Object} offering - Offering object
+         * @returns {SafeHtml} HTML for the session
+         */
+        createOfferingItem(offering) {
+            const date = new Date(offering.start);
+            const endDate = new Date(offering.end);
+            const now = this.now();
+            const status = OfferingSchedule.getStatus(offering, now);
+            const seats = this.getSeats(offering);
+            const registration = OfferingSchedule.getRegistrationStatus(offering, now, seats);
+            const cancelled = registration === OfferingSchedule.REGISTRATION.CANCELLED;
+
+            return html`
+                <div class="offering-item offering-${status}${cancelled ? ' offering-cancelled' : ''} mb-2 p-2 border rounded bg-light" data-offering="${offering.id}">
+                    <small class="d-block">
+                        <strong class="offering-date">${sessionDate.format(date)}</strong>
+                        ${status === OfferingSchedule.IN_PROGRESS && !cancelled ? (OfferingSchedule.getCurrentMeeting(offering, now)
+                            ? html`<span class="badge bg-success ms-1">Happening now</span>`
+                            : html`<span class="badge bg-info text-dark ms-1">Under way</span>`) : ''}
+                        ${this.createStatusBadges(offering, status, registration)}
+                    </small>
+                    <small class="d-block text-muted offering-date">
+                        ${sessionHours.format(date)} - ${sessionHours.format(endDate)}
+                    </small>
+                    ${OfferingRecurrence.isSeries(offering) ? this.createSeriesDetails(offering, status, cancelled) : ''}
+                    ${this.createLocation(offering)}
+                    ${offering.status_note && status !== OfferingSchedule.PAST ? html`
+                        <small class="d-block ${cancelled ? 'text-danger' : 'text-muted'}">
+                            <i class="bi bi-info-circle"></i> ${offering.status_note}
+                        </small>
+                    ` : ''}
+                    ${status === OfferingSchedule.PAST ? '' : cancelled ? html`
+                        <div class="mt-2 d-flex gap-1 flex-wrap">
+                            ${this.createStarButton(offering)}
+                        </div>
+                    ` : html`
+                        <small class="d-block text-muted">
+                            <i class="bi bi-person-check"></i> ${seats === undefined ? `Capacity: ${offering.capacity}`
+                                : seats === 0 ? 'No seats left'
+                                : `${seats}${offering.capacity ? ` of ${offering.capacity}` : ''} seat${seats !== 1 ? 's' : ''} left`}
+                        </small>
+                        <div class="mt-2 d-flex gap-1 flex-wrap">
+                            ${OfferingLocation.isJoinOpen(offering, now) ? html`<a href="${html.url(offering.online.join_url)}" class="btn btn-sm btn-success" target="_blank" rel="noopener">
+                                <i class="bi bi-camera-video"></i> Join online
+                            </a>` : ''}
+                            ${this.createRegistrationButton(offering, registration)}
+                            ${this.createAddToCalendarButton(offering)}
+                            ${this.createStarButton(offering)}
+                        </div>
+                        ${registration === OfferingSchedule.REGISTRATION.OPEN && offering.registration_closes ? html`
+                            <small class="d-block text-muted mt-1">Registration closes ${this.formatShortDate(offering.registration_closes)}</small>
+                        ` : ''}
+                    `}
+                </div>
+            `;
+        }
+
+        /**
+         * What a series adds to its first meeting: the summary line, the next
+         * meeting once it's under way, and meetings that were called off
+         * @param {Object} offering - Offering object
+         * @param {string} status - 'upcoming', 'in-progress' or 'past'
+         * @param {boolean} cancelled - Whether the whole series is cancelled
+         * @returns {SafeHtml} HTML for the series
+         */
+        createSeriesDetails(offering, status, cancelled) {
+            const now = this.now();
+            const next = status === OfferingSchedule.IN_PROGRESS && !OfferingSchedule.getCurrentMeeting(offering, now)
+                ? OfferingSchedule.getNextMeeting(offering, now)
+                : undefined;
+            const calledOff = cancelled ? [] : OfferingRecurrence.getMeetings(offering)
+                .filter(meeting => meeting.cancelled && meeting.end > now);
+
+            return html`
+                <small class="d-block text-muted offering-series">
+                    <i class="bi bi-arrow-repeat"></i> ${this.formatSeries(offering)}
+                </small>
+                ${next && !cancelled ? html`
+                    <small class="d-block text-muted">
+                        <i class="bi bi-calendar-event"></i> Next session: ${this.formatSessionDate(next)}
+                    </small>
+                ` : ''}
+                ${calledOff.map(meeting => html`
+                    <small class="d-block text-danger">
+                        <i class="bi bi-x-circle"></i> No session on ${this.formatShortDate(meeting.start)}${meeting.status_note ? ` (${meeting.status_note})` : ''}
+                    </small>
+                `)}
+            `;
+        }
+
+        /**
+         * One-line summary of a series, e.g. "4 sessions, Tuesdays 2:00 – 4:00 PM,
+         * Jan 13 – Feb 3". Weekdays are named when the series comes back to
+         * each of them, and hours when every meeting has the same ones;
+         * cancelled meetings don't count. Days and hours are in campus time.
+         * @param {Object} offering - Offering object
+         * @returns {string} Summary
+         */
+        formatSeries(offering) {
+            const meetings = OfferingRecurrence.getMeetings(offering);
+            const held = meetings.filter(meeting => !meeting.cancelled);
+            const shown = held.length > 0 ? held : meetings;
+            const weekdays = shown.map(meeting => seriesWeekdays.format(meeting.start));
+            const days = [...new Set(weekdays)];
+            const hours = [...new Set(shown.map(meeting => shortTime.formatRange(meeting.start, meeting.end)))];
+            const recurs = days.every(day => weekdays.indexOf(day) !== weekdays.lastIndexOf(day));
+            const when = [
+                recurs ? seriesDays.format(days.map(day => `${day}s`)) : '',
+                hours.length === 1 ? hours[0] : ''
+            ].filter(Boolean).join(' ');
+
+            return [
+                `${shown.length} session${shown.length !== 1 ? 's' : ''}`,
+                when,
+                seriesDates.formatRange(shown[0].start, shown[shown.length - 1].start)
+            ].filter(Boolean).join(', ');
+        }
+
+        /**
+         * Where a session happens: the room (with a campus map link) and the
+         * video platform, or the free-text location of older offerings. A
+         * session whose format differs from its workshop's says so.
+         * @param {Object} offering - Offering object
+         * @returns {SafeHtml} HTML for the location
+         */
+        createLocation(offering) {
+            const venue = OfferingLocation.getVenueName(offering);
+            const platform = OfferingLocation.getPlatform(offering);
+            const workshop = this.data.workshops.find(w => w.id === offering.workshop_id);
+            const format = offering.format_id && offering.format_id !== workshop?.format_id
+                ? this.data.formats.find(f => f.id === offering.format_id)
+                : null;
+
+            return html`
+                ${format ? html`
+                    <small class="d-block text-muted">
+                        <i class="bi ${format.icon || 'bi-display'}"></i> ${format.label} session
+                    </small>
+                ` : ''}
+                ${venue ? html`
+                    <small class="d-block text-muted">
+                        <i class="bi bi-geo-alt"></i> ${venue}
+                        ${offering.venue.map_url ? html`· <a href="${html.url(offering.venue.map_url)}" target="_blank" rel="noopener">Campus map</a>` : ''}
+                    </small>
+                ` : ''}
+                ${platform ? html`
+                    <small class="d-block text-muted">
+                        <i class="bi bi-camera-video"></i> ${platform}
+                    </small>
+                ` : ''}
+                ${venue || platform ? '' : html`
+                    <small class="d-block text-muted">
+                        <i class="bi bi-geo-alt"></i> ${offering.location}
+                    </small>
+                `}
+            `;
+        }
+
+        /**
+         * Badges for cancelled, rescheduled, full and waitlisted sessions and
+         * closed registration
+         * @param {Object} offering - Offering object
+         * @param {string} status - OfferingSchedule.getStatus() of the session
+         * @param {string} registration - OfferingSchedule.getRegistrationStatus() of the session
+         * @returns {SafeHtml} HTML for the badges
+         */
+        createStatusBadges(offering, status, registration) {
+            const { REGISTRATION } = OfferingSchedule;
+            const previous = (offering.rescheduled_from || []).slice(-1)[0];
+
+            if (registration === REGISTRATION.CANCELLED) {
+                return html`<span class="badge bg-danger ms-1">Cancelled</span>`;
+            }
+
+            return html`
+                ${previous ? html`<span class="badge bg-info text-dark ms-1" title="Originally ${this.formatSessionDate({ start: previous })}">Rescheduled</span>` : ''}
+                ${status === OfferingSchedule.PAST ? '' : {
+                    [REGISTRATION.FULL]: html`<span class="badge bg-danger ms-1">Full</span>`,
+                    [REGISTRATION.WAITLIST]: html`<span class="badge bg-warning text-dark ms-1">Waitlist</span>`,
+                    [REGISTRATION.CLOSED]: html`<span class="badge bg-secondary ms-1">Registration closed</span>`
+                }[registration] || ''}
+            `;
+        }
+
+        /**
+         * Register or join-the-waitlist button, or when registration opens.
+         * Full sessions and closed registration only get a badge.
+         * @param {Object} offering - Offering object
+         * @param {string} registration - OfferingSchedule.getRegistrationStatus() of the session
+         * @returns {SafeHtml|string} HTML for the button
+         */
+        createRegistrationButton(offering, registration) {
+            const { REGISTRATION } = OfferingSchedule;
+
+            if (registration === REGISTRATION.OPEN) {
+                return html`<a href="${html.url(offering.registration_url)}" class="btn btn-sm btn-primary" target="_blank">
+                    <i class="bi bi-box-arrow-up-right"></i> Register
+                </a>`;
+            }
+
+            if (registration === REGISTRATION.WAITLIST && offering.registration_url) {
+                return html`<a href="${html.url(offering.registration_url)}" class="btn btn-sm btn-warning" target="_blank">
+                    <i class="bi bi-hourglass-split"></i> Join waitlist
+                </a>`;
+            }
+
+            if (registration === REGISTRATION.NOT_OPEN) {
+                return html`<a href="#" class="btn btn-sm btn-secondary disabled">
+                    <i class="bi bi-hourglass-split"></i> ${offering.registration_opens ? `Opens ${this.formatShortDate(offering.registration_opens)}` : 'Opens soon'}
+                </a>`;
+            }
+
+            return '';
+        }
+
+        /**
+         * Format a date as e.g. "Mon, Feb 2"
+         * @param {string} value - Date-time string
+         * @returns {string} Formatted date
+         */
+        formatShortDate(value) {
+            return shortDate.format(new Date(value));
+        }
+
+        /**
+         * Star toggle adding a session to "My schedule". Rendered unstarred;
+         * the app marks the starred ones, so pre-rendered pages can carry it.
+         * @param {Object} offering - Offering object
+         * @returns {SafeHtml} HTML for the button
+         */
+        createStarButton(offering) {
+            return html`
+                <button type="button" class="btn btn-sm btn-outline-warning star-toggle" data-star="${offering.id}" aria-pressed="false" title="Add to My schedule">
+                    <i class="bi bi-star"></i><span class="visually-hidden">Add to My schedule</span>
+                </button>
+            `;
+        }
+
+        createAddToCalendarButton(offering) {
+            // Find the workshop for this offering
+            const workshop = this.data.workshops.find(w => w.id === offering.workshop_id);
+            if (!workshop) return '';
+
+            // Same event details as the published calendar feeds
+            const event = this.icalGenerator.toEvent(workshop, offering);
+
+            return AddToCalendar.createDropdownButton(event, 'btn-sm btn-outline-secondary');
+        }
+
+        /**
+         * "My schedule" panel: starred (or shared) sessions in order, with
+         * overlapping ones flagged
+         * @param {Array} offerings - Sessions, soonest first
+         * @param {Object} options - Panel options
+         * @param {Map} options.conflicts - Offering id -> ids of overlapping sessions
+         * @param {boolean} options.shared - Whether the sessions come from a shared link
+         * @param {string} options.shareUrl - Link sharing the sessions
+         * @returns {SafeHtml} HTML for the panel body
+         */
+        createMySchedule(offerings, options = {}) {
+            const conflicts = options.conflicts || new Map();
+            const now = this.now();
+
+            if (offerings.length === 0) {
+                return html`
+                    <p class="text-muted">
+                        Star <i class="bi bi-star"></i> the sessions you want to attend to collect them here,
+                        check they don't overlap and add them all to your calendar at once.
+                    </p>
+                `;
+            }
+
+            return html`
+                ${options.shared ? html`
+                    <div class="alert alert-info small">
+                        <i class="bi bi-share"></i> Someone shared ${offerings.length} session${offerings.length !== 1 ? 's' : ''} with you.
+                        <div class="mt-2 d-flex gap-2">
+                            <button type="button" class="btn btn-sm btn-primary" data-schedule-action="save-shared">
+                                <i class="bi bi-star-fill"></i> Add to My schedule
+                            </button>
+                            <button type="button" class="btn btn-sm btn-outline-secondary" data-schedule-action="dismiss-shared">Dismiss</button>
+                        </div>
+                    </div>
+                ` : ''}
+
+                <ul class="list-group mb-3">
+                    ${offerings.map(offering => {
+                        const workshop = this.data.workshops.find(w => w.id === offering.workshop_id);
+                        const overlaps = (conflicts.get(offering.id) || [])
+                            .map(id => offerings.find(o => o.id === id))
+                            .map(other => this.data.workshops.find(w => w.id === other?.workshop_id)?.title)
+                            .filter(Boolean);
+                        const isPast = OfferingSchedule.getStatus(offering, now) === OfferingSchedule.PAST;
+
+                        return html`
+                            <li class="list-group-item d-flex justify-content-between align-items-start gap-2 ${isPast ? 'text-muted' : ''}">
+                                <div>
+                                    <small class="d-block">
+                                        ${this.formatSessionDate(offering)}${isPast ? ' (past)' : ''}
+                                        ${OfferingSchedule.isCancelled(offering) ? html`<span class="badge bg-danger ms-1">Cancelled</span>` : ''}
+                                    </small>
+                                    ${OfferingRecurrence.isSeries(offering) ? html`<small class="d-block text-muted"><i class="bi bi-arrow-repeat"></i> ${this.formatSeries(offering)}</small>` : ''}
+                                    <a href="${CatalogueTemplates.getPagePath('workshop', workshop?.id)}" class="workshop-link" data-workshop-link="${workshop?.id}">${workshop?.title || offering.id}</a>
+                                    ${OfferingLocation.getLabel(offering) ? html`<small class="d-block text-muted"><i class="bi bi-geo-alt"></i> ${OfferingLocation.getLabel(offering)}</small>` : ''}
+                                    ${overlaps.length > 0 ? html`
+                                        <small class="d-block text-danger schedule-conflict">
+                                            <i class="bi bi-exclamation-triangle"></i> Overlaps with ${overlaps.join(', ')}
+                                        </small>
+                                    ` : ''}
+                                </div>
+                                ${options.shared ? '' : this.createStarButton(offering)}
+                            </li>
+                        `;
+                    })}
+                </ul>
+
+                ${options.shared ? '' : html`
+                    <div class="d-grid gap-2 mb-3">
+                        <button type="button" class="btn btn-primary" data-schedule-action="download">
+                            <i class="bi bi-calendar-plus"></i> Add all to my calendar (.ics)
+                        </button>
+                    </div>
+
+                    <label for="myScheduleUrl" class="form-label small mb-1">Share this schedule:</label>
+                    <div class="input-group input-group-sm mb-3">
+                        <input type="text" class="form-control" id="myScheduleUrl" value="${options.shareUrl}" readonly>
+                        <button class="btn btn-outline-secondary" type="button" data-schedule-action="copy">
+                            <i class="bi bi-clipboard"></i> Copy
+                        </button>
+                    </div>
+
+                    <button type="button" class="btn btn-sm btn-link text-danger p-0" data-schedule-action="clear">
+                        <i class="bi bi-trash"></i> Remove all
+                    </button>
+                `}
+            `;
+        }
+
+        /**
+         * One-page schedule to print and post: sessions grouped by day, with
+         * where to go and how to register
+         * @param {Array} sessions - Sessions from CatalogueExport.getSessions()
+         * @param {Object} options - Schedule options
+         * @param {SafeHtml} options.summary - Description of the selection
+         * @param {string} options.url - Catalogue URL, printed at the bottom
+         * @returns {SafeHtml} HTML for the printable schedule
+         */
+        createPrintSchedule(sessions, options = {}) {
+            const days = [...new Set(sessions.map(session => session.date))];
+            const time = date => shortTime.format(date);
+
+            return html`
+                <div class="print-header">
+                    <img src="assets/imgs/HexSticker-RDS.png" alt="RDS Logo" class="print-logo">
+                    <div>
+                        <h1 class="h3 mb-1">Research Data Services Workshops</h1>
+                        <p class="mb-0 small">${options.summary}</p>
+                    </div>
+                </div>
+
+                ${sessions.length === 0 ? html`<p>No sessions match these filters.</p>` : html`
+                    <table class="table table-sm print-table">
+                        <thead>
+                            <tr>
+                                <th scope="col">Time</th>
+                                <th scope="col">Workshop</th>
+                                <th scope="col">Where</th>
+                                <th scope="col">Register</th>
+                            </tr>
+                        </thead>
+                        ${days.map(day => {
+                            const daySessions = sessions.filter(session => session.date === day);
+                            return html`
+                                <tbody>
+                                    <tr class="print-day">
+                                        <th colspan="4" scope="rowgroup">${longDate.format(daySessions[0].meeting.start)}</th>
+                                    </tr>
+                                    ${daySessions.map(session => html`
+                                        <tr>
+                                            <td class="text-nowrap">${time(session.meeting.start)} - ${time(session.meeting.end)}</td>
+                                            <td>
+                                                <strong>${session.workshop.title}</strong>
+                                                ${session.part ? html`<small>(session ${session.part})</small>` : ''}
+                                                ${session.instructors.length > 0 ? html`<br><small>${session.instructors.join(', ')}</small>` : ''}
+                                            </td>
+                                            <td>
+                                                ${session.format}
+                                                ${session.location ? html`<br><small>${session.location}</small>` : ''}
+                                            </td>
+                                            <td class="print-url"><small>${session.meeting.cancelled ? 'Cancelled' : this.getPrintRegistration(session.offering)}</small></td>
+                                        </tr>
+                                    `)}
+                                </tbody>
+                            `;
+                        })}
+                    </table>
+                `}
+
+                ${options.url ? html`<p class="small text-muted mb-0">All workshops and calendar feeds: ${options.url}</p>` : ''}
+            `;
+        }
+
+        /**
+         * Registration column of the printable schedule: the link while it
+         * can be used, otherwise why not
+         * @param {Object} offering - Offering object
+         * @returns {string} Link or status
+         */
+        getPrintRegistration(offering) {
+            const { REGISTRATION } = OfferingSchedule;
+            const registration = OfferingSchedule.getRegistrationStatus(offering, this.now(), this.getSeats(offering));
+
+            if (registration === REGISTRATION.OPEN) return offering.registration_url;
+            if (registration === REGISTRATION.WAITLIST && offering.registration_url) return `Waitlist: ${offering.registration_url}`;
+            if (registration === REGISTRATION.NOT_OPEN) {
+                return offering.registration_opens ? `Opens ${this.formatShortDate(offering.registration_opens)}` : 'Opens soon';
+            }
+
+            return {
+                [REGISTRATION.CANCELLED]: 'Cancelled',
+                [REGISTRATION.FULL]: 'Full',
+                [REGISTRATION.WAITLIST]: 'Waitlist'
+            }[registration] || 'Registration closed';
+        }
+    }
+
+    return CatalogueTemplates;
+}));
@@ -0,0 +1,128 @@
+// HTML Templates
+// Tagged template literal that escapes every interpolated value, so catalogue
+// data and user input can't break out of text or attribute context:
+//
+//   element.innerHTML = html`<a href="?workshop=${id}" title="${title}">${title}</a>`;
+//
+// Nested html`` results and html.raw() strings are inserted as they are,
+// arrays are joined, and null, undefined and false render nothing.
+//
+// Escaping doesn't make a link safe: links taken from the data go through
+// html.url(), which only lets http, https and mailto URLs through:
+//
+//   html`<a href="${html.url(offering.registration_url)}">Register</a>`
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.html = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const ESCAPES = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;',
+        '`': '&#96;'
+    };
+
+    // Schemes a link from the data may use; anything else (javascript:,
+    // data:, vbscript:...) could run script when followed
+    const URL_SCHEMES = ['http:', 'https:', 'mailto:'];
+
+    // Replaces links that aren't safe to follow
+    const BLANK_URL = 'about:blank';
+
+    // Markup that is already safe to insert
+    class SafeHtml {
+        constructor(value) {
+            this.value = value;
+        }
+
+        toString() {
+            return this.value;
+        }
+    }
+
+    /**
+     * Escape text for use in element content or a quoted attribute
+     * @param {*} value - Value to escape
+     * @returns {string} Escaped text
+     */
+    function escape(value) {
+        return String(value).replace(/[&<>"'`]/g, char => ESCAPES[char]);
+    }
+
+    /**
+     * Whether a URL uses one of URL_SCHEMES. Relative URLs are resolved
+     * against an http page, the way a browser would resolve them against
+     * the catalogue, and tabs, newlines and leading spaces are ignored like
+     * browsers do, so "java\tscript:" counts as javascript:.
+     * @param {*} value - URL
+     * @returns {boolean}
+     */
+    function isSafeUrl(value) {
+        if (value === null || value === undefined || value === '') return false;
+
+        try {
+            return URL_SCHEMES.includes(new URL(String(value), 'http://localhost/').protocol);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Render one interpolated value
+     * @param {*} value - Value to render
+     * @returns {string} HTML
+     */
+    function render(value) {
+        if (value === null || value === undefined || value === false) return '';
+        if (value instanceof SafeHtml) return value.value;
+        if (Array.isArray(value)) return value.map(render).join('');
+        return escape(value);
+    }
+
+    /**
+     * Template tag: escape every interpolated value
+     * @param {Array} strings - Template strings
+     * @param {...*} values - Interpolated values
+     * @returns {SafeHtml} Rendered markup
+     */
+    function html(strings, ...values) {
+        return new SafeHtml(strings.reduce((result, string, i) => result + render(values[i - 1]) + string));
+    }
+
+    /**
+     * Mark a string as trusted markup, inserted without escaping
+     * @param {string} value - Trusted HTML
+     * @returns {SafeHtml}
+     */
+    html.raw = value => new SafeHtml(String(value));
+
+    /**
+     * Join rendered items with a separator
+     * @param {Array} items - Values to render
+     * @param {*} separator - Value rendered between items
+     * @returns {SafeHtml}
+     */
+    html.join = (items, separator) => html`${items.flatMap((item, i) => (i === 0 ? [item] : [separator, item]))}`;
+
+    /**
+     * A link from the data, for an href: the URL itself if it is safe to
+     * follow (see isSafeUrl), about:blank otherwise. Still escaped when
+     * interpolated.
+     * @param {*} value - URL
+     * @returns {string} URL
+     */
+    html.url = value => (isSafeUrl(value) ? String(value) : BLANK_URL);
+
+    html.URL_SCHEMES = URL_SCHEMES;
+    html.isSafeUrl = isSafeUrl;
+    html.escape = escape;
+    html.SafeHtml = SafeHtml;
+
+    return html;
+}));
@@ -1,178 +1,279 @@
 // ICS/iCalendar Generator for Workshops
-class ICalGenerator {
-    constructor(data) {
-        this.data = data;
+// Loaded as a plain script in the browser and with require() by scripts/generate-ics.js
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(
+            require('./calendar-core'),
+            require('./offering-schedule'),
+            require('./offering-location'),
+            require('./offering-recurrence'),
+            require('./workshop-filter')
+        );
+    } else {
+        root.ICalGenerator = factory(
+            root.CalendarCore,
+            root.OfferingSchedule,
+            root.OfferingLocation,
+            root.OfferingRecurrence,
+            root.WorkshopFilter
+        );
     }
+}(typeof self !== 'undefined' ? self : this, function (CalendarCore, OfferingSchedule, OfferingLocation, OfferingRecurrence, WorkshopFilter) {
+
+    // Times in descriptions (earlier starts, the meetings of a series), in
+    // campus time like DTSTART
+    const campusFormat = new Intl.DateTimeFormat('en-US', {
+        timeZone: CalendarCore.TIMEZONE,
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
 
-    /**
-     * Generate ICS file content for filtered workshops
-     * @param {Array} workshops - Filtered workshop list
-     * @returns {string} ICS formatted string
-     */
-    generate(workshops) {
-        const events = workshops.map(workshop => this.createEvent(workshop)).filter(Boolean);
+    class ICalGenerator {
+        /**
+         * @param {Object} data - Workshop catalogue data
+         * @param {Object} options - Generator options
+         * @param {string} options.timestamp - Fallback last-modified time for offerings
+         *   without an updated_at (the build script uses this to stay deterministic)
+         * @param {Date} options.now - Current time, used to leave out past sessions (default: now)
+         * @param {number} options.keepPastDays - Keep sessions that ended less than this many days ago (default: 0)
+         */
+        constructor(data, options = {}) {
+            this.data = data;
+            this.options = options;
+        }
+
+        /**
+         * Generate ICS file content for filtered workshops
+         * @param {Array} workshops - Filtered workshop list
+         * @param {Object} calendar - Calendar name, description and color (optional)
+         * @param {Object} when - Only include sessions meeting these criteria and
+         *   format filter (see OfferingSchedule.matchesWhen; optional)
+         * @returns {string} ICS formatted string
+         */
+        generate(workshops, calendar = {}, when = {}) {
+            const events = workshops.map(workshop => this.createEvent(workshop, when)).filter(Boolean);
         
-        return this.wrapInCalendar(events.join('\n'));
-    }
+            return this.wrapInCalendar(events.join(CalendarCore.CRLF), calendar);
+        }
+
+        /**
+         * Generate ICS file content for hand-picked sessions (e.g. the
+         * visitor's starred ones), past sessions included
+         * @param {Array} offerings - Offering objects
+         * @param {Object} calendar - Calendar name, description and color (optional)
+         * @returns {string} ICS formatted string
+         */
+        generateForOfferings(offerings, calendar = {}) {
+            const events = offerings.map(offering => {
+                const workshop = this.data.workshops.find(w => w.id === offering.workshop_id);
+                return workshop ? CalendarCore.createEvent(this.toEvent(workshop, offering)) : null;
+            }).filter(Boolean);
+
+            return this.wrapInCalendar(events.join(CalendarCore.CRLF), calendar);
+        }
+
+        /**
+         * The sessions of a workshop a calendar includes: current ones (past
+         * sessions are left out, except those within `keepPastDays`) meeting
+         * the criteria
+         * @param {Object} workshop - Workshop object
+         * @param {Object} when - Only include sessions meeting these criteria and
+         *   format filter (see OfferingSchedule.matchesWhen; optional)
+         * @returns {Array} Offering objects
+         */
+        getOfferings(workshop, when = {}) {
+            const now = this.options.now || new Date();
+            const keepPastDays = this.options.keepPastDays || 0;
 
-    /**
-     * Create an iCalendar event (VEVENT) for a workshop
-     * @param {Object} workshop - Workshop object
-     * @returns {string} VEVENT formatted string
-     */
-    createEvent(workshop) {
-        // Get all offerings for this workshop
-        const offerings = this.data.offerings.filter(o => o.workshop_id === workshop.id);
+            return this.data.offerings.filter(o =>
+                o.workshop_id === workshop.id &&
+                OfferingSchedule.isCurrent(o, now, keepPastDays) &&
+                OfferingSchedule.matchesWhen(o, when) &&
+                WorkshopFilter.matchesOffering(o, workshop, when)
+            );
+        }
+
+        /**
+         * Create iCalendar events (VEVENT) for the sessions of a workshop a
+         * calendar includes (see getOfferings)
+         * @param {Object} workshop - Workshop object
+         * @param {Object} when - Only include sessions meeting these criteria (optional)
+         * @returns {string|null} VEVENT formatted string, or null without sessions
+         */
+        createEvent(workshop, when = {}) {
+            const offerings = this.getOfferings(workshop, when);
         
-        if (offerings.length === 0) return null;
-
-        // For now, we'll create a separate event for each offering
-        // (an alternative would be to use RRULE for recurring events)
-        return offerings.map(offering => {
-            const start = new Date(offering.start);
-            const end = new Date(offering.end);
-            
-            // Build description with all workshop details
+            if (offerings.length === 0) return null;
+
+            // One event per offering; a series is one recurring event
+            return offerings.map(offering => 
+                CalendarCore.createEvent(this.toEvent(workshop, offering))
+            ).join(CalendarCore.CRLF);
+        }
+
+        /**
+         * Convert a workshop offering into a plain event object, as used by
+         * CalendarCore and AddToCalendar. A series becomes a recurring event:
+         * its rule as RRULE/EXDATE, extra meetings as RDATE, and a
+         * RECURRENCE-ID override for each cancelled meeting and each extra
+         * meeting with hours of its own.
+         * @param {Object} workshop - Workshop object
+         * @param {Object} offering - Offering object
+         * @returns {Object} Event details
+         */
+        toEvent(workshop, offering) {
+            const cancelled = OfferingSchedule.isCancelled(offering);
+            const sequence = (offering.rescheduled_from || []).length + (cancelled ? 1 : 0);
             const description = this.buildDescription(workshop, offering);
-            const location = offering.location || 'TBA';
-            const url = offering.registration_url || '';
-
-            return `BEGIN:VEVENT
-UID:${offering.id}@rds-workshops.ucsb.edu
-DTSTAMP:${this.formatDate(new Date())}
-DTSTART:${this.formatDate(start)}
-DTEND:${this.formatDate(end)}
-SUMMARY:${this.escapeText(workshop.title)}
-DESCRIPTION:${this.escapeText(description)}
-LOCATION:${this.escapeText(location)}${url ? '\nURL:' + url : ''}
-STATUS:CONFIRMED
-SEQUENCE:0
-BEGIN:VALARM
-TRIGGER:-PT24H
-ACTION:DISPLAY
-DESCRIPTION:Reminder: ${this.escapeText(workshop.title)} tomorrow
-END:VALARM
-BEGIN:VALARM
-TRIGGER:-PT1H
-ACTION:DISPLAY
-DESCRIPTION:Reminder: ${this.escapeText(workshop.title)} in 1 hour
-END:VALARM
-END:VEVENT`;
-        }).join('\n');
-    }
 
-    /**
-     * Build a detailed description for the event
-     * @param {Object} workshop - Workshop object
-     * @param {Object} offering - Offering object
-     * @returns {string} Formatted description
-     */
-    buildDescription(workshop, offering) {
-        let desc = workshop.description || workshop.summary || '';
-        
-        // Add metadata
-        const format = this.data.formats.find(f => f.id === workshop.format_id);
-        const instructors = workshop.instructor_ids.map(id => 
-            this.data.instructors.find(i => i.id === id)?.name
-        ).filter(Boolean).join(', ');
-        const areas = workshop.area_ids.map(id => 
-            this.data.areas.find(a => a.id === id)?.label
-        ).filter(Boolean).join(', ');
-
-        desc += '\n\n---\n';
-        if (format) desc += `Format: ${format.label}\n`;
-        if (instructors) desc += `Instructor(s): ${instructors}\n`;
-        if (areas) desc += `Research Area(s): ${areas}\n`;
-        if (offering.quarter) desc += `Quarter: ${offering.quarter} ${offering.year}\n`;
-        if (offering.registration_url) desc += `\nRegister: ${offering.registration_url}`;
-        
-        return desc;
-    }
+            return {
+                uid: offering.id,
+                title: cancelled ? `Cancelled: ${workshop.title}` : workshop.title,
+                description,
+                location: OfferingLocation.getLabel(offering) || 'TBA',
+                conference: offering.online?.join_url
+                    ? { url: offering.online.join_url, label: OfferingLocation.getPlatform(offering) }
+                    : undefined,
+                start: new Date(offering.start),
+                end: new Date(offering.end),
+                url: offering.registration_url || '',
+                updated: offering.updated_at || workshop.updated_at || this.options.timestamp || null,
+                cancelled,
+                sequence,
+                ...this.getRecurrence(workshop, offering, description, sequence)
+            };
+        }
 
-    /**
-     * Wrap events in calendar structure
-     * @param {string} events - VEVENT strings
-     * @returns {string} Complete ICS file content
-     */
-    wrapInCalendar(events) {
-        return `BEGIN:VCALENDAR
-VERSION:2.0
-PRODID:-//UCSB Library//RDS Workshops//EN
-CALSCALE:GREGORIAN
-METHOD:PUBLISH
-X-WR-CALNAME:RDS Workshops
-X-WR-TIMEZONE:America/Los_Angeles
-X-WR-CALDESC:Research Data Services Workshop Catalogue
-${events}
-END:VCALENDAR`;
-    }
+        /**
+         * Recurrence details of a series (see toEvent); none for a one-off session
+         * @param {Object} workshop - Workshop object
+         * @param {Object} offering - Offering object
+         * @param {string} description - Description of the series
+         * @param {number} sequence - Revision number of the series
+         * @returns {Object} { rrule, rdates, exdates, overrides }
+         */
+        getRecurrence(workshop, offering, description, sequence) {
+            if (!OfferingRecurrence.isSeries(offering)) return {};
+
+            const cancelled = OfferingSchedule.isCancelled(offering);
+            const duration = new Date(offering.end) - new Date(offering.start);
+
+            return {
+                rrule: OfferingRecurrence.getRule(offering) || undefined,
+                rdates: (offering.meetings || []).map(meeting => new Date(meeting.start)),
+                exdates: (offering.recurrence?.except || []).map(start => new Date(start)),
+                overrides: OfferingRecurrence.getMeetings(offering)
+                    .filter(meeting => (meeting.cancelled && !cancelled) || meeting.end - meeting.start !== duration)
+                    .map(meeting => ({
+                        recurrenceId: meeting.start,
+                        start: meeting.start,
+                        end: meeting.end,
+                        ...(meeting.cancelled && !cancelled ? {
+                            title: `Cancelled: ${workshop.title}`,
+                            description: `This session has been cancelled.${meeting.status_note ? ` ${meeting.status_note}` : ''}\n\n${description}`,
+                            cancelled: true,
+                            sequence: sequence + 1
+                        } : {})
+                    }))
+            };
+        }
 
-    /**
-     * Format date to iCalendar format (YYYYMMDDTHHMMSSZ or YYYYMMDDTHHMMSS)
-     * @param {Date} date - JavaScript Date object
-     * @returns {string} Formatted date string
-     */
-    formatDate(date) {
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        const hours = String(date.getHours()).padStart(2, '0');
-        const minutes = String(date.getMinutes()).padStart(2, '0');
-        const seconds = String(date.getSeconds()).padStart(2, '0');
+        /**
+         * Build a detailed description for the event
+         * @param {Object} workshop - Workshop object
+         * @param {Object} offering - Offering object
+         * @returns {string} Formatted description
+         */
+        buildDescription(workshop, offering) {
+            let desc = workshop.description || workshop.summary || '';
+
+            if (OfferingSchedule.isCancelled(offering)) {
+                desc = `This session has been cancelled.${offering.status_note ? ` ${offering.status_note}` : ''}\n\n${desc}`;
+            } else if (offering.rescheduled_from?.length > 0) {
+                const previous = offering.rescheduled_from[offering.rescheduled_from.length - 1];
+                desc = `Rescheduled (was ${campusFormat.format(new Date(previous))}).${offering.status_note ? ` ${offering.status_note}` : ''}\n\n${desc}`;
+            }
         
-        // Use local time (no Z suffix)
-        return `${year}${month}${day}T${hours}${minutes}${seconds}`;
-    }
+            // Add metadata
+            const format = this.data.formats.find(f => f.id === OfferingLocation.getFormatId(offering, workshop));
+            const instructors = workshop.instructor_ids.map(id => 
+                this.data.instructors.find(i => i.id === id)?.name
+            ).filter(Boolean).join(', ');
+            const areas = workshop.area_ids.map(id => 
+                this.data.areas.find(a => a.id === id)?.label
+            ).filter(Boolean).join(', ');
 
-    /**
-     * Escape special characters in iCalendar text fields
-     * @param {string} text - Text to escape
-     * @returns {string} Escaped text
-     */
-    escapeText(text) {
-        if (!text) return '';
+            desc += '\n\n---\n';
+            if (format) desc += `Format: ${format.label}\n`;
+            if (instructors) desc += `Instructor(s): ${instructors}\n`;
+            if (areas) desc += `Research Area(s): ${areas}\n`;
+            if (offering.quarter) desc += `Quarter: ${offering.quarter} ${offering.year}\n`;
+            if (OfferingRecurrence.isSeries(offering)) {
+                desc += `Sessions:\n${OfferingRecurrence.getMeetings(offering).map(meeting =>
+                    `- ${campusFormat.formatRange(meeting.start, meeting.end)}${meeting.cancelled ? ' (cancelled)' : ''}\n`
+                ).join('')}`;
+            }
+            if (offering.venue?.map_url) desc += `Map: ${offering.venue.map_url}\n`;
+            if (offering.registration_url) desc += `\nRegister: ${offering.registration_url}`;
+            if (offering.online?.join_url) desc += `\nJoin ${offering.online.platform ? `on ${offering.online.platform}` : 'online'}: ${offering.online.join_url}`;
         
-        return text
-            .replace(/\\/g, '\\\\')   // Backslash
-            .replace(/;/g, '\\;')      // Semicolon
-            .replace(/,/g, '\\,')      // Comma
-            .replace(/\n/g, '\\n')     // Newline
-            .replace(/\r/g, '');       // Remove carriage returns
-    }
+            return desc;
+        }
 
-    /**
-     * Download ICS file to user's computer
-     * @param {string} content - ICS file content
-     * @param {string} filename - Filename for download
-     */
-    static downloadICS(content, filename = 'rds-workshops.ics') {
-        const blob = new Blob([content], { type: 'text/calendar;charset=utf-8' });
-        const link = document.createElement('a');
-        link.href = URL.createObjectURL(blob);
-        link.download = filename;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(link.href);
-    }
+        /**
+         * Wrap events in calendar structure
+         * @param {string} events - VEVENT strings
+         * @param {Object} calendar - Calendar name, description and color (optional)
+         * @returns {string} Complete ICS file content
+         */
+        wrapInCalendar(events, calendar = {}) {
+            return CalendarCore.wrapInCalendar(events ? [events] : [], {
+                name: calendar.name || 'RDS Workshops',
+                description: calendar.description || 'Research Data Services Workshop Catalogue',
+                color: calendar.color
+            });
+        }
 
-    /**
-     * Generate a webcal:// URL for calendar subscription
-     * @param {string} baseUrl - Base URL of the hosted ICS file
-     * @param {Object} filters - Current filter state
-     * @returns {string} webcal:// URL
-     */
-    static generateWebcalURL(baseUrl, filters = {}) {
-        const url = new URL(baseUrl);
+        /**
+         * Download ICS file to user's computer
+         * @param {string} content - ICS file content
+         * @param {string} filename - Filename for download
+         */
+        static downloadICS(content, filename = 'rds-workshops.ics') {
+            const blob = new Blob([content], { type: 'text/calendar;charset=utf-8' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(link.href);
+        }
+
+        /**
+         * Generate a webcal:// URL for calendar subscription
+         * @param {string} baseUrl - Base URL of the hosted ICS file
+         * @param {Object} filters - Current filter state
+         * @returns {string} webcal:// URL
+         */
+        static generateWebcalURL(baseUrl, filters = {}) {
+            const url = new URL(baseUrl);
         
-        // Add filter parameters
-        Object.entries(filters).forEach(([key, value]) => {
-            if (value) {
-                url.searchParams.append(key, value);
-            }
-        });
+            // Add filter parameters
+            Object.entries(filters).forEach(([key, value]) => {
+                if (value) {
+                    url.searchParams.append(key, value);
+                }
+            });
         
-        // Convert https:// to webcal://
-        return url.toString().replace(/^https?:\/\//, 'webcal://');
+            // Convert https:// to webcal://
+            return url.toString().replace(/^https?:\/\//, 'webcal://');
+        }
     }
-}
+
+    return ICalGenerator;
+}));
@@ -0,0 +1,171 @@
+// My Schedule
+// Sessions a visitor starred, kept in localStorage and shareable as a link
+// (?schedule=<offering id>,<offering id>). Also finds starred sessions that
+// overlap, so nobody signs up for two at once.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./offering-recurrence'));
+    } else {
+        root.MySchedule = factory(root.OfferingRecurrence);
+    }
+}(typeof self !== 'undefined' ? self : this, function (OfferingRecurrence) {
+    const STORAGE_KEY = 'rds-workshops-my-schedule';
+    const URL_PARAM = 'schedule';
+
+    class MySchedule {
+        /**
+         * @param {Storage|null} storage - Where to keep the starred sessions
+         *   (localStorage in the browser); without one they last for the visit
+         */
+        constructor(storage = null) {
+            this.storage = storage;
+            this.ids = new Set(this.load());
+        }
+
+        /**
+         * Read the starred offering ids from storage
+         * @returns {Array} Offering ids
+         */
+        load() {
+            try {
+                const ids = JSON.parse(this.storage?.getItem(STORAGE_KEY) || '[]');
+                return Array.isArray(ids) ? ids.filter(id => typeof id === 'string') : [];
+            } catch (error) {
+                return [];
+            }
+        }
+
+        save() {
+            try {
+                this.storage?.setItem(STORAGE_KEY, JSON.stringify([...this.ids]));
+            } catch (error) {
+                // Storage full or disabled: keep the schedule for this visit
+            }
+        }
+
+        /**
+         * Pick up changes made in another tab
+         */
+        reload() {
+            this.ids = new Set(this.load());
+        }
+
+        get size() {
+            return this.ids.size;
+        }
+
+        has(id) {
+            return this.ids.has(id);
+        }
+
+        /**
+         * Star or unstar a session
+         * @param {string} id - Offering id
+         * @returns {boolean} Whether the session is now starred
+         */
+        toggle(id) {
+            if (this.ids.has(id)) {
+                this.ids.delete(id);
+            } else {
+                this.ids.add(id);
+            }
+            this.save();
+            return this.ids.has(id);
+        }
+
+        /**
+         * Star several sessions, e.g. from a shared link
+         * @param {Array} ids - Offering ids
+         */
+        add(ids) {
+            ids.forEach(id => this.ids.add(id));
+            this.save();
+        }
+
+        clear() {
+            this.ids.clear();
+            this.save();
+        }
+
+        /**
+         * Starred sessions that are still in the catalogue, soonest first
+         * @param {Array} offerings - All offerings
+         * @returns {Array} Offering objects
+         */
+        getOfferings(offerings) {
+            return MySchedule.sort(offerings.filter(offering => this.ids.has(offering.id)));
+        }
+
+        /**
+         * Sort offerings chronologically
+         * @param {Array} offerings - Offering objects
+         * @returns {Array} A sorted copy
+         */
+        static sort(offerings) {
+            return [...offerings].sort((a, b) => new Date(a.start) - new Date(b.start));
+        }
+
+        /**
+         * Sessions that overlap in time. A series overlaps when any of its
+         * meetings (cancelled ones aside) does.
+         * @param {Array} offerings - Offering objects
+         * @returns {Map} Offering id -> ids of the sessions it overlaps
+         */
+        static findConflicts(offerings) {
+            const conflicts = new Map();
+            const meetings = offerings
+                .flatMap(offering => OfferingRecurrence.getMeetings(offering)
+                    .filter(meeting => !meeting.cancelled)
+                    .map(meeting => ({ ...meeting, id: offering.id })))
+                .sort((a, b) => a.start - b.start);
+
+            meetings.forEach((a, i) => {
+                meetings.slice(i + 1).forEach(b => {
+                    if (b.start >= a.end || b.id === a.id || conflicts.get(a.id)?.includes(b.id)) return;
+
+                    [[a, b], [b, a]].forEach(([one, other]) => {
+                        conflicts.set(one.id, [...(conflicts.get(one.id) || []), other.id]);
+                    });
+                });
+            });
+
+            return conflicts;
+        }
+
+        /**
+         * Offering ids of a shared link
+         * @param {URLSearchParams} params - URL parameters
+         * @returns {Array} Offering ids
+         */
+        static fromParams(params) {
+            return (params.get(URL_PARAM) || '').split(',').filter(Boolean);
+        }
+
+        /**
+         * Query string sharing some sessions
+         * @param {Array} ids - Offering ids
+         * @returns {string} e.g. '?schedule=off-a,off-b'
+         */
+        static toQuery(ids) {
+            return `?${URL_PARAM}=${ids.map(encodeURIComponent).join(',')}`;
+        }
+
+        /**
+         * The browser's localStorage, or null where it's blocked (e.g. some
+         * private windows throw on access)
+         * @returns {Storage|null}
+         */
+        static getBrowserStorage() {
+            try {
+                return window.localStorage;
+            } catch (error) {
+                return null;
+            }
+        }
+    }
+
+    MySchedule.STORAGE_KEY = STORAGE_KEY;
+
+    return MySchedule;
+}));
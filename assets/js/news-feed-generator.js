@@ -0,0 +1,181 @@
+// News Feed Generator
+// Atom and JSON Feed 1.1 versions of the calendar feeds, for people who
+// follow the catalogue in a feed reader: one entry per session, most recently
+// added or changed first. Node.js only: scripts/generate-ics.js builds the
+// feeds, and the catalogue just links to them.
+
+const CalendarCore = require('./calendar-core');
+const WorkshopFilter = require('./workshop-filter');
+const ICalGenerator = require('./ical-generator');
+const CatalogueTemplates = require('./catalogue-templates');
+const html = require('./html');
+
+const PUBLISHER = 'UCSB Library Research Data Services';
+const JSON_FEED_VERSION = 'https://jsonfeed.org/version/1.1';
+
+// Session date in entry titles, in campus time
+const DATE_FORMAT = new Intl.DateTimeFormat('en-US', {
+    timeZone: CalendarCore.TIMEZONE,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+});
+
+class NewsFeedGenerator {
+    /**
+     * @param {Object} data - Workshop catalogue data
+     * @param {Object} options - Generator options
+     * @param {string} options.baseUrl - Absolute URL of the catalogue
+     * @param {string} options.timestamp - Last-modified time of feeds without
+     *   entries, and of offerings without an updated_at
+     * @param {Date} options.now - Current time, used to leave out past sessions (default: now)
+     * @param {number} options.keepPastDays - Keep sessions that ended less than this many days ago (default: 0)
+     */
+    constructor(data, options = {}) {
+        this.data = data;
+        this.options = options;
+        this.icalGenerator = new ICalGenerator(data, options);
+    }
+
+    /**
+     * Entries for the current sessions of some workshops, most recently
+     * added or changed first. The same sessions as the ICS feed (see
+     * ICalGenerator.getOfferings).
+     * @param {Array} workshops - Filtered workshop list
+     * @param {Object} when - Only include sessions meeting these criteria and
+     *   format filter (see OfferingSchedule.matchesWhen; optional)
+     * @returns {Array} Entries as { id, title, url, registrationUrl, summary, text, start, updated, authors, tags }
+     */
+    getEntries(workshops, when = {}) {
+        return workshops
+            .flatMap(workshop => this.icalGenerator.getOfferings(workshop, when)
+                .map(offering => this.toEntry(workshop, offering)))
+            .sort((a, b) => b.updated.localeCompare(a.updated) || a.start - b.start || a.id.localeCompare(b.id));
+    }
+
+    /**
+     * Convert a workshop offering into a feed entry
+     * @param {Object} workshop - Workshop object
+     * @param {Object} offering - Offering object
+     * @returns {Object} Entry
+     */
+    toEntry(workshop, offering) {
+        const event = this.icalGenerator.toEvent(workshop, offering);
+        const url = this.resolve(CatalogueTemplates.getPagePath('workshop', workshop.id));
+
+        return {
+            id: `${url}#${offering.id}`,
+            title: `${workshop.title} (${DATE_FORMAT.format(event.start)})`,
+            url,
+            registrationUrl: html.isSafeUrl(offering.registration_url) ? offering.registration_url : null,
+            summary: workshop.summary || null,
+            text: `When: ${DATE_FORMAT.format(event.start)}\nWhere: ${event.location}\n\n${event.description}`,
+            start: event.start,
+            updated: event.updated ? new Date(event.updated).toISOString() : new Date(0).toISOString(),
+            authors: workshop.instructor_ids
+                .map(id => this.data.instructors.find(i => i.id === id)?.name)
+                .filter(Boolean),
+            tags: workshop.tags || []
+        };
+    }
+
+    /**
+     * Generate an Atom feed
+     * @param {Array} workshops - Filtered workshop list
+     * @param {Object} feed - Feed name, description, filter and url (of this file)
+     * @param {Object} when - Only include sessions meeting these criteria (optional)
+     * @returns {string} Atom XML
+     */
+    generateAtom(workshops, feed, when = {}) {
+        const entries = this.getEntries(workshops, when);
+
+        const lines = [
+            '<?xml version="1.0" encoding="utf-8"?>',
+            '<feed xmlns="http://www.w3.org/2005/Atom">',
+            html`  <id>${feed.url}</id>`,
+            html`  <title>${feed.name}</title>`,
+            feed.description && html`  <subtitle>${feed.description}</subtitle>`,
+            html`  <link rel="self" type="application/atom+xml" href="${feed.url}"/>`,
+            html`  <link rel="alternate" type="text/html" href="${this.getHomePageUrl(feed.filter)}"/>`,
+            html`  <updated>${this.getUpdated(entries)}</updated>`,
+            html`  <author><name>${PUBLISHER}</name></author>`,
+            ...entries.flatMap(entry => [
+                '  <entry>',
+                html`    <id>${entry.id}</id>`,
+                html`    <title>${entry.title}</title>`,
+                html`    <link rel="alternate" type="text/html" href="${entry.url}"/>`,
+                entry.registrationUrl && html`    <link rel="related" type="text/html" href="${entry.registrationUrl}" title="Register"/>`,
+                html`    <updated>${entry.updated}</updated>`,
+                ...entry.authors.map(name => html`    <author><name>${name}</name></author>`),
+                ...entry.tags.map(tag => html`    <category term="${tag}"/>`),
+                entry.summary && html`    <summary>${entry.summary}</summary>`,
+                html`    <content type="text">${entry.text}</content>`,
+                '  </entry>'
+            ]),
+            '</feed>'
+        ];
+
+        return lines.filter(Boolean).join('\n') + '\n';
+    }
+
+    /**
+     * Generate a JSON Feed (version 1.1)
+     * @param {Array} workshops - Filtered workshop list
+     * @param {Object} feed - Feed name, description, filter and url (of this file)
+     * @param {Object} when - Only include sessions meeting these criteria (optional)
+     * @returns {string} JSON
+     */
+    generateJSONFeed(workshops, feed, when = {}) {
+        const entries = this.getEntries(workshops, when);
+
+        return JSON.stringify({
+            version: JSON_FEED_VERSION,
+            title: feed.name,
+            description: feed.description,
+            home_page_url: this.getHomePageUrl(feed.filter),
+            feed_url: feed.url,
+            language: 'en-US',
+            authors: [{ name: PUBLISHER }],
+            items: entries.map(entry => ({
+                id: entry.id,
+                url: entry.url,
+                external_url: entry.registrationUrl || undefined,
+                title: entry.title,
+                summary: entry.summary || undefined,
+                content_text: entry.text,
+                date_modified: entry.updated,
+                authors: entry.authors.map(name => ({ name })),
+                tags: entry.tags
+            }))
+        }, null, 2) + '\n';
+    }
+
+    /**
+     * Last change of a feed: its newest entry, or the data's timestamp
+     * @param {Array} entries - Feed entries
+     * @returns {string} ISO date
+     */
+    getUpdated(entries) {
+        if (entries.length > 0) return entries[0].updated;
+        return new Date(this.options.timestamp || 0).toISOString();
+    }
+
+    /**
+     * Catalogue URL showing the workshops of a feed
+     * @param {Object} filter - Feed filter
+     * @returns {string} URL
+     */
+    getHomePageUrl(filter = {}) {
+        const params = WorkshopFilter.toParams(filter).toString();
+        return this.resolve(params ? `?${params}` : './');
+    }
+
+    resolve(path) {
+        return new URL(path, this.options.baseUrl).toString();
+    }
+}
+
+module.exports = NewsFeedGenerator;
@@ -0,0 +1,80 @@
+// Offering Location
+// Where and how a session happens. An offering can describe its place as a
+// `venue` (building, room, campus map link) and its video call as `online`
+// (platform, join link), and set its own `format_id` when it differs from
+// the workshop's (e.g. one hybrid run of an online workshop). Older offerings
+// only have a free-text `location`, which is still used when neither is set.
+//
+// The join link is public: it is in workshops.json, which the catalogue
+// loads, and in the calendars, feeds and structured data built from it. The
+// catalogue shows it until the session is over, so a meeting that should
+// only let registered people in needs the platform's own protection
+// (registration, passcode, waiting room).
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./offering-recurrence'));
+    } else {
+        root.OfferingLocation = factory(root.OfferingRecurrence);
+    }
+}(typeof self !== 'undefined' ? self : this, function (OfferingRecurrence) {
+    /**
+     * Format of a session: its own, or its workshop's
+     * @param {Object} offering - Offering object
+     * @param {Object} workshop - Its workshop
+     * @returns {string|undefined} Format id
+     */
+    function getFormatId(offering, workshop) {
+        return offering.format_id || workshop?.format_id;
+    }
+
+    /**
+     * Building and room, e.g. "Library, Room 1312"
+     * @param {Object} offering - Offering object
+     * @returns {string} Venue name ('' without a venue)
+     */
+    function getVenueName(offering) {
+        return offering.venue ? [offering.venue.building, offering.venue.room].filter(Boolean).join(', ') : '';
+    }
+
+    /**
+     * Video platform of a session, e.g. "Zoom"
+     * @param {Object} offering - Offering object
+     * @returns {string} Platform ('' for in-person sessions)
+     */
+    function getPlatform(offering) {
+        return offering.online ? offering.online.platform || 'Online' : '';
+    }
+
+    /**
+     * One-line location, e.g. "Library, Room 1312 + Zoom", as used for the
+     * calendar LOCATION, exports and search
+     * @param {Object} offering - Offering object
+     * @returns {string} Location ('' when unknown)
+     */
+    function getLabel(offering) {
+        const parts = [getVenueName(offering), getPlatform(offering)].filter(Boolean);
+        return parts.length > 0 ? parts.join(' + ') : offering.location || '';
+    }
+
+    /**
+     * Whether the join link should be shown: until the end of the last
+     * meeting that isn't cancelled
+     * @param {Object} offering - Offering object
+     * @param {Date} now - Current time
+     * @returns {boolean}
+     */
+    function isJoinOpen(offering, now = new Date()) {
+        if (!offering.online?.join_url) return false;
+
+        return OfferingRecurrence.getMeetings(offering).some(meeting => !meeting.cancelled && now < meeting.end);
+    }
+
+    return {
+        getFormatId,
+        getVenueName,
+        getPlatform,
+        getLabel,
+        isJoinOpen
+    };
+}));
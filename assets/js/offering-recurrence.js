@@ -0,0 +1,216 @@
+// Offering Recurrence
+// Sessions that meet more than once: a weekly series or a multi-day bootcamp
+// is one offering, not one per meeting. Its `start`/`end` are the first
+// meeting; more come from a `recurrence` rule and/or a list of extra
+// `meetings` (which may have their own hours):
+//
+//   "recurrence": { "frequency": "weekly", "days": ["tue", "thu"], "count": 4,
+//                   "except": ["2026-01-21T14:00:00-08:00"] }
+//   "meetings": [{ "start": "2026-01-31T09:00:00-08:00", "end": "2026-01-31T12:00:00-08:00" }]
+//
+// `interval` repeats every n weeks (or days), `until` (YYYY-MM-DD) can stand
+// in for `count`, and `except` drops meetings that were never planned (a
+// holiday). A meeting called off later goes in `cancelled_meetings`, so
+// calendars that already have it are told. Rules follow RFC 5545 (weeks
+// start on Monday) and are expanded in campus time, so a 2pm class stays at
+// 2pm across daylight saving changes.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./calendar-core'));
+    } else {
+        root.OfferingRecurrence = factory(root.CalendarCore);
+    }
+}(typeof self !== 'undefined' ? self : this, function (CalendarCore) {
+    const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // Rules without a count or until, or running for years, stop here
+    const MAX_MEETINGS = 200;
+
+    const localFormat = new Intl.DateTimeFormat('en-US', {
+        timeZone: CalendarCore.TIMEZONE,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    });
+
+    /**
+     * Campus-time parts of a moment, as strings (year, month, day, weekday, hour, ...)
+     * @param {Date} date - Moment in time
+     * @returns {Object} Parts
+     */
+    function getParts(date) {
+        return Object.fromEntries(localFormat.formatToParts(date).map(part => [part.type, part.value]));
+    }
+
+    /**
+     * Offset of campus time from UTC at a moment, in milliseconds
+     * @param {Date} date - Moment in time
+     * @returns {number} Offset
+     */
+    function getOffset(date) {
+        const parts = getParts(date);
+        const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return wall - Math.floor(date.getTime() / 1000) * 1000;
+    }
+
+    /**
+     * The same campus wall-clock time some days later
+     * @param {Date} date - Moment in time
+     * @param {number} days - Days to add
+     * @returns {Date}
+     */
+    function addDays(date, days) {
+        const guess = new Date(date.getTime() + days * DAY_MS);
+        return new Date(guess.getTime() + getOffset(date) - getOffset(guess));
+    }
+
+    /**
+     * Whether an offering meets more than once
+     * @param {Object} offering - Offering object
+     * @returns {boolean}
+     */
+    function isSeries(offering) {
+        return Boolean(offering.recurrence) || (offering.meetings || []).length > 0;
+    }
+
+    /**
+     * Weekdays of a weekly rule that are real day names; an empty list means
+     * the first meeting's weekday, as without `days`
+     * @param {Object} rule - Recurrence rule
+     * @returns {Array<string>} Days ('mon', 'tue', ...)
+     */
+    function getRuleDays(rule) {
+        return (Array.isArray(rule.days) ? rule.days : []).filter(day => DAYS.includes(day));
+    }
+
+    /**
+     * Starts generated by the recurrence rule, the first meeting included and
+     * `except` not yet applied (as COUNT counts them)
+     * @param {Object} offering - Offering object
+     * @returns {Array<Date>} Starts
+     */
+    function getRuleStarts(offering) {
+        const start = new Date(offering.start);
+        const rule = offering.recurrence;
+        if (!rule) return [start];
+
+        const interval = rule.interval || 1;
+        const limit = Math.min(rule.count || MAX_MEETINGS, MAX_MEETINGS);
+        const starts = [];
+        const add = date => {
+            if (rule.until && getLocalDate(date) > rule.until) return false;
+            starts.push(date);
+            return starts.length < limit;
+        };
+
+        if (rule.frequency === 'daily') {
+            for (let day = 0; ; day += interval) {
+                if (!add(addDays(start, day))) return starts;
+            }
+        }
+
+        // Weekly: the rule's days of every interval-th week, counted from
+        // the Monday of the first meeting's week
+        const fromMonday = day => (DAYS.indexOf(day) + 6) % 7;
+        const weekday = getParts(start).weekday.toLowerCase();
+        const first = fromMonday(weekday);
+        const ruleDays = getRuleDays(rule);
+        const days = [...new Set((ruleDays.length > 0 ? ruleDays : [weekday]).map(fromMonday))].sort((a, b) => a - b);
+
+        for (let week = 0; ; week += interval) {
+            for (const day of days) {
+                const offset = week * 7 + day - first;
+                if (offset >= 0 && !add(addDays(start, offset))) return starts;
+            }
+        }
+    }
+
+    /**
+     * Campus-time date of a moment
+     * @param {Date} date - Moment in time
+     * @returns {string} YYYY-MM-DD
+     */
+    function getLocalDate(date) {
+        const parts = getParts(date);
+        return `${parts.year}-${parts.month}-${parts.day}`;
+    }
+
+    /**
+     * Every meeting of an offering, soonest first. A one-off session has a
+     * single meeting, its start and end.
+     * @param {Object} offering - Offering object
+     * @returns {Array} Meetings as { start, end, cancelled, status_note }
+     */
+    function getMeetings(offering) {
+        const duration = new Date(offering.end) - new Date(offering.start);
+        const except = new Set((offering.recurrence?.except || []).map(value => new Date(value).getTime()));
+        const cancelled = new Map((offering.cancelled_meetings || []).map(meeting => [new Date(meeting.start).getTime(), meeting]));
+
+        return getRuleStarts(offering)
+            .filter(start => !except.has(start.getTime()))
+            .map(start => ({ start, end: new Date(start.getTime() + duration) }))
+            .concat((offering.meetings || []).map(meeting => ({ start: new Date(meeting.start), end: new Date(meeting.end) })))
+            .sort((a, b) => a.start - b.start)
+            .map(meeting => ({
+                ...meeting,
+                cancelled: offering.status === 'cancelled' || cancelled.has(meeting.start.getTime()),
+                status_note: cancelled.get(meeting.start.getTime())?.status_note
+            }));
+    }
+
+    /**
+     * When an offering is over: the end of its last meeting that isn't
+     * cancelled (or of its last meeting, if they all are)
+     * @param {Object} offering - Offering object
+     * @returns {Date}
+     */
+    function getEnd(offering) {
+        if (!isSeries(offering)) return new Date(offering.end);
+
+        const meetings = getMeetings(offering);
+        const held = meetings.filter(meeting => !meeting.cancelled);
+        const last = held.length > 0 ? held : meetings;
+        return last[last.length - 1].end;
+    }
+
+    /**
+     * The recurrence rule as an RRULE value, e.g. 'FREQ=WEEKLY;BYDAY=TU,TH;COUNT=4'
+     * @param {Object} offering - Offering object
+     * @returns {string|null} Rule, or null without a recurrence
+     */
+    function getRule(offering) {
+        const rule = offering.recurrence;
+        if (!rule) return null;
+
+        const parts = [`FREQ=${rule.frequency === 'daily' ? 'DAILY' : 'WEEKLY'}`];
+        if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+        const days = getRuleDays(rule);
+        if (rule.frequency !== 'daily' && days.length > 0) parts.push(`BYDAY=${days.map(day => day.slice(0, 2).toUpperCase()).join(',')}`);
+
+        // UNTIL has to be in UTC: the start of the rule's last meeting
+        const starts = getRuleStarts(offering);
+        parts.push(rule.count ? `COUNT=${starts.length}` : `UNTIL=${CalendarCore.formatUTCDate(starts[starts.length - 1])}`);
+
+        return parts.join(';');
+    }
+
+    return {
+        DAYS,
+        MAX_MEETINGS,
+        isSeries,
+        getLocalDate,
+        getRuleDays,
+        getRuleStarts,
+        getMeetings,
+        getEnd,
+        getRule
+    };
+}));
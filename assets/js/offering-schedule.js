@@ -0,0 +1,343 @@
+// Offering Schedule
+// Classifies offerings as upcoming, in progress or past relative to "now",
+// works out whether registration is open, and matches them against "when"
+// criteria (quarter, date range, day of week, time of day). A series is in
+// progress from its first meeting until its last (see OfferingRecurrence).
+// Shared by the browser app and the Node.js build scripts; every function
+// takes `now` so callers (and tests) can pin the current time.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./calendar-core'), require('./offering-recurrence'));
+    } else {
+        root.OfferingSchedule = factory(root.CalendarCore, root.OfferingRecurrence);
+    }
+}(typeof self !== 'undefined' ? self : this, function (CalendarCore, OfferingRecurrence) {
+    const UPCOMING = 'upcoming';
+    const IN_PROGRESS = 'in-progress';
+    const PAST = 'past';
+
+    // Registration states, from an offering's status, registration_status and
+    // registration window (see getRegistrationStatus)
+    const REGISTRATION = {
+        OPEN: 'open',
+        NOT_OPEN: 'not-open',
+        CLOSED: 'closed',
+        FULL: 'full',
+        WAITLIST: 'waitlist',
+        CANCELLED: 'cancelled'
+    };
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    const DAYS = OfferingRecurrence.DAYS;
+
+    // Start hour ranges [from, to) in campus time
+    const TIMES_OF_DAY = {
+        morning: [0, 12],
+        afternoon: [12, 17],
+        evening: [17, 24]
+    };
+
+    // Day of week and times of day are judged in campus time, wherever the
+    // browser (or the build) runs
+    const localFormat = new Intl.DateTimeFormat('en-US', {
+        timeZone: CalendarCore.TIMEZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        weekday: 'short',
+        hour: '2-digit',
+        hourCycle: 'h23'
+    });
+
+    /**
+     * Get the status of an offering
+     * @param {Object} offering - Offering object
+     * @param {Date} now - Current time
+     * @returns {string} 'upcoming', 'in-progress' or 'past'
+     */
+    function getStatus(offering, now = new Date()) {
+        const start = new Date(offering.start);
+        const end = OfferingRecurrence.getEnd(offering);
+
+        if (end <= now) return PAST;
+        if (start <= now) return IN_PROGRESS;
+        return UPCOMING;
+    }
+
+    /**
+     * The meeting of a session going on right now, if any (for a one-off
+     * session, the session itself while it's in progress)
+     * @param {Object} offering - Offering object
+     * @param {Date} now - Current time
+     * @returns {Object|undefined} Meeting as { start, end, cancelled, status_note }
+     */
+    function getCurrentMeeting(offering, now = new Date()) {
+        return OfferingRecurrence.getMeetings(offering).find(meeting =>
+            !meeting.cancelled && meeting.start <= now && now < meeting.end
+        );
+    }
+
+    /**
+     * The next meeting of a session that hasn't started yet, skipping
+     * cancelled ones
+     * @param {Object} offering - Offering object
+     * @param {Date} now - Current time
+     * @returns {Object|undefined} Meeting as { start, end, cancelled, status_note }
+     */
+    function getNextMeeting(offering, now = new Date()) {
+        return OfferingRecurrence.getMeetings(offering).find(meeting => !meeting.cancelled && meeting.start > now);
+    }
+
+    /**
+     * Whether a session has been cancelled
+     * @param {Object} offering - Offering object
+     * @returns {boolean}
+     */
+    function isCancelled(offering) {
+        return offering.status === 'cancelled';
+    }
+
+    /**
+     * Whether (and how) people can sign up for a session. Cancelled sessions
+     * and sessions that have ended are closed; otherwise an explicit
+     * registration_status (closed, full, waitlist) wins over the registration
+     * window, and sessions without a registration link aren't open yet. Open
+     * sessions with no seats left take a waitlist.
+     * @param {Object} offering - Offering object
+     * @param {Date} now - Current time
+     * @param {number} seats - Live count of seats left (optional; see SeatProvider)
+     * @returns {string} One of the REGISTRATION values
+     */
+    function getRegistrationStatus(offering, now = new Date(), seats = undefined) {
+        if (isCancelled(offering)) return REGISTRATION.CANCELLED;
+        if (getStatus(offering, now) === PAST) return REGISTRATION.CLOSED;
+        if (offering.registration_status && offering.registration_status !== REGISTRATION.OPEN) {
+            return offering.registration_status;
+        }
+        if (offering.registration_opens && new Date(offering.registration_opens) > now) return REGISTRATION.NOT_OPEN;
+        if (offering.registration_closes && new Date(offering.registration_closes) <= now) return REGISTRATION.CLOSED;
+        if (!offering.registration_url) return REGISTRATION.NOT_OPEN;
+        if (seats === 0) return REGISTRATION.WAITLIST;
+
+        return REGISTRATION.OPEN;
+    }
+
+    /**
+     * Moments at which what the catalogue shows for a session changes: the
+     * start and end of each meeting, and when registration opens and closes
+     * @param {Object} offering - Offering object
+     * @returns {Array<Date>} Dates
+     */
+    function getChangeTimes(offering) {
+        return [offering.registration_opens, offering.registration_closes]
+            .filter(Boolean)
+            .map(value => new Date(value))
+            .concat(OfferingRecurrence.getMeetings(offering).flatMap(meeting => [meeting.start, meeting.end]));
+    }
+
+    /**
+     * The time a build (static pages, calendar feeds) describes: the last
+     * change at or before `now` (see getChangeTimes), or the moment a past
+     * session drops out of feeds keeping `keepPastDays`. Builds made any time
+     * until the next change come out the same.
+     * @param {Array} offerings - Offering objects
+     * @param {Date} now - Current time
+     * @param {number} keepPastDays - Days feeds keep past sessions
+     * @returns {Date} Build time
+     */
+    function getBuildTime(offerings, now = new Date(), keepPastDays = 0) {
+        const changes = offerings
+            .flatMap(offering => getChangeTimes(offering).concat(keepPastDays > 0
+                ? [new Date(OfferingRecurrence.getEnd(offering).getTime() + keepPastDays * DAY_MS)]
+                : []))
+            .filter(date => date <= now)
+            .sort((a, b) => b - a);
+
+        return changes[0] || new Date(0);
+    }
+
+    /**
+     * Split offerings by status. Upcoming and in-progress sessions are sorted
+     * soonest first, past sessions most recent first.
+     * @param {Array} offerings - Offering objects
+     * @param {Date} now - Current time
+     * @returns {Object} { upcoming, inProgress, past }
+     */
+    function classify(offerings, now = new Date()) {
+        const byStart = (a, b) => new Date(a.start) - new Date(b.start);
+        const groups = { upcoming: [], inProgress: [], past: [] };
+
+        offerings.forEach(offering => {
+            const status = getStatus(offering, now);
+            if (status === UPCOMING) groups.upcoming.push(offering);
+            else if (status === IN_PROGRESS) groups.inProgress.push(offering);
+            else groups.past.push(offering);
+        });
+
+        groups.upcoming.sort(byStart);
+        groups.inProgress.sort(byStart);
+        groups.past.sort((a, b) => byStart(b, a));
+
+        return groups;
+    }
+
+    /**
+     * Get the next offering that hasn't ended yet (in-progress sessions
+     * first), skipping cancelled ones
+     * @param {Array} offerings - Offering objects
+     * @param {Date} now - Current time
+     * @returns {Object|undefined} Next offering
+     */
+    function getNextOffering(offerings, now = new Date()) {
+        const { upcoming, inProgress } = classify(offerings.filter(offering => !isCancelled(offering)), now);
+        return inProgress[0] || upcoming[0];
+    }
+
+    /**
+     * Whether any offering that isn't cancelled hasn't ended yet
+     * @param {Array} offerings - Offering objects
+     * @param {Date} now - Current time
+     * @returns {boolean}
+     */
+    function hasUpcoming(offerings, now = new Date()) {
+        return offerings.some(offering => !isCancelled(offering) && getStatus(offering, now) !== PAST);
+    }
+
+    /**
+     * Compare two workshops by schedule: soonest next session first, then
+     * workshops with only past sessions (most recent first), then workshops
+     * without sessions
+     * @param {Array} offeringsA - Offerings of the first workshop
+     * @param {Array} offeringsB - Offerings of the second workshop
+     * @param {Date} now - Current time
+     * @returns {number} Sort order, as for Array.prototype.sort
+     */
+    function compareBySchedule(offeringsA, offeringsB, now = new Date()) {
+        const nextA = getNextOffering(offeringsA, now);
+        const nextB = getNextOffering(offeringsB, now);
+
+        if (nextA || nextB) {
+            if (!nextA) return 1;
+            if (!nextB) return -1;
+            return new Date(nextA.start) - new Date(nextB.start);
+        }
+
+        const lastA = classify(offeringsA, now).past[0];
+        const lastB = classify(offeringsB, now).past[0];
+
+        if (!lastA) return 1;
+        if (!lastB) return -1;
+
+        return new Date(lastB.start) - new Date(lastA.start);
+    }
+
+    /**
+     * Whether an offering hasn't ended, or ended less than `days` days ago
+     * @param {Object} offering - Offering object
+     * @param {Date} now - Current time
+     * @param {number} days - Number of days past sessions are kept
+     * @returns {boolean}
+     */
+    function isCurrent(offering, now = new Date(), days = 0) {
+        return OfferingRecurrence.getEnd(offering).getTime() > now.getTime() - days * DAY_MS;
+    }
+
+    /**
+     * Campus-time date, weekday and hour of a moment
+     * @param {Date} date - Moment in time
+     * @returns {Object} { date: 'YYYY-MM-DD', day: 'mon', hour: 0-23 }
+     */
+    function getLocalTime(date) {
+        const parts = Object.fromEntries(localFormat.formatToParts(date).map(part => [part.type, part.value]));
+
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            day: parts.weekday.toLowerCase(),
+            hour: Number(parts.hour)
+        };
+    }
+
+    /**
+     * Quarter key of an offering, e.g. 'winter-2026'
+     * @param {Object} offering - Offering object
+     * @returns {string|null} Quarter key, or null if the offering has no quarter
+     */
+    function getQuarterKey(offering) {
+        return offering.quarter && offering.year ? `${offering.quarter.toLowerCase()}-${offering.year}` : null;
+    }
+
+    /**
+     * Whether any "when" criterion is set
+     * @param {Object} when - Criteria: quarter, day and time lists, from/to dates (YYYY-MM-DD)
+     * @returns {boolean}
+     */
+    function hasWhen(when = {}) {
+        return Boolean(when.from || when.to) ||
+            ['quarter', 'day', 'time'].some(key => [].concat(when[key] || []).length > 0);
+    }
+
+    /**
+     * Whether an offering meets every "when" criterion. Lists match any of
+     * their values; the date range is inclusive. A series matches when any of
+     * its meetings does.
+     * @param {Object} offering - Offering object
+     * @param {Object} when - Criteria: quarter, day and time lists, from/to dates (YYYY-MM-DD)
+     * @returns {boolean}
+     */
+    function matchesWhen(offering, when = {}) {
+        const quarters = [].concat(when.quarter || []).filter(Boolean);
+
+        if (quarters.length > 0 && !quarters.includes(getQuarterKey(offering))) return false;
+
+        return OfferingRecurrence.getMeetings(offering).some(meeting => matchesTime(meeting.start, when));
+    }
+
+    /**
+     * Whether a meeting starting at some moment meets the date range, day and
+     * time criteria
+     * @param {Date} start - Start of the meeting
+     * @param {Object} when - Criteria: day and time lists, from/to dates (YYYY-MM-DD)
+     * @returns {boolean}
+     */
+    function matchesTime(start, when = {}) {
+        const list = key => [].concat(when[key] || []).filter(Boolean);
+        const local = getLocalTime(start);
+
+        if (when.from && local.date < when.from) return false;
+        if (when.to && local.date > when.to) return false;
+        if (list('day').length > 0 && !list('day').includes(local.day)) return false;
+        if (list('time').length > 0 && !list('time').some(time =>
+            TIMES_OF_DAY[time] && local.hour >= TIMES_OF_DAY[time][0] && local.hour < TIMES_OF_DAY[time][1]
+        )) return false;
+
+        return true;
+    }
+
+    return {
+        UPCOMING,
+        IN_PROGRESS,
+        PAST,
+        REGISTRATION,
+        DAYS,
+        TIMES_OF_DAY,
+        getLocalTime,
+        getQuarterKey,
+        hasWhen,
+        matchesWhen,
+        matchesTime,
+        getStatus,
+        getCurrentMeeting,
+        getNextMeeting,
+        isCancelled,
+        getRegistrationStatus,
+        getChangeTimes,
+        getBuildTime,
+        classify,
+        getNextOffering,
+        hasUpcoming,
+        compareBySchedule,
+        isCurrent
+    };
+}));
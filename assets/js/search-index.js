@@ -0,0 +1,246 @@
+// Search Index
+// Tokenized full-text index of the workshops, built once after the data
+// loads. Fields are weighted (title > tags > summary > description), terms
+// match whole words, prefixes and near misses, and "quoted phrases" match
+// word for word.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./html'), require('./offering-location'));
+    } else {
+        root.SearchIndex = factory(root.html, root.OfferingLocation);
+    }
+}(typeof self !== 'undefined' ? self : this, function (html, OfferingLocation) {
+    // Field weights
+    const WEIGHTS = {
+        title: 10,
+        tags: 6,
+        series: 4,
+        instructors: 4,
+        summary: 3,
+        description: 1,
+        locations: 1
+    };
+
+    // How much a term scores by how it matched a word
+    const MATCH_SCORES = {
+        exact: 1,
+        prefix: 0.7,
+        fuzzy: 0.4
+    };
+
+    /**
+     * Lowercase, strip accents and split text into words
+     * @param {string} text - Text to tokenize
+     * @returns {Array} Tokens
+     */
+    function tokenize(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(Boolean);
+    }
+
+    /**
+     * Split a query into single terms and "quoted phrases"
+     * @param {string} query - Search query
+     * @returns {Object} { terms: [token], phrases: [[token]] }
+     */
+    function parseQuery(query) {
+        const phrases = [];
+        const rest = String(query || '').replace(/"([^"]*)"?/g, (match, phrase) => {
+            const tokens = tokenize(phrase);
+            if (tokens.length > 1) phrases.push(tokens);
+            return tokens.length === 1 ? ` ${tokens[0]} ` : ' ';
+        });
+
+        return { terms: [...new Set(tokenize(rest))], phrases };
+    }
+
+    /**
+     * Edit distance between two words, giving up once it exceeds `max`
+     * @param {string} a - Word
+     * @param {string} b - Word
+     * @param {number} max - Largest distance of interest
+     * @returns {number} Distance, or max + 1 when further apart
+     */
+    function editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > max) return max + 1;
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    /**
+     * Typos tolerated for a term: none for short words, one from 4 letters,
+     * two from 8
+     * @param {string} term - Search term
+     * @returns {number} Maximum edit distance
+     */
+    function allowedTypos(term) {
+        if (term.length >= 8) return 2;
+        if (term.length >= 4) return 1;
+        return 0;
+    }
+
+    class SearchIndex {
+        /**
+         * @param {Object} data - Workshop catalogue data
+         */
+        constructor(data) {
+            this.documents = new Map();
+            this.vocabulary = new Set();
+            this.cache = { query: null, results: null };
+
+            data.workshops.forEach(workshop => {
+                const fields = {
+                    title: workshop.title,
+                    tags: (workshop.tags || []).join(' '),
+                    series: data.series.find(s => s.id === workshop.series_id)?.title,
+                    instructors: workshop.instructor_ids
+                        .map(id => data.instructors.find(i => i.id === id)?.name)
+                        .join(' '),
+                    summary: workshop.summary,
+                    description: workshop.description,
+                    locations: data.offerings
+                        .filter(o => o.workshop_id === workshop.id)
+                        .map(OfferingLocation.getLabel)
+                        .join(' ')
+                };
+
+                const tokens = {};
+                Object.entries(fields).forEach(([field, text]) => {
+                    tokens[field] = tokenize(text);
+                    tokens[field].forEach(token => this.vocabulary.add(token));
+                });
+
+                this.documents.set(workshop.id, tokens);
+            });
+        }
+
+        /**
+         * Words in the index that a term matches, with how well
+         * @param {string} term - Search term
+         * @returns {Map} Word -> match score
+         */
+        expandTerm(term) {
+            const words = new Map();
+            const typos = allowedTypos(term);
+
+            this.vocabulary.forEach(word => {
+                if (word === term) {
+                    words.set(word, MATCH_SCORES.exact);
+                } else if (term.length >= 2 && word.startsWith(term)) {
+                    words.set(word, MATCH_SCORES.prefix);
+                } else if (typos > 0 && editDistance(term, word, typos) <= typos) {
+                    words.set(word, MATCH_SCORES.fuzzy);
+                }
+            });
+
+            return words;
+        }
+
+        /**
+         * Find the workshops matching every term and phrase of a query
+         * @param {string} query - Search query
+         * @returns {Map} Workshop id -> { score, words } where `words` are the
+         *   matched words, for highlighting
+         */
+        search(query) {
+            if (this.cache.query === query) return this.cache.results;
+
+            const { terms, phrases } = parseQuery(query);
+            const expanded = terms.map(term => this.expandTerm(term));
+            const results = new Map();
+
+            if (terms.length > 0 || phrases.length > 0) {
+                this.documents.forEach((fields, id) => {
+                    const result = this.scoreDocument(fields, expanded, phrases);
+                    if (result) results.set(id, result);
+                });
+            }
+
+            this.cache = { query, results };
+            return results;
+        }
+
+        /**
+         * Score one workshop against the expanded terms and the phrases
+         * @param {Object} fields - Field name -> tokens
+         * @param {Array} expanded - Per term, matched words -> match score
+         * @param {Array} phrases - Token lists
+         * @returns {Object|null} { score, words }, or null if anything is missing
+         */
+        scoreDocument(fields, expanded, phrases) {
+            const words = new Set();
+            let score = 0;
+
+            for (const matches of expanded) {
+                let best = 0;
+                Object.entries(fields).forEach(([field, tokens]) => {
+                    tokens.forEach(token => {
+                        const match = matches.get(token);
+                        if (!match) return;
+                        words.add(token);
+                        best = Math.max(best, match * WEIGHTS[field]);
+                    });
+                });
+                if (best === 0) return null;
+                score += best;
+            }
+
+            for (const phrase of phrases) {
+                let best = 0;
+                Object.entries(fields).forEach(([field, tokens]) => {
+                    const text = ` ${tokens.join(' ')} `;
+                    if (text.includes(` ${phrase.join(' ')} `)) {
+                        phrase.forEach(token => words.add(token));
+                        best = Math.max(best, phrase.length * WEIGHTS[field]);
+                    }
+                });
+                if (best === 0) return null;
+                score += best;
+            }
+
+            return { score, words };
+        }
+
+        /**
+         * Escape a text and wrap its matched words in <mark>
+         * @param {string} text - Text to highlight
+         * @param {Set} words - Matched words, as returned by search()
+         * @returns {SafeHtml} Highlighted HTML
+         */
+        static highlight(text, words) {
+            if (!words || words.size === 0) return html`${text}`;
+
+            // Split on words; the words land at the odd indices
+            const parts = String(text || '').split(/([^\s.,;:!?()"'\/-]+)/);
+            return html`${parts.map((part, i) =>
+                i % 2 === 1 && tokenize(part).some(token => words.has(token)) ? html`<mark>${part}</mark>` : part
+            )}`;
+        }
+    }
+
+    SearchIndex.tokenize = tokenize;
+    SearchIndex.parseQuery = parseQuery;
+
+    return SearchIndex;
+}));
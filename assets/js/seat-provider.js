@@ -0,0 +1,132 @@
+// Seat Provider
+// Live remaining-seat counts from the registration system. A provider is any
+// object with a `name` and a `fetchSeats(offerings)` method resolving to a
+// Map of offering id -> seats left; sessions it doesn't know about keep
+// showing their static `capacity`. Adapters:
+//
+//   json - GET a JSON endpoint answering either { "<offering id>": 12, ... }
+//          or a list of records, e.g. [{ "offering_id": "off-...", "seats_remaining": 12 }]
+//          (the record fields are configurable with idField/seatsField)
+//   mock - answers from its config without any network, for trying the
+//          catalogue out and for tests; `fail: true` makes it unreachable
+//
+// Which provider the catalogue uses is set in assets/data/seats.config.json.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SeatProvider = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const DEFAULT_TIMEOUT = 10000;
+
+    /**
+     * Read seat counts from an endpoint's answer. Counts that aren't
+     * non-negative integers are left out.
+     * @param {Object|Array} body - Parsed JSON: an id -> seats object, or records
+     * @param {Object} options - Record fields
+     * @param {string} options.idField - Field holding the offering id (default: 'offering_id')
+     * @param {string} options.seatsField - Field holding the seats left (default: 'seats_remaining')
+     * @returns {Map} Offering id -> seats left
+     */
+    function parseSeats(body, options = {}) {
+        const idField = options.idField || 'offering_id';
+        const seatsField = options.seatsField || 'seats_remaining';
+        const entries = Array.isArray(body)
+            ? body.map(record => [record?.[idField], record?.[seatsField]])
+            : Object.entries(body || {});
+
+        return new Map(entries.filter(([id, seats]) =>
+            typeof id === 'string' && Number.isInteger(seats) && seats >= 0
+        ));
+    }
+
+    /**
+     * Provider reading a JSON endpoint
+     * @param {Object} config - Adapter settings
+     * @param {string} config.url - Endpoint URL (relative to the catalogue, or absolute;
+     *   other origins must be allowed by the connect-src of the page's CSP)
+     * @param {string} config.idField - Record field holding the offering id
+     * @param {string} config.seatsField - Record field holding the seats left
+     * @param {number} config.timeout - Give up after this many milliseconds (default: 10000)
+     * @returns {Object} Provider
+     */
+    function createJSONProvider(config) {
+        if (!config.url) throw new Error('The json seat provider needs a url');
+
+        return {
+            name: 'json',
+            async fetchSeats() {
+                const controller = new AbortController();
+                const timer = setTimeout(() => controller.abort(), config.timeout || DEFAULT_TIMEOUT);
+
+                try {
+                    const response = await fetch(config.url, {
+                        headers: { Accept: 'application/json' },
+                        cache: 'no-store',
+                        signal: controller.signal
+                    });
+                    if (!response.ok) throw new Error(`Seat provider answered ${response.status}`);
+                    return parseSeats(await response.json(), config);
+                } finally {
+                    clearTimeout(timer);
+                }
+            }
+        };
+    }
+
+    /**
+     * Provider answering from its config
+     * @param {Object} config - Adapter settings
+     * @param {Object} config.seats - Offering id -> seats left; other sessions
+     *   get their static capacity
+     * @param {number} config.delay - Answer after this many milliseconds (default: 0)
+     * @param {boolean} config.fail - Behave as if the registration system were down
+     * @returns {Object} Provider
+     */
+    function createMockProvider(config) {
+        return {
+            name: 'mock',
+            async fetchSeats(offerings) {
+                await new Promise(resolve => setTimeout(resolve, config.delay || 0));
+                if (config.fail) throw new Error('Mock seat provider is unreachable');
+
+                const seats = parseSeats(config.seats);
+                offerings.forEach(offering => {
+                    if (!seats.has(offering.id) && Number.isInteger(offering.capacity)) {
+                        seats.set(offering.id, offering.capacity);
+                    }
+                });
+                return seats;
+            }
+        };
+    }
+
+    const ADAPTERS = {
+        json: createJSONProvider,
+        mock: createMockProvider
+    };
+
+    /**
+     * Create the provider described by a config
+     * @param {Object|null} config - { type, ...adapter settings }, or null for none
+     * @returns {Object|null} Provider, or null when live seats are off
+     */
+    function create(config) {
+        if (!config || !config.type) return null;
+
+        const adapter = ADAPTERS[config.type];
+        if (!adapter) throw new Error(`Unknown seat provider "${config.type}"`);
+
+        return adapter(config);
+    }
+
+    return {
+        ADAPTERS,
+        parseSeats,
+        createJSONProvider,
+        createMockProvider,
+        create
+    };
+}));
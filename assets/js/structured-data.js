@@ -0,0 +1,242 @@
+// Structured Data
+// schema.org JSON-LD for search engines and campus event aggregators: every
+// workshop is a Course and every session an Event. Loaded as a plain script
+// by the catalogue and with require() by scripts/build-pages.js, so the app
+// and the static pages describe the same things.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(
+            require('./catalogue-templates'),
+            require('./offering-schedule'),
+            require('./offering-location'),
+            require('./offering-recurrence')
+        );
+    } else {
+        root.StructuredData = factory(root.CatalogueTemplates, root.OfferingSchedule, root.OfferingLocation, root.OfferingRecurrence);
+    }
+}(typeof self !== 'undefined' ? self : this, function (CatalogueTemplates, OfferingSchedule, OfferingLocation, OfferingRecurrence) {
+    const SCHEMA = 'https://schema.org/';
+    const IMAGE = 'assets/imgs/HexSticker-RDS.png';
+
+    // Format -> how people attend
+    const ATTENDANCE_MODES = {
+        'fmt-online': 'OnlineEventAttendanceMode',
+        'fmt-in-person': 'OfflineEventAttendanceMode',
+        'fmt-hybrid': 'MixedEventAttendanceMode'
+    };
+
+    // Registration state (OfferingSchedule.getRegistrationStatus) -> Offer
+    // availability; the registration window also becomes the offer's
+    // validFrom/validThrough
+    const AVAILABILITY = {
+        [OfferingSchedule.REGISTRATION.OPEN]: 'InStock',
+        [OfferingSchedule.REGISTRATION.NOT_OPEN]: 'PreOrder',
+        [OfferingSchedule.REGISTRATION.WAITLIST]: 'LimitedAvailability',
+        [OfferingSchedule.REGISTRATION.FULL]: 'SoldOut',
+        [OfferingSchedule.REGISTRATION.CLOSED]: 'Discontinued',
+        [OfferingSchedule.REGISTRATION.CANCELLED]: 'Discontinued'
+    };
+
+    class StructuredData {
+        /**
+         * @param {Object} data - Workshop catalogue data
+         * @param {Object} options - Options
+         * @param {string} options.baseUrl - Absolute URL of the catalogue
+         * @param {Function} options.now - Current time (default: the real clock)
+         * @param {Function} options.getSeats - Live count of seats left in a session,
+         *   or undefined when unknown (see SeatProvider)
+         */
+        constructor(data, options = {}) {
+            this.data = data;
+            this.baseUrl = options.baseUrl;
+            this.now = options.now || (() => new Date());
+            this.getSeats = options.getSeats || (() => undefined);
+        }
+
+        /**
+         * JSON-LD graph of workshops and all their sessions
+         * @param {Array} workshops - Workshop objects
+         * @returns {Object} JSON-LD document
+         */
+        createGraph(workshops) {
+            return {
+                '@context': 'https://schema.org',
+                '@graph': workshops.flatMap(workshop => [
+                    this.createCourse(workshop),
+                    ...this.data.offerings
+                        .filter(o => o.workshop_id === workshop.id)
+                        .map(offering => this.createEvent(offering, workshop))
+                ])
+            };
+        }
+
+        /**
+         * A workshop as a schema.org Course
+         * @param {Object} workshop - Workshop object
+         * @returns {Object} Course
+         */
+        createCourse(workshop) {
+            const url = this.getUrl(workshop);
+            const audiences = workshop.audience_ids
+                .map(id => this.data.audiences.find(a => a.id === id))
+                .filter(Boolean);
+
+            return {
+                '@type': 'Course',
+                '@id': `${url}#course`,
+                name: workshop.title,
+                description: workshop.summary || workshop.description,
+                url,
+                image: this.resolve(IMAGE),
+                provider: this.getOrganizations(workshop),
+                keywords: (workshop.tags || []).join(', ') || undefined,
+                audience: audiences.map(audience => ({ '@type': 'Audience', audienceType: audience.label })),
+                isAccessibleForFree: true
+            };
+        }
+
+        /**
+         * A session as a schema.org Event
+         * @param {Object} offering - Offering object
+         * @param {Object} workshop - Its workshop
+         * @returns {Object} Event
+         */
+        createEvent(offering, workshop) {
+            const url = this.getUrl(workshop);
+            const mode = ATTENDANCE_MODES[OfferingLocation.getFormatId(offering, workshop)];
+            const cancelled = OfferingSchedule.isCancelled(offering);
+            const registration = OfferingSchedule.getRegistrationStatus(offering, this.now(), this.getSeats(offering));
+            const rescheduled = (offering.rescheduled_from || []).length > 0;
+
+            return {
+                '@type': 'Event',
+                '@id': `${url}#${offering.id}`,
+                name: workshop.title,
+                description: workshop.summary || workshop.description,
+                url,
+                image: this.resolve(IMAGE),
+                startDate: offering.start,
+                endDate: OfferingRecurrence.isSeries(offering) ? OfferingRecurrence.getEnd(offering).toISOString() : offering.end,
+                eventStatus: `${SCHEMA}${cancelled ? 'EventCancelled' : rescheduled ? 'EventRescheduled' : 'EventScheduled'}`,
+                previousStartDate: rescheduled ? offering.rescheduled_from : undefined,
+                eventAttendanceMode: mode ? `${SCHEMA}${mode}` : undefined,
+                location: this.getLocation(offering, workshop),
+                organizer: this.getOrganizations(workshop),
+                performer: workshop.instructor_ids
+                    .map(id => this.data.instructors.find(i => i.id === id))
+                    .filter(Boolean)
+                    .map(instructor => ({ '@type': 'Person', name: instructor.name, jobTitle: instructor.title })),
+                subEvent: OfferingRecurrence.isSeries(offering) ? this.getMeetingEvents(offering, workshop) : undefined,
+                maximumAttendeeCapacity: offering.capacity,
+                offers: offering.registration_url ? {
+                    '@type': 'Offer',
+                    url: offering.registration_url,
+                    price: 0,
+                    priceCurrency: 'USD',
+                    availability: `${SCHEMA}${AVAILABILITY[registration]}`,
+                    validFrom: offering.registration_opens,
+                    validThrough: offering.registration_closes
+                } : undefined,
+                about: { '@id': `${url}#course` }
+            };
+        }
+
+        /**
+         * The meetings of a series, as events of their own
+         * @param {Object} offering - Offering object
+         * @param {Object} workshop - Its workshop
+         * @returns {Array} Events
+         */
+        getMeetingEvents(offering, workshop) {
+            const meetings = OfferingRecurrence.getMeetings(offering);
+
+            return meetings.map((meeting, i) => ({
+                '@type': 'Event',
+                name: `${workshop.title} (session ${i + 1} of ${meetings.length})`,
+                startDate: meeting.start.toISOString(),
+                endDate: meeting.end.toISOString(),
+                eventStatus: `${SCHEMA}${meeting.cancelled ? 'EventCancelled' : 'EventScheduled'}`
+            }));
+        }
+
+        /**
+         * Where a session happens: a VirtualLocation for video calls, a Place
+         * otherwise, and both for hybrid sessions
+         * @param {Object} offering - Offering object
+         * @param {Object} workshop - Its workshop
+         * @returns {Object|Array|undefined} Location(s)
+         */
+        getLocation(offering, workshop) {
+            if (offering.venue || offering.online) {
+                const venue = OfferingLocation.getVenueName(offering);
+                const locations = [
+                    offering.venue && {
+                        '@type': 'Place',
+                        name: venue,
+                        address: venue,
+                        hasMap: offering.venue.map_url
+                    },
+                    offering.online && {
+                        '@type': 'VirtualLocation',
+                        name: OfferingLocation.getPlatform(offering),
+                        url: offering.online.join_url || offering.registration_url || this.getUrl(workshop)
+                    }
+                ].filter(Boolean);
+                return locations.length === 1 ? locations[0] : locations;
+            }
+
+            // Older offerings: the session's format says whether the free-text
+            // location is a room or the video call, like eventAttendanceMode
+            const format = OfferingLocation.getFormatId(offering, workshop);
+            const virtual = {
+                '@type': 'VirtualLocation',
+                name: offering.location || undefined,
+                url: offering.registration_url || this.getUrl(workshop)
+            };
+            const place = offering.location && { '@type': 'Place', name: offering.location, address: offering.location };
+
+            if (format === 'fmt-online') return virtual;
+            if (format === 'fmt-hybrid') return place ? [place, { ...virtual, name: undefined }] : virtual;
+            return place || undefined;
+        }
+
+        /**
+         * Departments offering a workshop, as organizations
+         * @param {Object} workshop - Workshop object
+         * @returns {Array} Organizations
+         */
+        getOrganizations(workshop) {
+            return workshop.department_ids
+                .map(id => this.data.departments.find(d => d.id === id))
+                .filter(Boolean)
+                .map(department => ({ '@type': 'Organization', name: department.label }));
+        }
+
+        /**
+         * Absolute URL of a workshop's page
+         * @param {Object} workshop - Workshop object
+         * @returns {string} URL
+         */
+        getUrl(workshop) {
+            return this.resolve(CatalogueTemplates.getPagePath('workshop', workshop.id));
+        }
+
+        resolve(path) {
+            return new URL(path, this.baseUrl).toString();
+        }
+
+        /**
+         * Serialize a JSON-LD document for a <script type="application/ld+json">
+         * element. "<" is escaped so the text can't close the element.
+         * @param {Object} document - JSON-LD document
+         * @param {number} indent - Indentation (default: none)
+         * @returns {string} JSON
+         */
+        static stringify(document, indent) {
+            return JSON.stringify(document, null, indent).replace(/</g, '\\u003c');
+        }
+    }
+
+    return StructuredData;
+}));
@@ -0,0 +1,247 @@
+// Workshop Filter
+// Multi-value facet filters (area, audience, format, ...) with per-facet
+// AND/OR matching. Shared by the browser app and scripts/generate-ics.js so
+// the catalogue and the published feeds select workshops the same way.
+//
+// Filters are plain objects: each facet holds a list of ids (a single id
+// string is accepted too), and `<facet>_mode: 'and'` requires a workshop to
+// match every selected value instead of any of them, e.g.
+//   { audience: ['aud-grad', 'aud-postdoc'], audience_mode: 'and', format: ['fmt-online'] }
+//
+// Formats belong to sessions: a workshop matches a format when any of its
+// sessions has it (a session's own format_id, or else the workshop's).
+//
+// The same object carries the "when" criteria matched per session by
+// OfferingSchedule.matchesWhen: `quarter`, `day` and `time` lists and
+// `from`/`to` dates, e.g. { quarter: ['winter-2026'], time: ['evening'] }
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./offering-location'));
+    } else {
+        root.WorkshopFilter = factory(root.OfferingLocation);
+    }
+}(typeof self !== 'undefined' ? self : this, function (OfferingLocation) {
+    const AND = 'and';
+    const OR = 'or';
+
+    // Facet name -> workshop field holding its id(s)
+    const FACETS = {
+        area: 'area_ids',
+        audience: 'audience_ids',
+        format: 'format_id',
+        department: 'department_ids',
+        instructor: 'instructor_ids',
+        series: 'series_id'
+    };
+
+    // Session criteria: lists of values, and single dates (YYYY-MM-DD)
+    const WHEN_LISTS = ['quarter', 'day', 'time'];
+    const WHEN_DATES = ['from', 'to'];
+
+    /**
+     * Selected ids of a facet
+     * @param {Object} filters - Filter object
+     * @param {string} facet - Facet name
+     * @returns {Array} Ids (empty when the facet isn't filtered)
+     */
+    function getValues(filters, facet) {
+        const value = filters[facet];
+        if (Array.isArray(value)) return value.filter(Boolean);
+        return value ? [value] : [];
+    }
+
+    /**
+     * Matching mode of a facet
+     * @param {Object} filters - Filter object
+     * @param {string} facet - Facet name
+     * @returns {string} 'and' or 'or'
+     */
+    function getMode(filters, facet) {
+        return filters[`${facet}_mode`] === AND ? AND : OR;
+    }
+
+    /**
+     * Whether a facet can hold several ids per workshop, so AND makes sense
+     * @param {string} facet - Facet name
+     * @returns {boolean}
+     */
+    function isMultiValued(facet) {
+        return FACETS[facet].endsWith('_ids');
+    }
+
+    /**
+     * Ids a workshop carries for a facet. Its formats are those of its
+     * sessions, or its own format_id when it has none.
+     * @param {Object} workshop - Workshop object
+     * @param {string} facet - Facet name
+     * @param {Array} offerings - The workshop's offerings
+     * @returns {Array} Ids
+     */
+    function getIds(workshop, facet, offerings = []) {
+        if (facet === 'format' && offerings.length > 0) {
+            return [...new Set(offerings.map(offering => OfferingLocation.getFormatId(offering, workshop)))];
+        }
+
+        const field = workshop[FACETS[facet]];
+        return Array.isArray(field) ? field : [field];
+    }
+
+    /**
+     * Whether a workshop passes every facet filter
+     * @param {Object} workshop - Workshop object
+     * @param {Object} filters - Filter object
+     * @param {Array} offerings - The workshop's offerings (for the format facet)
+     * @returns {boolean}
+     */
+    function matches(workshop, filters, offerings = []) {
+        return Object.keys(FACETS).every(facet => {
+            const values = getValues(filters, facet);
+            if (values.length === 0) return true;
+
+            const ids = getIds(workshop, facet, offerings);
+
+            return getMode(filters, facet) === AND
+                ? values.every(value => ids.includes(value))
+                : values.some(value => ids.includes(value));
+        });
+    }
+
+    /**
+     * Whether a session passes the format filter, for lists of sessions
+     * (feeds) that should only hold the matching ones
+     * @param {Object} offering - Offering object
+     * @param {Object} workshop - Its workshop
+     * @param {Object} filters - Filter object
+     * @returns {boolean}
+     */
+    function matchesOffering(offering, workshop, filters) {
+        const values = getValues(filters, 'format');
+        return values.length === 0 || values.includes(OfferingLocation.getFormatId(offering, workshop));
+    }
+
+    /**
+     * Count, for each value of a facet, the workshops that would match if that
+     * value were selected: workshops passing the other facets (and, in 'and'
+     * mode, the values already selected) that carry the value
+     * @param {Array} workshops - Workshops already passing the non-facet filters
+     * @param {Object} filters - Filter object
+     * @param {string} facet - Facet name
+     * @param {Function} getOfferings - A workshop's offerings (for the format facet)
+     * @returns {Object} Value id -> workshop count (ids without matches are absent)
+     */
+    function countValues(workshops, filters, facet, getOfferings = () => []) {
+        const base = getMode(filters, facet) === AND ? filters : { ...filters, [facet]: [] };
+        const counts = {};
+
+        workshops.forEach(workshop => {
+            const offerings = getOfferings(workshop);
+            if (!matches(workshop, base, offerings)) return;
+
+            getIds(workshop, facet, offerings).forEach(id => {
+                if (id) counts[id] = (counts[id] || 0) + 1;
+            });
+        });
+
+        return counts;
+    }
+
+    /**
+     * Canonical form of the facet and "when" filters: sorted lists, and modes
+     * only where they matter. Other keys (search, ...) are dropped.
+     * @param {Object} filters - Filter object
+     * @returns {Object} Normalized filters
+     */
+    function normalize(filters = {}) {
+        const normalized = {};
+
+        Object.keys(FACETS).forEach(facet => {
+            const values = [...new Set(getValues(filters, facet))].sort();
+            if (values.length === 0) return;
+
+            normalized[facet] = values;
+            if (values.length > 1 && getMode(filters, facet) === AND) {
+                normalized[`${facet}_mode`] = AND;
+            }
+        });
+
+        WHEN_LISTS.forEach(key => {
+            const values = [...new Set(getValues(filters, key))].sort();
+            if (values.length > 0) normalized[key] = values;
+        });
+        WHEN_DATES.forEach(key => {
+            if (filters[key]) normalized[key] = filters[key];
+        });
+
+        return normalized;
+    }
+
+    /**
+     * Whether two filter objects select the same workshops and sessions
+     * @param {Object} a - Filter object
+     * @param {Object} b - Filter object
+     * @returns {boolean}
+     */
+    function equals(a, b) {
+        return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+    }
+
+    /**
+     * Read facet and "when" filters from URL parameters
+     * (?area=a,b&area_mode=and&day=tue,thu&from=2026-01-05)
+     * @param {URLSearchParams} params - URL parameters
+     * @returns {Object} Filters, with empty lists/strings for unset keys
+     */
+    function fromParams(params) {
+        const filters = {};
+        const list = key => (params.get(key) || '').split(',').filter(Boolean);
+
+        Object.keys(FACETS).forEach(facet => {
+            filters[facet] = list(facet);
+            filters[`${facet}_mode`] = params.get(`${facet}_mode`) === AND ? AND : '';
+        });
+
+        WHEN_LISTS.forEach(key => {
+            filters[key] = list(key);
+        });
+        WHEN_DATES.forEach(key => {
+            const value = params.get(key) || '';
+            filters[key] = /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : '';
+        });
+
+        return filters;
+    }
+
+    /**
+     * Write facet and "when" filters to URL parameters
+     * @param {Object} filters - Filter object
+     * @param {URLSearchParams} params - URL parameters to add to
+     * @returns {URLSearchParams} The same parameters
+     */
+    function toParams(filters, params = new URLSearchParams()) {
+        Object.entries(normalize(filters)).forEach(([key, value]) => {
+            params.set(key, Array.isArray(value) ? value.join(',') : value);
+        });
+
+        return params;
+    }
+
+    return {
+        AND,
+        OR,
+        FACETS,
+        WHEN_LISTS,
+        WHEN_DATES,
+        getValues,
+        getMode,
+        isMultiValued,
+        getIds,
+        matches,
+        matchesOffering,
+        countValues,
+        normalize,
+        equals,
+        fromParams,
+        toParams
+    };
+}));
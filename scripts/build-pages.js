@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+
+/**
+ * Pre-render the catalogue into static HTML, so search engines, link previews
+ * and visitors without JavaScript see the workshops
+ *
+ * index.html gets the workshop cards, and every workshop and series gets a
+ * page of its own (workshops/<id>.html, series/<id>.html) with Open Graph
+ * tags. Every page also describes its workshops and their sessions as
+ * schema.org JSON-LD (assets/js/structured-data.js). The markup comes from the same templates as the browser app
+ * (assets/js/catalogue-templates.js), which keeps it instead of rendering
+ * again as long as no session has started or ended since the build.
+ *
+ * index.html is both the page shell and an output: only the regions between
+ * <!-- prerender:<name> --> and <!-- /prerender:<name> --> markers (and the
+ * data-prerendered attributes) are generated, so the rest is edited as usual.
+ *
+ * Usage:
+ *   node scripts/build-pages.js           Write index.html, workshops/*.html and series/*.html
+ *   node scripts/build-pages.js --check   Exit non-zero if the committed pages are stale
+ *   node scripts/build-pages.js --now=<ISO date>   Build as if it were that time
+ */
+
+const fs = require('fs');
+const path = require('path');
+const OfferingSchedule = require('../assets/js/offering-schedule');
+const ICalGenerator = require('../assets/js/ical-generator');
+const CatalogueTemplates = require('../assets/js/catalogue-templates');
+const StructuredData = require('../assets/js/structured-data');
+const html = require('../assets/js/html');
+
+const SITE_NAME = 'RDS Workshops Catalogue';
+const SITE_DESCRIPTION = 'Workshops offered by the UCSB Library Research Data Services';
+const IMAGE = 'assets/imgs/HexSticker-RDS.png';
+
+const rootDir = path.join(__dirname, '..');
+const shellPath = path.join(rootDir, 'index.html');
+
+// Read workshops data
+const dataPath = path.join(rootDir, 'assets/data/workshops.json');
+const data = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+
+// The site URL is declared with the calendar feeds
+const configPath = path.join(rootDir, 'calendars.config.json');
+const { baseUrl, keepPastDays = 0 } = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+const checkOnly = process.argv.includes('--check');
+
+// Pin "now" (e.g. --now=2026-01-15T00:00:00Z) to reproduce a past build
+const nowArg = process.argv.find(arg => arg.startsWith('--now='));
+const now = nowArg ? new Date(nowArg.slice('--now='.length)) : new Date();
+if (isNaN(now)) {
+    console.error(`✗ Invalid --now value: ${nowArg}`);
+    process.exit(1);
+}
+
+/**
+ * Shorten a text for a meta description, at a word boundary
+ * @param {string} text - Text to shorten
+ * @param {number} maxLength - Maximum length
+ * @returns {string} Single-line text
+ */
+function summarize(text = '', maxLength = 200) {
+    const flat = text.replace(/\s+/g, ' ').trim();
+    if (flat.length <= maxLength) return flat;
+
+    return flat.slice(0, flat.lastIndexOf(' ', maxLength - 1)) + '…';
+}
+
+/**
+ * Description, canonical link, Open Graph tags and JSON-LD of a page
+ * @param {Object} page - { title, description, path, workshops }
+ * @returns {string} HTML for the <head>
+ */
+function createMeta({ title, description, path: pagePath, workshops }) {
+    const url = new URL(pagePath, baseUrl).toString();
+
+    return [
+        html`<meta name="description" content="${description}">`,
+        html`<link rel="canonical" href="${url}">`,
+        html`<meta property="og:type" content="website">`,
+        html`<meta property="og:site_name" content="${SITE_NAME}">`,
+        html`<meta property="og:title" content="${title}">`,
+        html`<meta property="og:description" content="${description}">`,
+        html`<meta property="og:url" content="${url}">`,
+        html`<meta property="og:image" content="${new URL(IMAGE, baseUrl).toString()}">`,
+        html`<meta name="twitter:card" content="summary">`,
+        html`<script type="application/ld+json" id="structuredData">${html.raw(StructuredData.stringify(structuredData.createGraph(workshops)))}</script>`
+    ].join('\n');
+}
+
+/**
+ * Replace the contents of a <!-- prerender:<name> --> region. Multi-line
+ * content goes on lines of its own, indented like the markers.
+ * @param {string} page - Page HTML
+ * @param {string} name - Region name
+ * @param {string} content - New contents
+ * @returns {string} Page HTML
+ */
+function fillRegion(page, name, content) {
+    const pattern = new RegExp(`(<!-- prerender:${name} -->)[\\s\\S]*?(\\n?)([ \\t]*)(<!-- /prerender:${name} -->)`);
+    if (!pattern.test(page)) {
+        throw new Error(`index.html: missing <!-- prerender:${name} --> region`);
+    }
+
+    return page.replace(pattern, (match, open, newline, indent, close) => {
+        if (!newline) return `${open}${content}${close}`;
+
+        const lines = String(content).split('\n').map(line => line.trim()).filter(Boolean);
+        return [open, ...lines, close].join(`\n${indent}`);
+    });
+}
+
+/**
+ * Replace an exact snippet of the shell
+ * @param {string} page - Page HTML
+ * @param {string} search - Snippet to replace
+ * @param {string} replacement - New snippet
+ * @returns {string} Page HTML
+ */
+function replaceOnce(page, search, replacement) {
+    if (!page.includes(search)) {
+        throw new Error(`index.html: missing ${search}`);
+    }
+
+    return page.replace(search, () => replacement);
+}
+
+/**
+ * The page shell: index.html with every generated region emptied
+ * @returns {string} Shell HTML
+ */
+function readShell() {
+    return fs.readFileSync(shellPath, 'utf8')
+        .replace(/(<!-- prerender:(\w+) -->)[\s\S]*?([ \t]*<!-- \/prerender:\2 -->)/g, (match, open, name, close) =>
+            close.trim() === close ? `${open}${close}` : `${open}\n${close}`
+        )
+        .replace(/ data-prerendered="[^"]*"/g, '');
+}
+
+// Render as of the last change at or before "now", like the calendar feeds:
+// pages look the same until the next one, so the output only changes when a
+// session does, and the app can tell whether the markup is still accurate
+const renderTime = OfferingSchedule.getBuildTime(data.offerings, now, keepPastDays);
+const templates = new CatalogueTemplates(data, {
+    icalGenerator: new ICalGenerator(data, { now: renderTime }),
+    now: () => renderTime
+});
+const structuredData = new StructuredData(data, { baseUrl, now: () => renderTime });
+const shell = readShell();
+const prerendered = `data-prerendered="${renderTime.toISOString()}"`;
+const outputs = new Map();
+
+// Catalogue: active workshops, soonest first (the app's default view)
+const workshops = data.workshops
+    .filter(workshop => workshop.is_active)
+    .sort((a, b) => OfferingSchedule.compareBySchedule(templates.getOfferings(a), templates.getOfferings(b), renderTime));
+
+let catalogue = fillRegion(shell, 'meta', createMeta({ title: SITE_NAME, description: SITE_DESCRIPTION, path: './', workshops }));
+catalogue = fillRegion(catalogue, 'resultsCount',
+    `Showing ${workshops.length} of ${workshops.length} workshop${workshops.length !== 1 ? 's' : ''}`);
+catalogue = fillRegion(catalogue, 'workshopList', workshops.map(workshop => templates.createWorkshopCard(workshop)).join('\n'));
+catalogue = replaceOnce(catalogue, '<div class="row" id="workshopList">', `<div class="row" id="workshopList" ${prerendered}>`);
+outputs.set('index.html', catalogue);
+
+/**
+ * A workshop or series page: the shell with the detail view filled in and
+ * the catalogue hidden
+ * @param {Object} page - { title, description, path, workshops, content }
+ * @returns {string} Page HTML
+ */
+function createPage({ title, description, path: pagePath, workshops, content }) {
+    let page = replaceOnce(shell, '<base href="./">', `<base href="${'../'.repeat(pagePath.split('/').length - 1)}">`);
+    page = replaceOnce(page, `<title>${SITE_NAME}</title>`, html`<title>${title} | ${SITE_NAME}</title>`.toString());
+    page = fillRegion(page, 'meta', createMeta({ title, description, path: pagePath, workshops }));
+    page = fillRegion(page, 'resultsCount', 'Loading workshops...');
+    page = fillRegion(page, 'workshopDetail', content);
+    page = replaceOnce(page, '<div class="d-none" id="workshopDetail">', `<div id="workshopDetail" ${prerendered}>`);
+    return replaceOnce(page, '<div id="catalogueView">', '<div class="d-none" id="catalogueView">');
+}
+
+data.workshops.forEach(workshop => {
+    const pagePath = CatalogueTemplates.getPagePath('workshop', workshop.id);
+    outputs.set(pagePath, createPage({
+        title: workshop.title,
+        description: summarize(workshop.summary || workshop.description),
+        path: pagePath,
+        workshops: [workshop],
+        content: templates.createWorkshopDetail(workshop)
+    }));
+});
+
+data.series.forEach(series => {
+    const pagePath = CatalogueTemplates.getPagePath('series', series.id);
+    outputs.set(pagePath, createPage({
+        title: series.title,
+        description: summarize(series.description || `Workshop series: ${series.title}`),
+        path: pagePath,
+        workshops: templates.getSeriesWorkshops(series),
+        content: templates.createSeriesDetail(series)
+    }));
+});
+
+/**
+ * Read the current contents of an output file, or null if it doesn't exist
+ * @param {string} file - Path relative to the site root
+ * @returns {string|null} File contents
+ */
+function readExisting(file) {
+    const filePath = path.join(rootDir, file);
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+}
+
+const changed = [...outputs.keys()].filter(file => readExisting(file) !== outputs.get(file));
+
+// Pages of workshops and series that no longer exist
+const stale = ['workshops', 'series'].flatMap(dir => {
+    const dirPath = path.join(rootDir, dir);
+    if (!fs.existsSync(dirPath)) return [];
+
+    return fs.readdirSync(dirPath)
+        .filter(file => file.endsWith('.html'))
+        .map(file => `${dir}/${file}`)
+        .filter(file => !outputs.has(file));
+});
+
+if (checkOnly) {
+    if (changed.length > 0 || stale.length > 0) {
+        console.error('✗ Pages are out of date:\n');
+        changed.forEach(file => console.error(`  - ${file}`));
+        stale.forEach(file => console.error(`  - ${file} (no longer in workshops.json)`));
+        console.error('\nRun `node scripts/build-pages.js` and commit the result.');
+        process.exit(1);
+    }
+
+    console.log(`✓ All ${outputs.size} pages are up to date`);
+    process.exit(0);
+}
+
+console.log(`Building pages as of ${renderTime.toISOString()}...\n`);
+
+outputs.forEach((content, file) => {
+    if (changed.includes(file)) {
+        fs.mkdirSync(path.dirname(path.join(rootDir, file)), { recursive: true });
+        fs.writeFileSync(path.join(rootDir, file), content);
+        console.log(`✓ Built ${file}`);
+    } else {
+        console.log(`· Unchanged ${file}`);
+    }
+});
+
+stale.forEach(file => {
+    fs.unlinkSync(path.join(rootDir, file));
+    console.log(`✓ Removed ${file}`);
+});
+
+console.log(`\n✨ Page build complete! (${changed.length} of ${outputs.size} pages updated, ${stale.length} removed)`);
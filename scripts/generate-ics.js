@@ -1,222 +1,248 @@
 #!/usr/bin/env node
 
 /**
- * Generate static ICS calendar files for common filter combinations
+ * Generate static ICS calendar files for the feeds declared in calendars.config.json
  * This script runs in GitHub Actions when workshops.json is updated
+ *
+ * Besides the .ics files, an index (calendars/index.json) lists every feed with
+ * its URL so the catalogue UI can discover them. Feeds marked `"news": true`
+ * also get Atom (.atom) and JSON Feed (.json) versions for feed readers, with
+ * the same sessions ordered by when they were added or changed.
+ *
+ * Output is deterministic: DTSTAMP/LAST-MODIFIED come from `updated_at` in the
+ * data, and only files whose contents changed are rewritten.
+ *
+ * Usage:
+ *   node scripts/generate-ics.js           Write calendars/*.ics and calendars/index.json
+ *   node scripts/generate-ics.js --check   Exit non-zero if committed calendars are stale
+ *   node scripts/generate-ics.js --now=<ISO date>   Build as if it were that time
+ *
+ * Sessions that ended more than `keepPastDays` (calendars.config.json) before
+ * "now" are left out of the feeds. Feeds are built as of the last change at or
+ * before the clock (or --now), the same time build-pages.js renders pages as
+ * of (OfferingSchedule.getBuildTime), so runs between two changes give the
+ * same feeds.
  */
 
 const fs = require('fs');
 const path = require('path');
+const ICalGenerator = require('../assets/js/ical-generator');
+const WorkshopFilter = require('../assets/js/workshop-filter');
+const OfferingSchedule = require('../assets/js/offering-schedule');
+const NewsFeedGenerator = require('../assets/js/news-feed-generator');
 
 // Read workshops data
 const dataPath = path.join(__dirname, '../assets/data/workshops.json');
 const data = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
 
-// ICS Generator (Node.js version)
-class ICalGenerator {
-    constructor(data) {
-        this.data = data;
-    }
+// Read feed manifest
+const configPath = path.join(__dirname, '../calendars.config.json');
+const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
 
-    generate(workshops) {
-        const events = workshops.map(workshop => this.createEvent(workshop)).filter(Boolean);
-        return this.wrapInCalendar(events.join('\n'));
-    }
+const checkOnly = process.argv.includes('--check');
 
-    createEvent(workshop) {
-        const offerings = this.data.offerings.filter(o => o.workshop_id === workshop.id);
-        if (offerings.length === 0) return null;
-
-        return offerings.map(offering => {
-            const start = new Date(offering.start);
-            const end = new Date(offering.end);
-            const description = this.buildDescription(workshop, offering);
-            const location = offering.location || 'TBA';
-            const url = offering.registration_url || '';
-
-            return `BEGIN:VEVENT
-UID:${offering.id}@rds-workshops.ucsb.edu
-DTSTAMP:${this.formatDate(new Date())}
-DTSTART:${this.formatDate(start)}
-DTEND:${this.formatDate(end)}
-SUMMARY:${this.escapeText(workshop.title)}
-DESCRIPTION:${this.escapeText(description)}
-LOCATION:${this.escapeText(location)}${url ? '\nURL:' + url : ''}
-STATUS:CONFIRMED
-SEQUENCE:0
-BEGIN:VALARM
-TRIGGER:-PT24H
-ACTION:DISPLAY
-DESCRIPTION:Reminder: ${this.escapeText(workshop.title)} tomorrow
-END:VALARM
-BEGIN:VALARM
-TRIGGER:-PT1H
-ACTION:DISPLAY
-DESCRIPTION:Reminder: ${this.escapeText(workshop.title)} in 1 hour
-END:VALARM
-END:VEVENT`;
-        }).join('\n');
-    }
+// Pin "now" (e.g. --now=2026-01-15T00:00:00Z) to see what the feeds looked
+// like at some time
+const nowArg = process.argv.find(arg => arg.startsWith('--now='));
+const now = nowArg ? new Date(nowArg.slice('--now='.length)) : new Date();
+if (isNaN(now)) {
+    console.error(`✗ Invalid --now value: ${nowArg}`);
+    process.exit(1);
+}
 
-    buildDescription(workshop, offering) {
-        let desc = workshop.description || workshop.summary || '';
-        
-        const format = this.data.formats.find(f => f.id === workshop.format_id);
-        const instructors = workshop.instructor_ids.map(id => 
-            this.data.instructors.find(i => i.id === id)?.name
-        ).filter(Boolean).join(', ');
-        const areas = workshop.area_ids.map(id => 
-            this.data.areas.find(a => a.id === id)?.label
-        ).filter(Boolean).join(', ');
-
-        desc += '\n\n---\n';
-        if (format) desc += `Format: ${format.label}\n`;
-        if (instructors) desc += `Instructor(s): ${instructors}\n`;
-        if (areas) desc += `Research Area(s): ${areas}\n`;
-        if (offering.quarter) desc += `Quarter: ${offering.quarter} ${offering.year}\n`;
-        if (offering.registration_url) desc += `\nRegister: ${offering.registration_url}`;
-        
-        return desc;
-    }
+/**
+ * Active workshops matching a manifest filter. Facets take an id or a list of
+ * ids, matched with OR unless `<facet>_mode` is "and" (same as the catalogue);
+ * a format matches any session's format. With "when" criteria (quarter, from,
+ * to, day, time), a workshop needs at least one session meeting them.
+ * @param {Object} filters - Filter object from calendars.config.json
+ * @returns {Array} Matching workshops
+ */
+function filterWorkshops(filters = {}) {
+    return data.workshops.filter(workshop => {
+        const offerings = data.offerings.filter(offering => offering.workshop_id === workshop.id);
 
-    wrapInCalendar(events) {
-        return `BEGIN:VCALENDAR
-VERSION:2.0
-PRODID:-//UCSB Library//RDS Workshops//EN
-CALSCALE:GREGORIAN
-METHOD:PUBLISH
-X-WR-CALNAME:RDS Workshops
-X-WR-TIMEZONE:America/Los_Angeles
-X-WR-CALDESC:Research Data Services Workshop Catalogue
-${events}
-END:VCALENDAR`;
-    }
+        if (!workshop.is_active || !WorkshopFilter.matches(workshop, filters, offerings)) return false;
+        if (!OfferingSchedule.hasWhen(filters)) return true;
 
-    formatDate(date) {
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        const hours = String(date.getHours()).padStart(2, '0');
-        const minutes = String(date.getMinutes()).padStart(2, '0');
-        const seconds = String(date.getSeconds()).padStart(2, '0');
-        
-        return `${year}${month}${day}T${hours}${minutes}${seconds}`;
+        return offerings.some(offering => OfferingSchedule.matchesWhen(offering, filters));
+    });
+}
+
+/**
+ * Latest `updated_at` across offerings and workshops, used as the
+ * last-modified time for records that don't carry their own
+ */
+function getLatestUpdate() {
+    const stamps = [...data.offerings, ...data.workshops]
+        .map(item => item.updated_at)
+        .filter(Boolean)
+        .sort((a, b) => new Date(a) - new Date(b));
+
+    if (stamps.length === 0) {
+        console.warn('⚠ No updated_at found in workshops.json; DTSTAMP will change on every run');
+        return null;
     }
 
-    escapeText(text) {
-        if (!text) return '';
-        
-        return text
-            .replace(/\\/g, '\\\\')
-            .replace(/;/g, '\\;')
-            .replace(/,/g, '\\,')
-            .replace(/\n/g, '\\n')
-            .replace(/\r/g, '');
+    return stamps[stamps.length - 1];
+}
+
+/**
+ * Replace {key} placeholders with values from a collection item
+ * @param {*} value - String, array or object from the manifest
+ * @param {Object} item - Collection item (e.g. an area or a series)
+ * @returns {*} Value with placeholders filled in
+ */
+function fillTemplate(value, item) {
+    if (typeof value === 'string') {
+        return value.replace(/\{(\w+)\}/g, (match, key) => item[key] !== undefined ? item[key] : match);
+    }
+    if (Array.isArray(value)) return value.map(v => fillTemplate(v, item));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, fillTemplate(v, item)]));
     }
+    return value;
 }
 
-// Filter workshops
-function filterWorkshops(filters = {}) {
-    return data.workshops.filter(workshop => {
-        if (!workshop.is_active) return false;
+/**
+ * Expand manifest entries into concrete feeds. An entry with `each` names a
+ * collection (areas, audiences, formats, departments, instructors, series)
+ * and produces one feed per item.
+ * @param {Array} entries - Manifest feed entries
+ * @returns {Array} Feed definitions
+ */
+function expandFeeds(entries) {
+    return entries.flatMap(entry => {
+        if (!entry.each) return [entry];
 
-        if (filters.area && !workshop.area_ids.includes(filters.area)) return false;
-        if (filters.audience && !workshop.audience_ids.includes(filters.audience)) return false;
-        if (filters.format && workshop.format_id !== filters.format) return false;
-        if (filters.department && !workshop.department_ids.includes(filters.department)) return false;
-        if (filters.instructor && !workshop.instructor_ids.includes(filters.instructor)) return false;
+        const items = data[entry.each];
+        if (!Array.isArray(items)) {
+            throw new Error(`calendars.config.json: unknown collection "${entry.each}"`);
+        }
 
-        return true;
+        const { each, ...template } = entry;
+        return items.map(item => fillTemplate(template, item));
     });
 }
 
 // Generate calendar files
-const generator = new ICalGenerator(data);
-const calendarsDir = path.join(__dirname, '../calendars');
+const keepPastDays = config.keepPastDays || 0;
+const buildTime = OfferingSchedule.getBuildTime(data.offerings, now, keepPastDays);
+const generatorOptions = {
+    timestamp: getLatestUpdate(),
+    now: buildTime,
+    keepPastDays
+};
+const generator = new ICalGenerator(data, generatorOptions);
+const newsGenerator = new NewsFeedGenerator(data, { ...generatorOptions, baseUrl: config.baseUrl });
+const calendarsDir = path.join(__dirname, '..', config.outputDir || 'calendars');
 
-// Ensure calendars directory exists
-if (!fs.existsSync(calendarsDir)) {
-    fs.mkdirSync(calendarsDir, { recursive: true });
+/**
+ * Absolute URL of a generated file
+ * @param {string} filename - File name in the output directory
+ * @returns {string} URL
+ */
+function getFileUrl(filename) {
+    return new URL(`${config.outputDir || 'calendars'}/${filename}`, config.baseUrl).toString();
 }
+const outputs = new Map();
+const index = [];
 
-console.log('Generating calendar files...\n');
+expandFeeds(config.feeds).forEach(feed => {
+    const workshops = filterWorkshops(feed.filter);
+    if (workshops.length === 0 && !feed.emitEmpty) return;
 
-// 1. All workshops
-const allWorkshops = filterWorkshops();
-fs.writeFileSync(
-    path.join(calendarsDir, 'all.ics'),
-    generator.generate(allWorkshops)
-);
-console.log(`✓ Generated all.ics (${allWorkshops.length} workshops)`);
-
-// 2. By research area
-data.areas.forEach(area => {
-    const workshops = filterWorkshops({ area: area.id });
-    if (workshops.length > 0) {
-        const filename = `area-${area.id}.ics`;
-        fs.writeFileSync(
-            path.join(calendarsDir, filename),
-            generator.generate(workshops)
-        );
-        console.log(`✓ Generated ${filename} (${workshops.length} workshops)`);
-    }
-});
+    // The workshops with sessions in the feed; the others have only past ones
+    const listed = workshops.filter(workshop => generator.getOfferings(workshop, feed.filter).length > 0);
 
-// 3. By audience
-data.audiences.forEach(audience => {
-    const workshops = filterWorkshops({ audience: audience.id });
-    if (workshops.length > 0) {
-        const filename = `audience-${audience.id}.ics`;
-        fs.writeFileSync(
-            path.join(calendarsDir, filename),
-            generator.generate(workshops)
-        );
-        console.log(`✓ Generated ${filename} (${workshops.length} workshops)`);
-    }
-});
+    const calendar = {
+        name: feed.name,
+        description: feed.description,
+        color: feed.color
+    };
+
+    outputs.set(feed.file, {
+        content: generator.generate(workshops, calendar, feed.filter),
+        count: listed.length
+    });
 
-// 4. By format
-data.formats.forEach(format => {
-    const workshops = filterWorkshops({ format: format.id });
-    if (workshops.length > 0) {
-        const filename = `format-${format.id}.ics`;
-        fs.writeFileSync(
-            path.join(calendarsDir, filename),
-            generator.generate(workshops)
-        );
-        console.log(`✓ Generated ${filename} (${workshops.length} workshops)`);
+    const url = getFileUrl(feed.file);
+    const entry = {
+        file: feed.file,
+        url,
+        webcal: url.replace(/^https?:\/\//, 'webcal://'),
+        ...calendar,
+        filter: feed.filter || {},
+        workshop_ids: listed.map(w => w.id)
+    };
+
+    // Atom and JSON Feed versions, next to the .ics file
+    if (feed.news) {
+        const base = feed.file.replace(/\.ics$/, '');
+        const news = { ...calendar, filter: feed.filter || {} };
+
+        entry.atom = getFileUrl(`${base}.atom`);
+        entry.json_feed = getFileUrl(`${base}.json`);
+        outputs.set(`${base}.atom`, {
+            content: newsGenerator.generateAtom(workshops, { ...news, url: entry.atom }, feed.filter),
+            count: listed.length
+        });
+        outputs.set(`${base}.json`, {
+            content: newsGenerator.generateJSONFeed(workshops, { ...news, url: entry.json_feed }, feed.filter),
+            count: listed.length
+        });
     }
+
+    index.push(entry);
 });
 
-// 5. By department
-data.departments.forEach(department => {
-    const workshops = filterWorkshops({ department: department.id });
-    if (workshops.length > 0) {
-        const filename = `department-${department.id}.ics`;
-        fs.writeFileSync(
-            path.join(calendarsDir, filename),
-            generator.generate(workshops)
-        );
-        console.log(`✓ Generated ${filename} (${workshops.length} workshops)`);
+if (config.index) {
+    outputs.set(config.index, {
+        content: JSON.stringify({ feeds: index }, null, 2) + '\n',
+        count: index.length
+    });
+}
+
+/**
+ * Read the current contents of a calendar file, or null if it doesn't exist
+ * @param {string} filename - Calendar filename
+ * @returns {string|null} File contents
+ */
+function readExisting(filename) {
+    const filePath = path.join(calendarsDir, filename);
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+}
+
+const changed = [...outputs.keys()].filter(filename =>
+    readExisting(filename) !== outputs.get(filename).content
+);
+
+if (checkOnly) {
+    if (changed.length > 0) {
+        console.error('✗ Calendar files are out of date:\n');
+        changed.forEach(filename => console.error(`  - ${filename}`));
+        console.error('\nRun `node scripts/generate-ics.js` and commit the result.');
+        process.exit(1);
     }
-});
 
-// 6. Popular combinations
-const combinations = [
-    { filters: { format: 'fmt-online', audience: 'aud-grad' }, name: 'online-grad' },
-    { filters: { format: 'fmt-in-person', audience: 'aud-grad' }, name: 'in-person-grad' },
-];
-
-combinations.forEach(({ filters, name }) => {
-    const workshops = filterWorkshops(filters);
-    if (workshops.length > 0) {
-        const filename = `${name}.ics`;
-        fs.writeFileSync(
-            path.join(calendarsDir, filename),
-            generator.generate(workshops)
-        );
-        console.log(`✓ Generated ${filename} (${workshops.length} workshops)`);
+    console.log(`✓ All ${outputs.size} calendar files are up to date`);
+    process.exit(0);
+}
+
+// Ensure calendars directory exists
+if (!fs.existsSync(calendarsDir)) {
+    fs.mkdirSync(calendarsDir, { recursive: true });
+}
+
+console.log(`Generating calendar files as of ${buildTime.toISOString()}...\n`);
+
+outputs.forEach(({ content, count }, filename) => {
+    if (changed.includes(filename)) {
+        fs.writeFileSync(path.join(calendarsDir, filename), content);
+        console.log(`✓ Generated ${filename} (${count} ${filename === config.index ? 'feeds' : 'workshops'})`);
+    } else {
+        console.log(`· Unchanged ${filename} (${count} ${filename === config.index ? 'feeds' : 'workshops'})`);
     }
 });
 
-console.log('\n✨ Calendar generation complete!');
+console.log(`\n✨ Calendar generation complete! (${changed.length} of ${outputs.size} files updated)`);
@@ -0,0 +1,543 @@
+#!/usr/bin/env node
+
+/**
+ * Validate workshops.json against its JSON Schema and check the
+ * cross-references between collections (ids, offerings, series, instructors...)
+ *
+ * Errors are reported with the line and column where the problem is, e.g.
+ *   assets/data/workshops.json:42:7  offerings[3].end: end is before start
+ *
+ * Usage:
+ *   node scripts/validate-data.js [path/to/workshops.json]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const OfferingRecurrence = require('../assets/js/offering-recurrence');
+const html = require('../assets/js/html');
+
+const defaultDataPath = path.join(__dirname, '../assets/data/workshops.json');
+const schemaPath = path.join(__dirname, '../assets/data/workshops.schema.json');
+
+/**
+ * Parse JSON while recording where every value starts. Also reports
+ * duplicate object keys, which JSON.parse silently accepts.
+ * @param {string} text - JSON source
+ * @returns {Object} { value, positions: Map<pointer, {line, column}>, errors }
+ */
+function parseWithPositions(text) {
+    const positions = new Map();
+    const errors = [];
+    let index = 0;
+    let line = 1;
+    let column = 1;
+
+    const fail = (message) => {
+        const error = new SyntaxError(`${message} at line ${line}, column ${column}`);
+        error.line = line;
+        error.column = column;
+        throw error;
+    };
+
+    const advance = () => {
+        if (text[index] === '\n') {
+            line++;
+            column = 1;
+        } else {
+            column++;
+        }
+        index++;
+    };
+
+    const skipWhitespace = () => {
+        while (index < text.length && /\s/.test(text[index])) advance();
+    };
+
+    const parseString = () => {
+        const start = index;
+        advance();
+        while (index < text.length && text[index] !== '"') {
+            if (text[index] === '\\') advance();
+            if (text[index] === '\n') fail('Unterminated string');
+            advance();
+        }
+        if (text[index] !== '"') fail('Unterminated string');
+        advance();
+        return JSON.parse(text.slice(start, index));
+    };
+
+    const parseValue = (pointer) => {
+        skipWhitespace();
+        positions.set(pointer, { line, column });
+
+        const char = text[index];
+        if (char === '{') return parseObject(pointer);
+        if (char === '[') return parseArray(pointer);
+        if (char === '"') return parseString();
+
+        const match = /^(-?\d+(\.\d+)?([eE][+-]?\d+)?|true|false|null)/.exec(text.slice(index, index + 64));
+        if (!match) fail(`Unexpected ${char === undefined ? 'end of input' : `character "${char}"`}`);
+        for (let i = 0; i < match[0].length; i++) advance();
+        return JSON.parse(match[0]);
+    };
+
+    const parseObject = (pointer) => {
+        const result = {};
+        advance();
+        skipWhitespace();
+        if (text[index] === '}') {
+            advance();
+            return result;
+        }
+
+        while (true) {
+            skipWhitespace();
+            if (text[index] !== '"') fail('Expected property name');
+            const keyPosition = { line, column };
+            const key = parseString();
+            const childPointer = `${pointer}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+
+            if (Object.prototype.hasOwnProperty.call(result, key)) {
+                errors.push({ pointer: childPointer, position: keyPosition, message: `duplicate key "${key}"` });
+            }
+
+            skipWhitespace();
+            if (text[index] !== ':') fail('Expected ":"');
+            advance();
+            result[key] = parseValue(childPointer);
+            skipWhitespace();
+
+            if (text[index] === ',') {
+                advance();
+            } else if (text[index] === '}') {
+                advance();
+                return result;
+            } else {
+                fail('Expected "," or "}"');
+            }
+        }
+    };
+
+    const parseArray = (pointer) => {
+        const result = [];
+        advance();
+        skipWhitespace();
+        if (text[index] === ']') {
+            advance();
+            return result;
+        }
+
+        while (true) {
+            result.push(parseValue(`${pointer}/${result.length}`));
+            skipWhitespace();
+
+            if (text[index] === ',') {
+                advance();
+            } else if (text[index] === ']') {
+                advance();
+                return result;
+            } else {
+                fail('Expected "," or "]"');
+            }
+        }
+    };
+
+    const value = parseValue('');
+    skipWhitespace();
+    if (index < text.length) fail('Unexpected content after JSON value');
+
+    return { value, positions, errors };
+}
+
+/**
+ * Check an ISO 8601 date-time with a time zone offset, e.g. 2026-02-11T10:00:00-08:00
+ * @param {string} value - Date-time string
+ * @returns {boolean} Whether the value is a valid date-time
+ */
+function isDateTime(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(:(\d{2})(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.exec(value);
+    if (!match) return false;
+
+    const [, year, month, day, hours, minutes, , seconds = '0'] = match;
+    const date = new Date(Date.UTC(year, month - 1, day));
+
+    return date.getUTCFullYear() === Number(year) &&
+        date.getUTCMonth() === month - 1 &&
+        date.getUTCDate() === Number(day) &&
+        Number(hours) < 24 && Number(minutes) < 60 && Number(seconds) < 60;
+}
+
+/**
+ * Check a link: an absolute URL with a scheme the catalogue will link to
+ * (http, https or mailto; see html.url)
+ * @param {string} value - URL
+ * @returns {boolean} Whether the value is a valid link
+ */
+function isLink(value) {
+    return URL.canParse(value) && html.isSafeUrl(value);
+}
+
+const formats = {
+    'date-time': isDateTime,
+    email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    uri: isLink
+};
+
+/**
+ * Get the JSON type name of a value, as used by JSON Schema
+ * @param {*} value - Any JSON value
+ * @returns {string} Type name
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Validate a value against the subset of JSON Schema used by workshops.schema.json
+ * ($ref, type, required, properties, additionalProperties, items, enum,
+ * pattern, format, minLength, minItems, minimum)
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema (or subschema)
+ * @param {string} pointer - JSON pointer of the value
+ * @param {Object} rootSchema - Root schema, to resolve $ref
+ * @param {Array} errors - Collected errors
+ */
+function validateSchema(value, schema, pointer, rootSchema, errors) {
+    const error = (message) => errors.push({ pointer, message });
+
+    if (schema.$ref) {
+        const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], rootSchema);
+        validateSchema(value, target, pointer, rootSchema, errors);
+    }
+
+    if (schema.type) {
+        const type = typeOf(value);
+        const matches = type === schema.type || (schema.type === 'number' && type === 'integer');
+        if (!matches) {
+            error(`expected ${schema.type}, got ${type}`);
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        error(`must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) error('must not be empty');
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            error(`${JSON.stringify(value)} does not match ${schema.pattern}`);
+        }
+        if (schema.format && formats[schema.format] && !formats[schema.format](value)) {
+            error(schema.format === 'uri'
+                ? `${JSON.stringify(value)} is not an http, https or mailto URL`
+                : `${JSON.stringify(value)} is not a valid ${schema.format}`);
+        }
+    }
+
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+        error(`must be at least ${schema.minimum}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            error(`must have at least ${schema.minItems} item${schema.minItems !== 1 ? 's' : ''}`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => validateSchema(item, schema.items, `${pointer}/${i}`, rootSchema, errors));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) error(`missing required property "${key}"`);
+        });
+
+        Object.entries(value).forEach(([key, child]) => {
+            const childSchema = schema.properties && schema.properties[key];
+            if (childSchema) {
+                validateSchema(child, childSchema, `${pointer}/${key}`, rootSchema, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ pointer: `${pointer}/${key}`, message: `unknown property "${key}"` });
+            }
+        });
+    }
+}
+
+/**
+ * Check references between collections, duplicate ids and date ranges
+ * @param {Object} data - Parsed workshops.json
+ * @returns {Array} Errors with JSON pointers
+ */
+function checkReferences(data) {
+    const errors = [];
+    const error = (pointer, message) => errors.push({ pointer, message });
+    const list = (key) => Array.isArray(data[key]) ? data[key] : [];
+
+    // Duplicate ids, per collection
+    const ids = {};
+    ['workshops', 'series', 'offerings', 'instructors', 'departments', 'formats', 'areas', 'audiences'].forEach(key => {
+        ids[key] = new Set();
+        list(key).forEach((item, i) => {
+            if (!item || typeof item.id !== 'string') return;
+            if (ids[key].has(item.id)) error(`/${key}/${i}/id`, `duplicate id "${item.id}"`);
+            ids[key].add(item.id);
+        });
+    });
+
+    const checkIds = (pointer, values, collection, label) => {
+        if (!Array.isArray(values)) return;
+        values.forEach((id, i) => {
+            if (!ids[collection].has(id)) error(`${pointer}/${i}`, `unknown ${label} "${id}"`);
+        });
+    };
+
+    const offeringsById = new Map(list('offerings').map(o => [o.id, o]));
+    const workshopsById = new Map(list('workshops').map(w => [w.id, w]));
+    const seriesById = new Map(list('series').map(s => [s.id, s]));
+
+    list('workshops').forEach((workshop, i) => {
+        const pointer = `/workshops/${i}`;
+
+        if (workshop.format_id && !ids.formats.has(workshop.format_id)) {
+            error(`${pointer}/format_id`, `unknown format "${workshop.format_id}"`);
+        }
+        checkIds(`${pointer}/area_ids`, workshop.area_ids, 'areas', 'area');
+        checkIds(`${pointer}/audience_ids`, workshop.audience_ids, 'audiences', 'audience');
+        checkIds(`${pointer}/instructor_ids`, workshop.instructor_ids, 'instructors', 'instructor');
+        checkIds(`${pointer}/department_ids`, workshop.department_ids, 'departments', 'department');
+
+        // offering_ids must point to offerings of this workshop
+        (workshop.offering_ids || []).forEach((id, j) => {
+            const offering = offeringsById.get(id);
+            if (!offering) {
+                error(`${pointer}/offering_ids/${j}`, `unknown offering "${id}"`);
+            } else if (offering.workshop_id !== workshop.id) {
+                error(`${pointer}/offering_ids/${j}`, `offering "${id}" belongs to workshop "${offering.workshop_id}"`);
+            }
+        });
+
+        // series_id must point to a series that lists this workshop
+        if (workshop.series_id) {
+            const series = seriesById.get(workshop.series_id);
+            if (!series) {
+                error(`${pointer}/series_id`, `unknown series "${workshop.series_id}"`);
+            } else if (!(series.workshop_ids || []).includes(workshop.id)) {
+                error(`${pointer}/series_id`, `series "${series.id}" does not list this workshop in workshop_ids`);
+            }
+        }
+    });
+
+    list('series').forEach((series, i) => {
+        const pointer = `/series/${i}`;
+
+        checkIds(`${pointer}/department_ids`, series.department_ids, 'departments', 'department');
+        (series.workshop_ids || []).forEach((id, j) => {
+            const workshop = workshopsById.get(id);
+            if (!workshop) {
+                error(`${pointer}/workshop_ids/${j}`, `unknown workshop "${id}"`);
+            } else if (workshop.series_id !== series.id) {
+                error(`${pointer}/workshop_ids/${j}`, `workshop "${id}" has series_id "${workshop.series_id || ''}"`);
+            }
+        });
+    });
+
+    list('offerings').forEach((offering, i) => {
+        const pointer = `/offerings/${i}`;
+        const workshop = workshopsById.get(offering.workshop_id);
+
+        if (!workshop) {
+            error(`${pointer}/workshop_id`, `unknown workshop "${offering.workshop_id}"`);
+        } else if (!(workshop.offering_ids || []).includes(offering.id)) {
+            error(`${pointer}/workshop_id`, `workshop "${workshop.id}" does not list "${offering.id}" in offering_ids`);
+        }
+
+        if (offering.format_id && !ids.formats.has(offering.format_id)) {
+            error(`${pointer}/format_id`, `unknown format "${offering.format_id}"`);
+        }
+
+        if (isDateTime(offering.start) && isDateTime(offering.end) &&
+            new Date(offering.end) <= new Date(offering.start)) {
+            error(`${pointer}/end`, 'end is not after start');
+        }
+
+        if (isDateTime(offering.registration_opens) && isDateTime(offering.registration_closes) &&
+            new Date(offering.registration_closes) <= new Date(offering.registration_opens)) {
+            error(`${pointer}/registration_closes`, 'registration closes before it opens');
+        }
+
+        if (isDateTime(offering.registration_opens) && isDateTime(offering.end) &&
+            new Date(offering.registration_opens) >= new Date(offering.end)) {
+            error(`${pointer}/registration_opens`, 'registration opens after the session ends');
+        }
+
+        checkMeetings(offering, pointer, error);
+
+        // rescheduled_from lists the starts a session moved away from (each bumps SEQUENCE in the calendars)
+        (Array.isArray(offering.rescheduled_from) ? offering.rescheduled_from : []).forEach((start, j) => {
+            if (isDateTime(start) && isDateTime(offering.start) && new Date(start).getTime() === new Date(offering.start).getTime()) {
+                error(`${pointer}/rescheduled_from/${j}`, 'is the current start');
+            }
+        });
+    });
+
+    list('instructors').forEach((instructor, i) => {
+        if (instructor.department_id && !ids.departments.has(instructor.department_id)) {
+            error(`/instructors/${i}/department_id`, `unknown department "${instructor.department_id}"`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Check the meetings of a series: a recurrence needs either a count or an
+ * until date and has to include the first meeting, and `except` and
+ * `cancelled_meetings` have to name meetings it actually has
+ * @param {Object} offering - Offering object
+ * @param {string} pointer - JSON pointer of the offering
+ * @param {Function} error - Reports an error at a pointer
+ */
+function checkMeetings(offering, pointer, error) {
+    if (!isDateTime(offering.start) || !isDateTime(offering.end)) return;
+
+    const start = new Date(offering.start).getTime();
+    const rule = offering.recurrence;
+    const list = (value) => Array.isArray(value) ? value : [];
+    let expandable = true;
+    const fail = (at, message) => {
+        error(at, message);
+        expandable = false;
+    };
+
+    if (rule && typeof rule === 'object') {
+        const at = `${pointer}/recurrence`;
+
+        if (!['daily', 'weekly'].includes(rule.frequency)) expandable = false;
+        if (rule.count === undefined && rule.until === undefined) fail(at, 'needs a count or an until date');
+        if (rule.count !== undefined && rule.until !== undefined) fail(`${at}/until`, 'use either count or until, not both');
+        if (rule.count !== undefined && !(Number.isInteger(rule.count) && rule.count >= 1)) expandable = false;
+        if (rule.count > OfferingRecurrence.MAX_MEETINGS) fail(`${at}/count`, `more than ${OfferingRecurrence.MAX_MEETINGS} meetings`);
+        if (rule.until !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(rule.until)) expandable = false;
+        if (rule.days !== undefined && rule.frequency !== 'weekly') fail(`${at}/days`, 'days only apply to weekly recurrences');
+        if (rule.days !== undefined && !(Array.isArray(rule.days) && rule.days.length > 0 &&
+            OfferingRecurrence.getRuleDays(rule).length === rule.days.length)) expandable = false;
+        if (rule.interval !== undefined && !(Number.isInteger(rule.interval) && rule.interval >= 1)) expandable = false;
+
+        if (expandable && typeof rule.until === 'string' && rule.until < OfferingRecurrence.getLocalDate(new Date(start))) {
+            fail(`${at}/until`, 'until is before start');
+        }
+        if (expandable && !OfferingRecurrence.getRuleStarts(offering).some(date => date.getTime() === start)) {
+            fail(`${at}/days`, 'start is not on one of the recurrence days');
+        }
+        if (expandable && !rule.count && OfferingRecurrence.getRuleStarts(offering).length >= OfferingRecurrence.MAX_MEETINGS) {
+            fail(`${at}/until`, `more than ${OfferingRecurrence.MAX_MEETINGS} meetings`);
+        }
+    }
+
+    list(offering.meetings).forEach((meeting, j) => {
+        if (isDateTime(meeting?.start) && isDateTime(meeting?.end) && new Date(meeting.end) <= new Date(meeting.start)) {
+            fail(`${pointer}/meetings/${j}/end`, 'end is not after start');
+        }
+        if (!isDateTime(meeting?.start) || !isDateTime(meeting?.end)) expandable = false;
+    });
+    list(rule?.except).forEach(value => {
+        if (!isDateTime(value)) expandable = false;
+    });
+
+    if (!expandable) return;
+
+    // Meetings of the rule (except aside), then the extra ones
+    const ruleStarts = new Set((rule ? OfferingRecurrence.getRuleStarts(offering) : [new Date(start)]).map(date => date.getTime()));
+
+    list(rule?.except).forEach((value, j) => {
+        const time = new Date(value).getTime();
+        if (time === start) {
+            error(`${pointer}/recurrence/except/${j}`, 'is the first meeting (move start instead)');
+        } else if (!ruleStarts.has(time)) {
+            error(`${pointer}/recurrence/except/${j}`, 'is not a meeting of the recurrence');
+        }
+    });
+
+    list(offering.meetings).forEach((meeting, j) => {
+        const time = new Date(meeting.start).getTime();
+        if (ruleStarts.has(time)) {
+            error(`${pointer}/meetings/${j}/start`, time === start ? 'is the first meeting (start)' : 'is already a meeting of the recurrence');
+        }
+    });
+
+    const meetings = new Set(OfferingRecurrence.getMeetings(offering).map(meeting => meeting.start.getTime()));
+    list(offering.cancelled_meetings).forEach((meeting, j) => {
+        if (isDateTime(meeting?.start) && !meetings.has(new Date(meeting.start).getTime())) {
+            error(`${pointer}/cancelled_meetings/${j}/start`, 'is not a meeting of this session');
+        }
+    });
+}
+
+/**
+ * Turn a JSON pointer into a readable path, e.g. /offerings/3/end -> offerings[3].end
+ * @param {string} pointer - JSON pointer
+ * @returns {string} Readable path
+ */
+function formatPointer(pointer) {
+    return pointer.split('/').slice(1)
+        .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((out, part) => /^\d+$/.test(part) ? `${out}[${part}]` : (out ? `${out}.${part}` : part), '') || '(root)';
+}
+
+/**
+ * Validate workshops.json source text
+ * @param {string} text - JSON source
+ * @returns {Array} Errors as { line, column, path, message }, sorted by position
+ */
+function validate(text) {
+    let parsed;
+    try {
+        parsed = parseWithPositions(text);
+    } catch (error) {
+        return [{ line: error.line || 1, column: error.column || 1, path: '(root)', message: error.message }];
+    }
+
+    const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+    const errors = [...parsed.errors];
+    validateSchema(parsed.value, schema, '', schema, errors);
+    errors.push(...checkReferences(parsed.value));
+
+    // Point at the closest value we have a position for
+    const locate = (pointer) => {
+        let current = pointer;
+        while (!parsed.positions.has(current) && current) {
+            current = current.slice(0, current.lastIndexOf('/'));
+        }
+        return parsed.positions.get(current) || { line: 1, column: 1 };
+    };
+
+    return errors
+        .map(({ pointer, position, message }) => ({
+            ...(position || locate(pointer)),
+            path: formatPointer(pointer),
+            message
+        }))
+        .sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+module.exports = { validate, parseWithPositions, isDateTime, isLink };
+
+if (require.main === module) {
+    const dataPath = path.resolve(process.argv[2] || defaultDataPath);
+    const displayPath = path.relative(process.cwd(), dataPath);
+    const errors = validate(fs.readFileSync(dataPath, 'utf8'));
+
+    if (errors.length > 0) {
+        errors.forEach(({ line, column, path: location, message }) => {
+            console.error(`${displayPath}:${line}:${column}  ${location}: ${message}`);
+        });
+        console.error(`\n✗ ${errors.length} problem${errors.length !== 1 ? 's' : ''} found`);
+        process.exit(1);
+    }
+
+    console.log(`✓ ${displayPath} is valid`);
+}
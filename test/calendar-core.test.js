@@ -0,0 +1,168 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CalendarCore = require('../assets/js/calendar-core');
+
+const event = {
+    uid: 'off-test',
+    title: 'Collecting Data with APIs',
+    description: 'Pagination, filtering; rate limits\nand more',
+    location: 'Library, Room 1312',
+    start: new Date('2026-02-11T10:00:00-08:00'),
+    end: new Date('2026-02-11T11:30:00-08:00'),
+    updated: '2026-01-10T00:00:00Z'
+};
+
+describe('CalendarCore', () => {
+    describe('formatDate', () => {
+        it('writes wall-clock time in campus time', () => {
+            assert.equal(CalendarCore.formatDate(new Date('2026-02-11T18:00:00Z')), '20260211T100000');
+        });
+
+        it('follows daylight saving time', () => {
+            assert.equal(CalendarCore.formatDate(new Date('2026-07-01T17:00:00Z')), '20260701T100000');
+        });
+
+        it('writes midnight as 00', () => {
+            assert.equal(CalendarCore.formatDate(new Date('2026-02-11T08:00:00Z')), '20260211T000000');
+        });
+    });
+
+    it('formatUTCDate writes UTC time without milliseconds', () => {
+        assert.equal(CalendarCore.formatUTCDate(new Date('2026-01-10T00:43:32.123Z')), '20260110T004332Z');
+    });
+
+    it('escapeText escapes backslashes, separators and newlines', () => {
+        assert.equal(CalendarCore.escapeText('a\\b; c, d\r\ne'), 'a\\\\b\\; c\\, d\\ne');
+        assert.equal(CalendarCore.escapeText(null), '');
+    });
+
+    it('escapeParam quotes values with separators and drops quotes and control characters', () => {
+        assert.equal(CalendarCore.escapeParam('Zoom'), 'Zoom');
+        assert.equal(CalendarCore.escapeParam('Zoom: "main" room'), '"Zoom: main room"');
+        assert.equal(CalendarCore.escapeParam('a\nb'), 'ab');
+    });
+
+    describe('foldLine', () => {
+        const octets = line => Buffer.byteLength(line, 'utf8');
+
+        it('leaves short lines alone', () => {
+            assert.equal(CalendarCore.foldLine('SUMMARY:Short'), 'SUMMARY:Short');
+        });
+
+        it('folds long lines at 75 octets', () => {
+            const line = `DESCRIPTION:${'x'.repeat(200)}`;
+            const folded = CalendarCore.foldLine(line);
+
+            folded.split('\r\n').forEach(part => assert.ok(octets(part) <= 75));
+            assert.equal(folded.replace(/\r\n /g, ''), line);
+        });
+
+        it('never splits a multi-byte character', () => {
+            const line = `SUMMARY:${'Résumé ✓ 📅 '.repeat(20)}`;
+            const folded = CalendarCore.foldLine(line);
+
+            folded.split('\r\n').forEach(part => {
+                assert.ok(octets(part) <= 75);
+                assert.ok(!part.includes('�'));
+            });
+            assert.equal(folded.replace(/\r\n /g, ''), line);
+        });
+    });
+
+    it('property adds escaped parameters', () => {
+        assert.equal(
+            CalendarCore.property('DTSTART', '20260211T100000', { TZID: CalendarCore.TIMEZONE }),
+            'DTSTART;TZID=America/Los_Angeles:20260211T100000'
+        );
+    });
+
+    describe('createUID', () => {
+        it('uses the event id', () => {
+            assert.equal(CalendarCore.createUID(event), `off-test@${CalendarCore.UID_DOMAIN}`);
+        });
+
+        it('is stable without an id', () => {
+            const { uid, ...anonymous } = event;
+            assert.equal(CalendarCore.createUID(anonymous), CalendarCore.createUID({ ...anonymous }));
+            assert.notEqual(CalendarCore.createUID(anonymous), CalendarCore.createUID({ ...anonymous, title: 'Other' }));
+        });
+    });
+
+    describe('createEvent', () => {
+        it('writes times with a TZID and stamps from `updated`', () => {
+            const lines = CalendarCore.createEvent(event).split('\r\n');
+
+            assert.ok(lines.includes('DTSTART;TZID=America/Los_Angeles:20260211T100000'));
+            assert.ok(lines.includes('DTEND;TZID=America/Los_Angeles:20260211T113000'));
+            assert.ok(lines.includes('DTSTAMP:20260110T000000Z'));
+            assert.ok(lines.includes('LAST-MODIFIED:20260110T000000Z'));
+            assert.ok(lines.includes('SUMMARY:Collecting Data with APIs'));
+            assert.ok(lines.includes('DESCRIPTION:Pagination\\, filtering\\; rate limits\\nand more'));
+            assert.ok(lines.includes('LOCATION:Library\\, Room 1312'));
+            assert.ok(lines.includes('STATUS:CONFIRMED'));
+        });
+
+        it('is the same on every run', () => {
+            assert.equal(CalendarCore.createEvent(event), CalendarCore.createEvent({ ...event }));
+        });
+
+        it('adds a URL only when there is one', () => {
+            assert.ok(!CalendarCore.createEvent(event).includes('URL:'));
+            assert.ok(CalendarCore.createEvent({ ...event, url: 'https://example.edu/register' }).split('\r\n').includes('URL:https://example.edu/register'));
+        });
+
+        it('adds reminders a day and an hour before, except to cancelled events', () => {
+            const ics = CalendarCore.createEvent(event);
+
+            assert.equal(ics.match(/BEGIN:VALARM/g).length, 2);
+            assert.ok(ics.includes('TRIGGER:-PT24H'));
+            assert.ok(ics.includes('TRIGGER:-PT1H'));
+
+            const cancelled = CalendarCore.createEvent({ ...event, cancelled: true, sequence: 1 });
+            assert.ok(!cancelled.includes('VALARM'));
+            assert.ok(cancelled.includes('STATUS:CANCELLED'));
+            assert.ok(cancelled.includes('SEQUENCE:1'));
+        });
+
+        it('adds the video call as CONFERENCE', () => {
+            const lines = CalendarCore.createEvent({
+                ...event,
+                conference: { url: 'https://ucsb.zoom.us/j/1', label: 'Zoom' }
+            }).split('\r\n');
+
+            assert.ok(lines.includes('CONFERENCE;VALUE=URI;FEATURE=VIDEO;LABEL=Zoom:https://ucsb.zoom.us/j/1'));
+            assert.ok(lines.includes('X-GOOGLE-CONFERENCE:https://ucsb.zoom.us/j/1'));
+        });
+
+        it('writes recurrences and an override per changed occurrence', () => {
+            const ics = CalendarCore.createEvent({
+                ...event,
+                rrule: 'FREQ=WEEKLY;COUNT=3',
+                exdates: [new Date('2026-02-18T10:00:00-08:00')],
+                overrides: [{
+                    recurrenceId: new Date('2026-02-25T10:00:00-08:00'),
+                    start: new Date('2026-02-25T10:00:00-08:00'),
+                    end: new Date('2026-02-25T11:30:00-08:00'),
+                    cancelled: true
+                }]
+            });
+
+            assert.equal(ics.match(/BEGIN:VEVENT/g).length, 2);
+            assert.ok(ics.includes('RRULE:FREQ=WEEKLY;COUNT=3'));
+            assert.ok(ics.includes('EXDATE;TZID=America/Los_Angeles:20260218T100000'));
+            assert.ok(ics.includes('RECURRENCE-ID;TZID=America/Los_Angeles:20260225T100000'));
+            assert.equal(ics.match(/RRULE/g).length, 1);
+        });
+    });
+
+    it('wrapInCalendar embeds the time zone and ends every line with CRLF', () => {
+        const ics = CalendarCore.wrapInCalendar([CalendarCore.createEvent(event)], { name: 'RDS; Workshops', description: 'All' });
+
+        assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+        assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+        assert.ok(ics.includes('BEGIN:VTIMEZONE\r\nTZID:America/Los_Angeles\r\n'));
+        assert.ok(ics.includes('X-WR-CALNAME:RDS\\; Workshops'));
+        assert.ok(ics.includes('X-WR-CALDESC:All'));
+        assert.ok(!/[^\r]\n/.test(ics));
+    });
+});
@@ -0,0 +1,87 @@
+// Viewed somewhere other than campus: days must still be campus days, so set
+// a time zone a day ahead of it before anything reads it
+process.env.TZ = 'Asia/Tokyo';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CalendarView = require('../assets/js/calendar-view');
+
+// Rendered markup as plain text, with Intl's narrow spaces made plain
+const text = markup => markup.toString().replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+
+/**
+ * A calendar rendering into a stand-in container
+ * @param {Array} events - Events to show
+ * @param {string} now - Current time (ISO)
+ * @param {string} mode - 'month' or 'week'
+ * @returns {CalendarView}
+ */
+function createView(events, now, mode = 'month') {
+    const container = { addEventListener() {}, innerHTML: '' };
+    const view = new CalendarView(container, { now: () => new Date(now) });
+    view.render(events, mode);
+    return view;
+}
+
+// 5 PM on Tuesday, Jan 27 on campus: already Wednesday in Tokyo and UTC
+const evening = {
+    workshopId: 'ws-apis',
+    title: 'Collecting Data with APIs',
+    start: new Date('2026-01-27T17:00:00-08:00'),
+    end: new Date('2026-01-27T18:30:00-08:00'),
+    status: 'upcoming'
+};
+
+describe('CalendarView (viewed from Tokyo)', () => {
+    it('starts on the campus day of the next session', () => {
+        assert.equal(createView([evening], '2026-01-20T00:00:00Z').cursor, '2026-01-27');
+    });
+
+    it('places events on their campus day', () => {
+        const view = createView([evening], '2026-01-20T00:00:00Z');
+
+        assert.deepEqual(view.getEventsOn('2026-01-27'), [evening]);
+        assert.deepEqual(view.getEventsOn('2026-01-28'), []);
+    });
+
+    it('keeps an event ending at midnight on its own day, and one running past it on both', () => {
+        const late = { ...evening, start: new Date('2026-01-27T22:00:00-08:00'), end: new Date('2026-01-28T00:00:00-08:00') };
+        const overnight = { ...late, end: new Date('2026-01-28T01:00:00-08:00') };
+        const view = createView([late, overnight], '2026-01-20T00:00:00Z');
+
+        assert.deepEqual(view.getEventsOn('2026-01-27'), [late, overnight]);
+        assert.deepEqual(view.getEventsOn('2026-01-28'), [overnight]);
+    });
+
+    it('lays out whole Sunday-to-Saturday weeks around the month', () => {
+        const days = createView([evening], '2026-01-20T00:00:00Z').getMonthDays();
+
+        assert.equal(days[0], '2025-12-28');
+        assert.equal(days[days.length - 1], '2026-01-31');
+        assert.equal(days.length, 35);
+    });
+
+    it('shows campus times and marks today by campus date', () => {
+        // 7 AM on Jan 28 in Tokyo is still Jan 27 on campus
+        const markup = createView([evening], '2026-01-27T22:00:00Z', 'week').container.innerHTML.toString();
+
+        assert.match(text(markup), /Jan 25 – Jan 31, 2026/);
+        assert.match(text(markup), /Tuesday, Jan 27 5:00 PM - 6:30 PM Collecting Data with APIs/);
+        assert.match(markup, /calendar-day-today">\s*<div class="fw-bold mb-1">Tuesday, Jan 27</);
+    });
+
+    it('navigates by campus weeks and months', () => {
+        const view = createView([evening], '2026-01-20T00:00:00Z');
+
+        view.navigate('next');
+        assert.equal(view.cursor, '2026-02-01');
+        assert.match(text(view.container.innerHTML), /^Today February 2026/);
+
+        view.render([evening], 'week');
+        view.navigate('prev');
+        assert.equal(view.cursor, '2026-01-25');
+
+        view.navigate('today');
+        assert.equal(view.cursor, '2026-01-19');
+    });
+});
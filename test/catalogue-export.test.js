@@ -0,0 +1,119 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CatalogueExport = require('../assets/js/catalogue-export');
+const data = require('./fixtures/catalogue.json');
+
+const workshop = id => data.workshops.find(w => w.id === id);
+
+/**
+ * Rows of a CSV export, split on the cells' commas (for cells without quotes)
+ * @param {string} csv - CSV content
+ * @returns {Array<Array<string>>} Rows
+ */
+const rows = csv => csv.slice(1).split('\r\n').filter(Boolean).map(row => row.split(','));
+
+describe('CatalogueExport', () => {
+    it('getLocalDateTime gives campus date, day and time', () => {
+        assert.deepEqual(CatalogueExport.getLocalDateTime(new Date('2026-01-28T06:30:00Z')), { date: '2026-01-27', day: 'Tue', time: '22:30' });
+    });
+
+    describe('getSessions', () => {
+        const sessions = CatalogueExport.getSessions(data, data.workshops);
+
+        it('lists every meeting, soonest first, with labels', () => {
+            assert.deepEqual(sessions.map(s => [s.offering.id, s.date, s.part]), [
+                ['off-notes-past', '2025-10-15', ''],
+                ['off-apis-jan', '2026-01-14', ''],
+                ['off-scraping-series', '2026-01-27', '1 of 3'],
+                ['off-scraping-series', '2026-01-29', '2 of 3'],
+                ['off-scraping-series', '2026-02-05', '3 of 3'],
+                ['off-apis-feb', '2026-02-11', '']
+            ]);
+            assert.deepEqual(
+                (({ day, start, end, series, format, location, instructors, departments }) =>
+                    ({ day, start, end, series, format, location, instructors, departments }))(sessions[2]),
+                {
+                    day: 'Tue',
+                    start: '10:00',
+                    end: '12:00',
+                    series: 'Collecting Data',
+                    format: 'In person',
+                    location: 'Library, Room 1312',
+                    instructors: ['Ada Lovelace', 'Grace Hopper'],
+                    departments: ['Research Data Services', 'DREAM Lab']
+                }
+            );
+        });
+
+        it('keeps cancelled meetings, marked', () => {
+            assert.deepEqual(sessions.filter(s => s.meeting.cancelled).map(s => s.date), ['2026-01-29']);
+        });
+
+        it('only keeps the meetings matching the "when" criteria', () => {
+            assert.deepEqual(
+                CatalogueExport.getSessions(data, data.workshops, { day: ['thu'] }).map(s => s.date),
+                ['2026-01-29', '2026-02-05']
+            );
+            assert.deepEqual(CatalogueExport.getSessions(data, data.workshops, { quarter: ['fall-2025'] }).map(s => s.offering.id), ['off-notes-past']);
+        });
+    });
+
+    describe('toCSV', () => {
+        const session = CatalogueExport.getSessions(data, [workshop('ws-notes')])[0];
+        const csvOf = (changes = {}) => CatalogueExport.toCSV([{ ...session, ...changes, workshop: { ...session.workshop, ...changes.workshop } }]);
+
+        it('starts with a byte order mark and ends rows with CRLF', () => {
+            const csv = csvOf();
+
+            assert.ok(csv.startsWith('\uFEFFDate,Day,Start,End,Workshop,'));
+            assert.ok(csv.endsWith('\r\n'));
+            assert.deepEqual(rows(csv)[1].slice(0, 5), ['2025-10-15', 'Wed', '12:00', '13:00', 'Research Notes with Obsidian']);
+            assert.deepEqual(rows(csv)[0], Object.keys(CatalogueExport.CSV_COLUMNS));
+        });
+
+        it('quotes cells with commas, quotes and line breaks', () => {
+            const csv = csvOf({ workshop: { title: 'Say "hi", then\nleave' } });
+            assert.ok(csv.includes(',"Say ""hi"", then\nleave",'));
+        });
+
+        it('defuses cells that spreadsheets would run as formulas', () => {
+            ['=HYPERLINK("x")', '+1', '-1', '@SUM(A1)', '\tx'].forEach(title => {
+                const csv = csvOf({ workshop: { title } });
+                const cell = title.includes('"') ? `"'${title.replace(/"/g, '""')}"` : `'${title}`;
+                assert.ok(csv.includes(`,${cell},`), title);
+            });
+        });
+
+        it('joins lists with semicolons and leaves missing values empty', () => {
+            const csv = csvOf({ instructors: ['Ada Lovelace', 'Grace Hopper'], part: undefined });
+            assert.ok(csv.includes(',Ada Lovelace; Grace Hopper,'));
+            assert.ok(csv.includes('Research Notes with Obsidian,,'));
+        });
+    });
+
+    describe('toData', () => {
+        it('keeps the workshops, their sessions and what they refer to', () => {
+            const exported = CatalogueExport.toData(data, [workshop('ws-notes')]);
+            const ids = Object.fromEntries(Object.entries(exported).map(([key, items]) => [key, items.map(item => item.id)]));
+
+            assert.deepEqual(ids, {
+                workshops: ['ws-notes'],
+                series: [],
+                offerings: ['off-notes-past'],
+                instructors: ['inst-grace'],
+                departments: ['dept-rande', 'dept-dream'],
+                formats: ['fmt-online'],
+                areas: ['area-humanities'],
+                audiences: ['aud-all']
+            });
+        });
+
+        it('drops series members that weren\'t exported', () => {
+            const exported = CatalogueExport.toData(data, [workshop('ws-apis')]);
+
+            assert.deepEqual(exported.series.map(series => series.workshop_ids), [['ws-apis']]);
+            assert.deepEqual(exported.offerings.map(o => o.id), ['off-apis-feb', 'off-apis-jan']);
+            assert.equal(data.series[0].workshop_ids.length, 2, 'leaves the catalogue alone');
+        });
+    });
+});
@@ -0,0 +1,76 @@
+// Built somewhere other than campus: the templates must not depend on the
+// machine's time zone, so set one before anything reads it
+process.env.TZ = 'UTC';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CatalogueTemplates = require('../assets/js/catalogue-templates');
+const CatalogueExport = require('../assets/js/catalogue-export');
+const ICalGenerator = require('../assets/js/ical-generator');
+const data = require('./fixtures/catalogue.json');
+
+// Rendered markup as plain text, with Intl's narrow spaces made plain
+const text = markup => markup.toString().replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+
+describe('CatalogueTemplates', () => {
+    const now = new Date('2026-01-28T00:00:00Z');
+    const templates = new CatalogueTemplates(data, {
+        icalGenerator: new ICalGenerator(data, { now }),
+        now: () => now
+    });
+    const summary = offering => templates.formatSeries(offering).replace(/\s/g, ' ');
+    const offering = id => data.offerings.find(o => o.id === id);
+
+    describe('formatSeries (built in UTC)', () => {
+        it('names the weekdays and hours in campus time', () => {
+            assert.equal(summary({
+                start: '2026-01-13T17:00:00-08:00',
+                end: '2026-01-13T19:00:00-08:00',
+                recurrence: { frequency: 'weekly', count: 4 }
+            }), '4 sessions, Tuesdays 5:00 – 7:00 PM, Jan 13 – Feb 3');
+        });
+
+        it('keeps the hours of a series across a daylight saving change', () => {
+            assert.equal(summary({
+                start: '2026-03-03T10:00:00-08:00',
+                end: '2026-03-03T12:00:00-08:00',
+                recurrence: { frequency: 'weekly', days: ['tue', 'thu'], count: 6 }
+            }), '6 sessions, Tuesdays and Thursdays 10:00 AM – 12:00 PM, Mar 3 – 19');
+        });
+
+        it('leaves out cancelled meetings', () => {
+            assert.equal(summary(offering('off-scraping-series')), '2 sessions, 10:00 AM – 12:00 PM, Jan 27 – Feb 5');
+        });
+    });
+
+    describe('createOfferingItem (built in UTC)', () => {
+        it('dates and times a session in campus time', () => {
+            const item = text(templates.createOfferingItem({ ...offering('off-apis-feb'), start: '2026-02-11T17:00:00-08:00', end: '2026-02-11T18:30:00-08:00' }));
+            assert.match(item, /^Wed, Feb 11, 2026 .*05:00 PM - 06:30 PM/);
+        });
+
+        it('agrees with the series summary', () => {
+            const item = text(templates.createOfferingItem(offering('off-scraping-series')));
+
+            assert.match(item, /^Tue, Jan 27, 2026 .*10:00 AM - 12:00 PM 2 sessions, 10:00 AM – 12:00 PM, Jan 27 – Feb 5/);
+            assert.match(item, /Next session: Thu, Feb 5, 10:00 AM/);
+            assert.match(item, /No session on Thu, Jan 29 \(Instructor ill\)/);
+        });
+
+        it('offers the join link until the session is over, as the calendars do', () => {
+            assert.match(templates.createOfferingItem(offering('off-apis-feb')).toString(), /href="https:\/\/ucsb\.zoom\.us\/j\/123456789"/);
+            assert.doesNotMatch(templates.createOfferingItem({ ...offering('off-apis-feb'), start: '2026-01-14T10:00:00-08:00', end: '2026-01-14T11:30:00-08:00' }).toString(), /Join online/);
+        });
+    });
+
+    describe('createPrintSchedule (built in UTC)', () => {
+        it('heads and times rows in campus time, like the CSV', () => {
+            const evening = { ...offering('off-apis-feb'), start: '2026-02-11T17:00:00-08:00', end: '2026-02-11T18:30:00-08:00' };
+            const sessions = CatalogueExport.getSessions({ ...data, offerings: [evening] }, data.workshops);
+            const schedule = text(templates.createPrintSchedule(sessions, { summary: 'All workshops' }));
+
+            assert.equal(sessions[0].date, '2026-02-11');
+            assert.match(schedule, /Wednesday, February 11, 2026 5:00 PM - 6:30 PM Collecting Data with APIs/);
+        });
+    });
+});
@@ -0,0 +1,149 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const html = require('../assets/js/html');
+const ICalGenerator = require('../assets/js/ical-generator');
+const CatalogueTemplates = require('../assets/js/catalogue-templates');
+const SearchIndex = require('../assets/js/search-index');
+const { validate } = require('../scripts/validate-data');
+const fixture = require('./fixtures/catalogue.json');
+
+const HOSTILE_TEXT = '"><script>alert(1)</script><img src=x onerror=alert(2)> \' ` &amp;';
+const HOSTILE_URLS = [
+    'javascript:alert(1)',
+    'JavaScript:alert(1)',
+    ' javascript:alert(1)',
+    'java\tscript:alert(1)',
+    'data:text/html,<script>alert(1)</script>',
+    'vbscript:msgbox(1)'
+];
+
+/**
+ * The fixture catalogue with script and broken-out-of-attribute attempts in
+ * every text field and a javascript: URL in every link
+ * @returns {Object} Catalogue data
+ */
+function hostileData() {
+    const data = structuredClone(fixture);
+
+    data.workshops.forEach(workshop => {
+        workshop.title = `${workshop.title} ${HOSTILE_TEXT}`;
+        workshop.summary = HOSTILE_TEXT;
+        workshop.description = HOSTILE_TEXT;
+        workshop.tags = [HOSTILE_TEXT];
+    });
+    data.series.forEach(series => {
+        series.title = HOSTILE_TEXT;
+    });
+    data.instructors.forEach(instructor => {
+        instructor.name = HOSTILE_TEXT;
+    });
+    data.offerings.forEach((offering, i) => {
+        offering.registration_url = HOSTILE_URLS[i % HOSTILE_URLS.length];
+        offering.status_note = HOSTILE_TEXT;
+        if (offering.location) offering.location = HOSTILE_TEXT;
+        if (offering.venue) offering.venue = { building: HOSTILE_TEXT, map_url: 'javascript:alert(3)' };
+        if (offering.online) offering.online = { platform: HOSTILE_TEXT, join_url: 'javascript:alert(4)' };
+    });
+
+    return data;
+}
+
+/**
+ * Assert that rendered markup contains no script, event handler or
+ * script URL coming from the data
+ * @param {string} markup - Rendered HTML
+ */
+function assertInert(markup) {
+    // Attribute values blanked out, so escaped text inside them doesn't count
+    const tags = markup.replace(/"[^"]*"/g, '""');
+
+    assert.ok(!/<script/i.test(markup), 'no <script> element');
+    assert.ok(!/<img/i.test(markup), 'no injected element');
+    assert.ok(!/<[^>]*\son\w+\s*=/i.test(tags), 'no event handler attribute');
+    assert.ok(!/href="\s*(java|vb)\s*script:/i.test(markup), 'no script URL in href');
+    assert.ok(!/href="\s*data:/i.test(markup), 'no data URL in href');
+}
+
+describe('html', () => {
+    it('escapes text and attribute values', () => {
+        const value = '<b title="x">Tom & Jerry\'s `tag`</b>';
+        assert.equal(
+            html`<p title="${value}">${value}</p>`.toString(),
+            '<p title="&lt;b title=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s &#96;tag&#96;&lt;/b&gt;">' +
+            '&lt;b title=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s &#96;tag&#96;&lt;/b&gt;</p>'
+        );
+    });
+
+    it('inserts nested templates and raw markup as they are', () => {
+        const inner = html`<em>${'<i>'}</em>`;
+        assert.equal(html`<p>${inner}${html.raw('<br>')}</p>`.toString(), '<p><em>&lt;i&gt;</em><br></p>');
+    });
+
+    it('joins arrays and drops null, undefined and false', () => {
+        assert.equal(html`${['<a>', 'b']}${null}${undefined}${false}${0}`.toString(), '&lt;a&gt;b0');
+        assert.equal(html.join(['a', '<b>'], html`<hr>`).toString(), 'a<hr>&lt;b&gt;');
+    });
+
+    describe('url', () => {
+        it('lets http, https, mailto and relative links through', () => {
+            ['https://ucsb.zoom.us/j/1', 'http://example.edu/?a=1&b=2', 'mailto:rds@ucsb.edu', 'workshops/ws-x.html', '?page=instructors']
+                .forEach(url => assert.equal(html.url(url), url));
+        });
+
+        HOSTILE_URLS.forEach(url => {
+            it(`blocks ${JSON.stringify(url)}`, () => {
+                assert.equal(html.url(url), 'about:blank');
+            });
+        });
+
+        it('is still escaped in an attribute', () => {
+            assert.equal(html`<a href="${html.url('https://x.edu/?q="><script>')}">`.toString(), '<a href="https://x.edu/?q=&quot;&gt;&lt;script&gt;">');
+        });
+    });
+});
+
+describe('templates with hostile data', () => {
+    const data = hostileData();
+    const now = new Date('2026-01-27T18:10:00Z');
+    const templates = new CatalogueTemplates(data, {
+        icalGenerator: new ICalGenerator(data, { now }),
+        now: () => now
+    });
+
+    data.workshops.forEach(workshop => {
+        it(`render ${workshop.id} inert`, () => {
+            assertInert(templates.createWorkshopCard(workshop).toString());
+            assertInert(templates.createWorkshopDetail(workshop).toString());
+        });
+    });
+
+    it('render series pages inert', () => {
+        data.series.forEach(series => assertInert(templates.createSeriesDetail(series).toString()));
+    });
+
+    it('highlight search matches inert', () => {
+        const words = new Set(['script', 'alert']);
+        assertInert(SearchIndex.highlight(HOSTILE_TEXT, words).toString());
+    });
+});
+
+describe('validate-data.js', () => {
+    const source = fs.readFileSync(path.join(__dirname, '../assets/data/workshops.json'), 'utf8');
+    const registrationUrl = JSON.parse(source).offerings[0].registration_url;
+
+    HOSTILE_URLS.forEach(url => {
+        it(`rejects ${JSON.stringify(url)} as a link`, () => {
+            const errors = validate(source.replace(JSON.stringify(registrationUrl), JSON.stringify(url)));
+
+            assert.equal(errors.length, 1);
+            assert.equal(errors[0].path, 'offerings[0].registration_url');
+            assert.match(errors[0].message, /is not an http, https or mailto URL/);
+        });
+    });
+
+    it('accepts the catalogue data', () => {
+        assert.deepEqual(validate(source), []);
+    });
+});
@@ -0,0 +1,124 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ICalGenerator = require('../assets/js/ical-generator');
+const data = require('./fixtures/catalogue.json');
+
+const now = new Date('2026-01-20T00:00:00Z');
+const workshop = id => data.workshops.find(w => w.id === id);
+const offering = id => data.offerings.find(o => o.id === id);
+
+describe('ICalGenerator', () => {
+    const generator = new ICalGenerator(data, { now, timestamp: '2026-01-10T00:00:00Z' });
+
+    describe('generate', () => {
+        it('leaves out sessions that have ended', () => {
+            const ics = generator.generate(data.workshops);
+
+            assert.ok(ics.includes('UID:off-apis-feb@'));
+            assert.ok(ics.includes('UID:off-scraping-series@'));
+            assert.ok(!ics.includes('off-apis-jan'));
+            assert.ok(!ics.includes('off-notes-past'));
+        });
+
+        it('keeps sessions that ended within keepPastDays', () => {
+            const ics = new ICalGenerator(data, { now, keepPastDays: 7 }).generate(data.workshops);
+
+            assert.ok(ics.includes('UID:off-apis-jan@'));
+            assert.ok(!ics.includes('off-notes-past'));
+        });
+
+        it('only includes sessions matching the "when" criteria', () => {
+            const ics = generator.generate(data.workshops, {}, { day: ['wed'] });
+
+            assert.ok(ics.includes('off-apis-feb'));
+            assert.ok(!ics.includes('off-scraping-series'));
+        });
+
+        it('only includes sessions of the filtered format', () => {
+            const hybrid = { ...data, offerings: data.offerings.map(o => (o.id === 'off-apis-feb' ? { ...o, format_id: 'fmt-hybrid' } : o)) };
+            const keepAll = new ICalGenerator(hybrid, { now, keepPastDays: 7 });
+
+            const ics = keepAll.generate([workshop('ws-apis')], {}, { format: ['fmt-hybrid'] });
+            assert.ok(ics.includes('UID:off-apis-feb@'));
+            assert.ok(!ics.includes('off-apis-jan'));
+
+            assert.ok(!keepAll.generate([workshop('ws-apis')], {}, { format: ['fmt-online'] }).includes('off-apis-feb'));
+        });
+
+        it('uses the calendar name and defaults', () => {
+            assert.ok(generator.generate([], { name: 'Online' }).includes('X-WR-CALNAME:Online'));
+            assert.ok(generator.generate([]).includes('X-WR-CALNAME:RDS Workshops'));
+        });
+
+        it('is the same on every run', () => {
+            assert.equal(generator.generate(data.workshops), generator.generate(data.workshops));
+        });
+    });
+
+    it('getOfferings lists the sessions generate includes', () => {
+        assert.deepEqual(generator.getOfferings(workshop('ws-apis')).map(o => o.id), ['off-apis-feb']);
+        assert.deepEqual(generator.getOfferings(workshop('ws-apis'), { day: ['tue'] }), []);
+        assert.deepEqual(generator.getOfferings(workshop('ws-notes')), []);
+    });
+
+    it('generateForOfferings keeps past sessions', () => {
+        const ics = generator.generateForOfferings([offering('off-notes-past')]);
+        assert.ok(ics.includes('UID:off-notes-past@'));
+    });
+
+    describe('toEvent', () => {
+        it('describes a one-off session', () => {
+            const event = generator.toEvent(workshop('ws-apis'), offering('off-apis-feb'));
+
+            assert.equal(event.uid, 'off-apis-feb');
+            assert.equal(event.title, 'Collecting Data with APIs');
+            assert.equal(event.location, 'Zoom');
+            assert.deepEqual(event.conference, { url: 'https://ucsb.zoom.us/j/123456789', label: 'Zoom' });
+            assert.equal(event.updated, '2026-01-10T00:00:00Z');
+            assert.equal(event.sequence, 0);
+            assert.equal(event.rrule, undefined);
+        });
+
+        it('marks cancelled and rescheduled sessions', () => {
+            const cancelled = generator.toEvent(workshop('ws-apis'), { ...offering('off-apis-feb'), status: 'cancelled' });
+            assert.equal(cancelled.title, 'Cancelled: Collecting Data with APIs');
+            assert.ok(cancelled.cancelled);
+            assert.equal(cancelled.sequence, 1);
+
+            const moved = generator.toEvent(workshop('ws-apis'), {
+                ...offering('off-apis-feb'),
+                rescheduled_from: ['2026-02-04T10:00:00-08:00']
+            });
+            assert.equal(moved.sequence, 1);
+            assert.ok(moved.description.replace(/\s/g, ' ').startsWith('Rescheduled (was Wed, Feb 4, 10:00 AM).'));
+        });
+
+        it('turns a series into one recurring event', () => {
+            const event = generator.toEvent(workshop('ws-scraping'), offering('off-scraping-series'));
+
+            assert.equal(event.rrule, 'FREQ=WEEKLY;BYDAY=TU,TH;COUNT=4');
+            assert.deepEqual(event.exdates, [new Date('2026-02-03T10:00:00-08:00')]);
+            assert.equal(event.overrides.length, 1);
+            assert.ok(event.overrides[0].cancelled);
+            assert.deepEqual(event.overrides[0].recurrenceId, new Date('2026-01-29T10:00:00-08:00'));
+            assert.match(event.description.replace(/\s/g, ' '), /Sessions: - Tue, Jan 27, 10:00 AM – 12:00 PM - Thu, Jan 29, 10:00 AM – 12:00 PM \(cancelled\) - Thu, Feb 5/);
+        });
+    });
+
+    it('buildDescription lists format, instructors, areas and links', () => {
+        const description = generator.buildDescription(workshop('ws-scraping'), offering('off-scraping-series'));
+
+        assert.match(description, /Format: In person\n/);
+        assert.match(description, /Instructor\(s\): Ada Lovelace, Grace Hopper\n/);
+        assert.match(description, /Research Area\(s\): Data management\n/);
+        assert.match(description, /Map: https:\/\/www\.ucsb\.edu\/maps\/library\n/);
+        assert.match(description, /Register: https:\/\/shoreline\.ucsb\.edu\/library\/rsvp\?id=1$/);
+    });
+
+    it('generateWebcalURL switches the scheme and keeps filters', () => {
+        assert.equal(
+            ICalGenerator.generateWebcalURL('https://example.edu/calendars/all.ics', { format: 'fmt-online', area: '' }),
+            'webcal://example.edu/calendars/all.ics?format=fmt-online'
+        );
+    });
+});
@@ -0,0 +1,134 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const MySchedule = require('../assets/js/my-schedule');
+const data = require('./fixtures/catalogue.json');
+
+const offering = id => data.offerings.find(o => o.id === id);
+
+/**
+ * A stand-in for localStorage
+ * @param {string|null} value - What is stored under the schedule's key
+ * @returns {Object} Storage with getItem/setItem, and `saved` for what was written
+ */
+function createStorage(value = null) {
+    return {
+        saved: value,
+        getItem(key) {
+            return key === MySchedule.STORAGE_KEY ? this.saved : null;
+        },
+        setItem(key, text) {
+            this.saved = text;
+        }
+    };
+}
+
+/**
+ * A one-off session on the same day as the scraping series' first meeting
+ * @param {string} id - Offering id
+ * @param {string} start - Start time of day (HH:MM)
+ * @param {string} end - End time of day (HH:MM)
+ * @returns {Object} Offering
+ */
+const session = (id, start, end) => ({ id, start: `2026-01-27T${start}:00-08:00`, end: `2026-01-27T${end}:00-08:00` });
+
+describe('MySchedule', () => {
+    describe('storage', () => {
+        it('reads and writes the starred ids', () => {
+            const storage = createStorage('["off-apis-feb"]');
+            const schedule = new MySchedule(storage);
+
+            assert.ok(schedule.has('off-apis-feb'));
+            assert.equal(schedule.toggle('off-scraping-series'), true);
+            assert.deepEqual(JSON.parse(storage.saved), ['off-apis-feb', 'off-scraping-series']);
+            assert.equal(schedule.toggle('off-apis-feb'), false);
+            assert.deepEqual(JSON.parse(storage.saved), ['off-scraping-series']);
+        });
+
+        it('starts empty from data it can\'t read', () => {
+            ['not json', '{"ids": ["off-apis-feb"]}', '"off-apis-feb"', 'null', '42'].forEach(value => {
+                assert.equal(new MySchedule(createStorage(value)).size, 0, value);
+            });
+        });
+
+        it('keeps only the string ids of a stored list', () => {
+            const schedule = new MySchedule(createStorage('["off-apis-feb", 7, null, {"id": "x"}]'));
+            assert.deepEqual([...schedule.ids], ['off-apis-feb']);
+        });
+
+        it('lasts for the visit when storage is missing or throws', () => {
+            const blocked = {
+                getItem() { throw new Error('SecurityError'); },
+                setItem() { throw new Error('QuotaExceededError'); }
+            };
+
+            [null, blocked].forEach(storage => {
+                const schedule = new MySchedule(storage);
+                schedule.add(['off-apis-feb', 'off-apis-feb']);
+                assert.deepEqual([...schedule.ids], ['off-apis-feb']);
+            });
+        });
+
+        it('picks up changes from another tab', () => {
+            const storage = createStorage('[]');
+            const schedule = new MySchedule(storage);
+
+            storage.saved = '["off-apis-jan"]';
+            schedule.reload();
+            assert.ok(schedule.has('off-apis-jan'));
+        });
+    });
+
+    it('getOfferings keeps the starred sessions still in the catalogue, soonest first', () => {
+        const schedule = new MySchedule();
+        schedule.add(['off-apis-feb', 'off-gone', 'off-notes-past']);
+
+        assert.deepEqual(schedule.getOfferings(data.offerings).map(o => o.id), ['off-notes-past', 'off-apis-feb']);
+    });
+
+    describe('findConflicts', () => {
+        it('pairs sessions that overlap, both ways', () => {
+            const conflicts = MySchedule.findConflicts([
+                session('morning', '09:00', '11:00'),
+                session('late-morning', '10:30', '12:00'),
+                session('afternoon', '13:00', '14:00')
+            ]);
+
+            assert.deepEqual([...conflicts], [['morning', ['late-morning']], ['late-morning', ['morning']]]);
+        });
+
+        it('lets back-to-back sessions be', () => {
+            assert.equal(MySchedule.findConflicts([session('a', '09:00', '10:00'), session('b', '10:00', '11:00')]).size, 0);
+        });
+
+        it('checks every meeting of a series, but not cancelled ones', () => {
+            const series = offering('off-scraping-series');
+
+            // The second meeting (Thu, Jan 29) is cancelled, the third is Thu, Feb 5
+            assert.deepEqual(MySchedule.findConflicts([series, session('first', '11:00', '12:30')]).get('first'), ['off-scraping-series']);
+            assert.equal(MySchedule.findConflicts([series, { id: 'cancelled', start: '2026-01-29T10:00:00-08:00', end: '2026-01-29T11:00:00-08:00' }]).size, 0);
+            assert.deepEqual(MySchedule.findConflicts([series, { id: 'last', start: '2026-02-05T11:30:00-08:00', end: '2026-02-05T13:00:00-08:00' }]).get('last'), ['off-scraping-series']);
+        });
+
+        it('lists a pair once however many of their meetings overlap', () => {
+            const series = offering('off-scraping-series');
+            const twin = { ...series, id: 'twin' };
+
+            assert.deepEqual([...MySchedule.findConflicts([series, twin])], [['off-scraping-series', ['twin']], ['twin', ['off-scraping-series']]]);
+        });
+    });
+
+    describe('share links', () => {
+        it('round-trips ids through the query string', () => {
+            const ids = ['off-apis-feb', 'off-scraping-series', 'off a&b'];
+            const query = MySchedule.toQuery(ids);
+
+            assert.equal(query, '?schedule=off-apis-feb,off-scraping-series,off%20a%26b');
+            assert.deepEqual(MySchedule.fromParams(new URLSearchParams(query)), ids);
+        });
+
+        it('reads nothing from a link without sessions', () => {
+            assert.deepEqual(MySchedule.fromParams(new URLSearchParams('?area=area-humanities')), []);
+            assert.deepEqual(MySchedule.fromParams(new URLSearchParams('?schedule=,,')), []);
+        });
+    });
+});
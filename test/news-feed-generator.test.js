@@ -0,0 +1,129 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const NewsFeedGenerator = require('../assets/js/news-feed-generator');
+const data = require('./fixtures/catalogue.json');
+
+const baseUrl = 'https://example.edu/catalogue/';
+const now = new Date('2026-01-20T00:00:00Z');
+const feed = {
+    name: 'Data & "APIs" <RDS>',
+    description: 'Sessions in Data management',
+    url: `${baseUrl}calendars/area-area-data-mgmt.atom`,
+    filter: { area: 'area-data-mgmt' }
+};
+
+/**
+ * Check that an XML document is well formed: one root, every tag closed in
+ * order, and no bare `<` or `&` in text or attribute values
+ * @param {string} xml - XML document
+ */
+function assertWellFormed(xml) {
+    const body = xml.replace(/^<\?xml [^?]*\?>\n/, '');
+    const open = [];
+    let roots = 0;
+
+    body.replace(/<(\/?)([\w:]+)((?:\s+[\w:]+="[^"<]*")*)\s*(\/?)>|([^<]+)|(<)/g, (match, closing, name, attributes, selfClosing, text, stray, offset) => {
+        assert.equal(stray, undefined, `stray "<" at ${body.slice(offset, offset + 20)}`);
+        const value = text || attributes || '';
+        assert.doesNotMatch(value, /&(?!(?:amp|lt|gt|quot|#39|#x[0-9a-f]+|#\d+);)/i, `bare "&" in ${value}`);
+        if (text !== undefined) return match;
+
+        if (closing) {
+            assert.equal(open.pop(), name, `</${name}> closes the element open`);
+        } else if (!selfClosing) {
+            if (open.length === 0) roots++;
+            open.push(name);
+        }
+        return match;
+    });
+
+    assert.deepEqual(open, [], 'every element is closed');
+    assert.equal(roots, 1, 'one root element');
+}
+
+describe('NewsFeedGenerator', () => {
+    const generator = new NewsFeedGenerator(data, { baseUrl, now, timestamp: '2026-01-12T00:00:00Z' });
+
+    describe('getEntries', () => {
+        it('holds the current sessions, most recently updated first', () => {
+            assert.deepEqual(generator.getEntries(data.workshops).map(entry => [entry.id, entry.updated]), [
+                [`${baseUrl}workshops/ws-apis.html#off-apis-feb`, '2026-01-10T00:00:00.000Z'],
+                [`${baseUrl}workshops/ws-scraping.html#off-scraping-series`, '2026-01-08T00:00:00.000Z']
+            ]);
+        });
+
+        it('breaks ties by start', () => {
+            const sameDay = { ...data, offerings: data.offerings.map(o => ({ ...o, updated_at: '2026-01-10T00:00:00Z' })) };
+            const entries = new NewsFeedGenerator(sameDay, { baseUrl, now }).getEntries(data.workshops);
+
+            assert.deepEqual(entries.map(entry => entry.id.split('#')[1]), ['off-scraping-series', 'off-apis-feb']);
+        });
+
+        it('keeps the same sessions as the calendar feed', () => {
+            assert.deepEqual(generator.getEntries(data.workshops, { day: ['thu'] }).map(entry => entry.id.split('#')[1]), ['off-scraping-series']);
+            assert.deepEqual(generator.getEntries(data.workshops, { format: ['fmt-in-person'] }).map(entry => entry.id.split('#')[1]), ['off-scraping-series']);
+        });
+
+        it('titles entries with the session\'s campus time', () => {
+            const [entry] = generator.getEntries([data.workshops[0]]);
+            assert.equal(entry.title.replace(/\s/g, ' '), 'Collecting Data with APIs (Wed, Feb 11, 2026, 10:00 AM)');
+        });
+    });
+
+    describe('generateAtom', () => {
+        const atom = generator.generateAtom(data.workshops, feed);
+
+        it('is well-formed XML, with names escaped', () => {
+            assertWellFormed(atom);
+            assert.ok(atom.includes('<title>Data &amp; &quot;APIs&quot; &lt;RDS&gt;</title>'));
+        });
+
+        it('escapes markup in the data', () => {
+            const tricky = { ...data, workshops: data.workshops.map(w => ({ ...w, summary: 'Tags like <b> & "quotes"', tags: ['a"b'] })) };
+            const xml = new NewsFeedGenerator(tricky, { baseUrl, now }).generateAtom(tricky.workshops, feed);
+
+            assertWellFormed(xml);
+            assert.ok(xml.includes('<summary>Tags like &lt;b&gt; &amp; &quot;quotes&quot;</summary>'));
+            assert.ok(xml.includes('<category term="a&quot;b"/>'));
+        });
+
+        it('links to itself and to the catalogue with the feed\'s filters', () => {
+            assert.ok(atom.includes(`<id>${feed.url}</id>`));
+            assert.ok(atom.includes(`<link rel="self" type="application/atom+xml" href="${feed.url}"/>`));
+            assert.ok(atom.includes(`<link rel="alternate" type="text/html" href="${baseUrl}?area=area-data-mgmt"/>`));
+            assert.ok(atom.includes(`<link rel="alternate" type="text/html" href="${baseUrl}workshops/ws-apis.html"/>`));
+            assert.ok(atom.includes('<link rel="related" type="text/html" href="https://ucsb.zoom.us/meeting/register/apis-feb" title="Register"/>'));
+        });
+
+        it('is updated with its newest entry, or the data without entries', () => {
+            assert.match(atom, /^ {2}<updated>2026-01-10T00:00:00.000Z<\/updated>$/m);
+
+            const empty = generator.generateAtom([], feed);
+            assertWellFormed(empty);
+            assert.match(empty, /^ {2}<updated>2026-01-12T00:00:00.000Z<\/updated>$/m);
+            assert.ok(!empty.includes('<entry>'));
+        });
+
+        it('leaves out registration links that aren\'t http(s)', () => {
+            const unsafe = { ...data, offerings: data.offerings.map(o => ({ ...o, registration_url: 'javascript:alert(1)' })) };
+            assert.ok(!new NewsFeedGenerator(unsafe, { baseUrl, now }).generateAtom(data.workshops, feed).includes('rel="related"'));
+        });
+    });
+
+    describe('generateJSONFeed', () => {
+        const json = JSON.parse(generator.generateJSONFeed(data.workshops, { ...feed, url: `${baseUrl}calendars/area-area-data-mgmt.json` }));
+
+        it('describes the feed and links back to the catalogue', () => {
+            assert.equal(json.version, 'https://jsonfeed.org/version/1.1');
+            assert.equal(json.title, feed.name);
+            assert.equal(json.feed_url, `${baseUrl}calendars/area-area-data-mgmt.json`);
+            assert.equal(json.home_page_url, `${baseUrl}?area=area-data-mgmt`);
+        });
+
+        it('has the same entries as the Atom feed', () => {
+            assert.deepEqual(json.items.map(item => [item.id, item.date_modified]), generator.getEntries(data.workshops).map(entry => [entry.id, entry.updated]));
+            assert.equal(json.items[0].external_url, 'https://ucsb.zoom.us/meeting/register/apis-feb');
+            assert.deepEqual(json.items[1].authors, [{ name: 'Ada Lovelace' }, { name: 'Grace Hopper' }]);
+        });
+    });
+});
@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const OfferingRecurrence = require('../assets/js/offering-recurrence');
+const data = require('./fixtures/catalogue.json');
+
+const series = data.offerings.find(o => o.id === 'off-scraping-series');
+const weekly = recurrence => ({
+    start: '2026-01-13T14:00:00-08:00',
+    end: '2026-01-13T16:00:00-08:00',
+    recurrence: { frequency: 'weekly', count: 3, ...recurrence }
+});
+const starts = offering => OfferingRecurrence.getRuleStarts(offering).map(date => date.toISOString());
+
+describe('OfferingRecurrence', () => {
+    it('isSeries is true with a recurrence or extra meetings', () => {
+        assert.ok(OfferingRecurrence.isSeries(series));
+        assert.ok(OfferingRecurrence.isSeries({ meetings: [{}] }));
+        assert.ok(!OfferingRecurrence.isSeries({ meetings: [] }));
+    });
+
+    describe('getRuleStarts', () => {
+        it('repeats on the rule\'s days, counted from the first meeting', () => {
+            assert.deepEqual(starts(weekly({ days: ['tue', 'thu'], count: 4 })), [
+                '2026-01-13T22:00:00.000Z',
+                '2026-01-15T22:00:00.000Z',
+                '2026-01-20T22:00:00.000Z',
+                '2026-01-22T22:00:00.000Z'
+            ]);
+        });
+
+        it('keeps campus wall-clock time across daylight saving', () => {
+            const offering = { ...weekly({}), start: '2026-03-03T10:00:00-08:00', end: '2026-03-03T12:00:00-08:00' };
+            assert.deepEqual(starts(offering), ['2026-03-03T18:00:00.000Z', '2026-03-10T17:00:00.000Z', '2026-03-17T17:00:00.000Z']);
+        });
+
+        it('stops at until and at MAX_MEETINGS', () => {
+            assert.equal(starts(weekly({ count: undefined, until: '2026-01-27' })).length, 3);
+            assert.equal(starts({ ...weekly({ count: undefined }), recurrence: { frequency: 'daily' } }).length, OfferingRecurrence.MAX_MEETINGS);
+        });
+
+        it('falls back to the first meeting\'s weekday for an empty days list', () => {
+            assert.deepEqual(starts(weekly({ days: [] })), starts(weekly({})));
+        });
+
+        it('ignores day names it doesn\'t know', () => {
+            assert.deepEqual(starts(weekly({ days: ['tuesday'] })), starts(weekly({})));
+            assert.deepEqual(starts(weekly({ days: ['tue', 'thursday'] })), starts(weekly({ days: ['tue'] })));
+        });
+    });
+
+    it('getMeetings drops except, adds extra meetings and marks cancelled ones', () => {
+        const meetings = OfferingRecurrence.getMeetings(series);
+
+        assert.deepEqual(meetings.map(meeting => OfferingRecurrence.getLocalDate(meeting.start)), ['2026-01-27', '2026-01-29', '2026-02-05']);
+        assert.deepEqual(meetings.map(meeting => meeting.cancelled), [false, true, false]);
+        assert.equal(meetings[1].status_note, 'Instructor ill');
+    });
+
+    it('getEnd is the end of the last meeting held', () => {
+        assert.equal(OfferingRecurrence.getEnd(series).toISOString(), '2026-02-05T20:00:00.000Z');
+    });
+
+    describe('getRule', () => {
+        it('writes the RRULE value', () => {
+            assert.equal(OfferingRecurrence.getRule(series), 'FREQ=WEEKLY;BYDAY=TU,TH;COUNT=4');
+            assert.equal(OfferingRecurrence.getRule(weekly({ count: undefined, until: '2026-01-27', interval: 2 })), 'FREQ=WEEKLY;INTERVAL=2;UNTIL=20260127T220000Z');
+        });
+
+        it('leaves BYDAY out when no day is usable', () => {
+            assert.equal(OfferingRecurrence.getRule(weekly({ days: [] })), 'FREQ=WEEKLY;COUNT=3');
+            assert.equal(OfferingRecurrence.getRule(weekly({ days: ['tuesday'] })), 'FREQ=WEEKLY;COUNT=3');
+        });
+    });
+});
@@ -0,0 +1,127 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const OfferingSchedule = require('../assets/js/offering-schedule');
+const data = require('./fixtures/catalogue.json');
+
+const { REGISTRATION } = OfferingSchedule;
+const offering = id => data.offerings.find(o => o.id === id);
+
+describe('OfferingSchedule', () => {
+    const feb = offering('off-apis-feb');
+
+    describe('getStatus', () => {
+        it('tells upcoming, in-progress and past sessions apart', () => {
+            assert.equal(OfferingSchedule.getStatus(feb, new Date('2026-02-01T00:00:00Z')), OfferingSchedule.UPCOMING);
+            assert.equal(OfferingSchedule.getStatus(feb, new Date('2026-02-11T18:30:00Z')), OfferingSchedule.IN_PROGRESS);
+            assert.equal(OfferingSchedule.getStatus(feb, new Date('2026-02-11T19:30:00Z')), OfferingSchedule.PAST);
+        });
+
+        it('keeps a series in progress until its last meeting', () => {
+            const series = offering('off-scraping-series');
+            assert.equal(OfferingSchedule.getStatus(series, new Date('2026-02-01T00:00:00Z')), OfferingSchedule.IN_PROGRESS);
+            assert.equal(OfferingSchedule.getStatus(series, new Date('2026-02-06T00:00:00Z')), OfferingSchedule.PAST);
+        });
+    });
+
+    it('classify sorts upcoming soonest first and past most recent first', () => {
+        const groups = OfferingSchedule.classify(data.offerings, new Date('2026-01-20T00:00:00Z'));
+
+        assert.deepEqual(groups.upcoming.map(o => o.id), ['off-scraping-series', 'off-apis-feb']);
+        assert.deepEqual(groups.inProgress, []);
+        assert.deepEqual(groups.past.map(o => o.id), ['off-apis-jan', 'off-notes-past']);
+    });
+
+    it('isCurrent keeps sessions that ended within the given days', () => {
+        const now = new Date('2026-01-20T00:00:00Z');
+        const jan = offering('off-apis-jan');
+
+        assert.equal(OfferingSchedule.isCurrent(jan, now), false);
+        assert.equal(OfferingSchedule.isCurrent(jan, now, 7), true);
+    });
+
+    it('getNextOffering skips cancelled sessions', () => {
+        const now = new Date('2026-01-20T00:00:00Z');
+        const offerings = [{ ...offering('off-scraping-series'), status: 'cancelled' }, feb];
+
+        assert.equal(OfferingSchedule.getNextOffering(offerings, now).id, 'off-apis-feb');
+        assert.equal(OfferingSchedule.hasUpcoming([offering('off-notes-past')], now), false);
+    });
+
+    it('compareBySchedule puts workshops with upcoming sessions first', () => {
+        const now = new Date('2026-01-20T00:00:00Z');
+        const sorted = [[offering('off-notes-past')], [feb], [offering('off-scraping-series')], []]
+            .sort((a, b) => OfferingSchedule.compareBySchedule(a, b, now));
+
+        assert.deepEqual(sorted.map(list => list[0]?.id), ['off-scraping-series', 'off-apis-feb', 'off-notes-past', undefined]);
+    });
+
+    describe('getRegistrationStatus', () => {
+        const now = new Date('2026-02-01T00:00:00Z');
+
+        it('is open for an upcoming session with a registration link', () => {
+            assert.equal(OfferingSchedule.getRegistrationStatus(feb, now), REGISTRATION.OPEN);
+        });
+
+        it('is closed for past sessions and cancelled for cancelled ones', () => {
+            assert.equal(OfferingSchedule.getRegistrationStatus(feb, new Date('2026-03-01T00:00:00Z')), REGISTRATION.CLOSED);
+            assert.equal(OfferingSchedule.getRegistrationStatus({ ...feb, status: 'cancelled' }, now), REGISTRATION.CANCELLED);
+        });
+
+        it('follows the registration window', () => {
+            assert.equal(OfferingSchedule.getRegistrationStatus({ ...feb, registration_opens: '2026-02-05T00:00:00Z' }, now), REGISTRATION.NOT_OPEN);
+            assert.equal(OfferingSchedule.getRegistrationStatus({ ...feb, registration_closes: '2026-01-31T00:00:00Z' }, now), REGISTRATION.CLOSED);
+            assert.equal(OfferingSchedule.getRegistrationStatus({ ...feb, registration_url: '' }, now), REGISTRATION.NOT_OPEN);
+        });
+
+        it('lets an explicit registration_status win', () => {
+            assert.equal(OfferingSchedule.getRegistrationStatus({ ...feb, registration_status: 'full' }, now), REGISTRATION.FULL);
+        });
+
+        it('turns to waitlist when the live count says no seats are left', () => {
+            assert.equal(OfferingSchedule.getRegistrationStatus(feb, now, 0), REGISTRATION.WAITLIST);
+            assert.equal(OfferingSchedule.getRegistrationStatus(feb, now, 3), REGISTRATION.OPEN);
+            assert.equal(OfferingSchedule.getRegistrationStatus({ ...feb, registration_status: 'full' }, now, 0), REGISTRATION.FULL);
+            assert.equal(OfferingSchedule.getRegistrationStatus(feb, new Date('2026-03-01T00:00:00Z'), 0), REGISTRATION.CLOSED);
+        });
+    });
+
+    describe('getBuildTime', () => {
+        const buildTime = (now, days) => OfferingSchedule.getBuildTime(data.offerings, new Date(now), days).toISOString();
+
+        it('is the last change at or before now', () => {
+            assert.equal(buildTime('2026-01-20T00:00:00Z'), '2026-01-14T19:30:00.000Z');
+            assert.equal(buildTime('2026-01-14T19:30:00Z'), '2026-01-14T19:30:00.000Z');
+            assert.equal(buildTime('2020-01-01T00:00:00Z'), new Date(0).toISOString());
+        });
+
+        it('counts the moment a past session leaves the feeds', () => {
+            const now = '2026-01-21T21:00:00Z';
+
+            assert.equal(buildTime(now, 7), '2026-01-21T19:30:00.000Z');
+            assert.equal(OfferingSchedule.isCurrent(offering('off-apis-jan'), new Date(buildTime(now, 7)), 7), false);
+        });
+    });
+
+    describe('matchesWhen', () => {
+        it('matches quarters, dates, days and times of day in campus time', () => {
+            assert.ok(OfferingSchedule.matchesWhen(feb, { quarter: ['winter-2026'] }));
+            assert.ok(!OfferingSchedule.matchesWhen(feb, { quarter: ['spring-2026'] }));
+            assert.ok(OfferingSchedule.matchesWhen(feb, { from: '2026-02-11', to: '2026-02-11' }));
+            assert.ok(!OfferingSchedule.matchesWhen(feb, { from: '2026-02-12' }));
+            assert.ok(OfferingSchedule.matchesWhen(feb, { day: ['wed'], time: ['morning'] }));
+            assert.ok(!OfferingSchedule.matchesWhen(feb, { time: ['afternoon', 'evening'] }));
+        });
+
+        it('matches a series when any meeting does', () => {
+            const series = offering('off-scraping-series');
+            assert.ok(OfferingSchedule.matchesWhen(series, { day: ['thu'], from: '2026-02-05' }));
+            assert.ok(!OfferingSchedule.matchesWhen(series, { day: ['tue'], from: '2026-02-01' }));
+        });
+    });
+
+    it('hasWhen tells whether any criterion is set', () => {
+        assert.equal(OfferingSchedule.hasWhen({}), false);
+        assert.equal(OfferingSchedule.hasWhen({ day: [], format: ['fmt-online'] }), false);
+        assert.equal(OfferingSchedule.hasWhen({ to: '2026-03-01' }), true);
+    });
+});
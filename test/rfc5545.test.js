@@ -0,0 +1,126 @@
+// Checks generated calendars against an independent RFC 5545 parser (ical.js):
+// the published feeds in calendars/ and single-event downloads
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const ICAL = require('ical.js');
+const CalendarCore = require('../assets/js/calendar-core');
+const ICalGenerator = require('../assets/js/ical-generator');
+const AddToCalendar = require('../assets/js/add-to-calendar');
+const OfferingRecurrence = require('../assets/js/offering-recurrence');
+const data = require('./fixtures/catalogue.json');
+
+const calendarsDir = path.join(__dirname, '../calendars');
+
+/**
+ * Parse a calendar and check its framing: CRLF line endings, lines of at
+ * most 75 octets, one VTIMEZONE for every TZID used, and a lossless round
+ * trip through the parser
+ * @param {string} ics - Calendar file content
+ * @returns {ICAL.Component} Parsed VCALENDAR
+ */
+function parseStrict(ics) {
+    assert.ok(ics.endsWith('\r\n'), 'ends with CRLF');
+    assert.ok(!/[^\r]\n/.test(ics), 'no bare LF');
+
+    ics.slice(0, -2).split('\r\n').forEach(line => {
+        assert.ok(Buffer.byteLength(line, 'utf8') <= 75, `line over 75 octets: ${line}`);
+    });
+
+    const jcal = ICAL.parse(ics);
+    assert.deepEqual(ICAL.parse(ICAL.stringify(jcal)), jcal, 'round trip');
+
+    const calendar = new ICAL.Component(jcal);
+    assert.equal(calendar.name, 'vcalendar');
+    assert.equal(calendar.getFirstPropertyValue('version'), '2.0');
+
+    const zones = calendar.getAllSubcomponents('vtimezone').map(zone => zone.getFirstPropertyValue('tzid'));
+    assert.deepEqual(zones, [CalendarCore.TIMEZONE]);
+
+    calendar.getAllSubcomponents('vevent').forEach(vevent => {
+        ['dtstart', 'dtend'].forEach(name => {
+            assert.equal(vevent.getFirstProperty(name).getParameter('tzid'), CalendarCore.TIMEZONE, `${name} has a TZID`);
+        });
+        assert.ok(vevent.getFirstPropertyValue('uid'));
+        assert.ok(vevent.getFirstPropertyValue('dtstamp'));
+    });
+
+    return calendar;
+}
+
+describe('RFC 5545 output', () => {
+    before(() => {
+        const zone = new ICAL.Component(ICAL.parse(CalendarCore.wrapInCalendar([]))).getFirstSubcomponent('vtimezone');
+        ICAL.TimezoneService.register(zone);
+    });
+
+    describe('published feeds', () => {
+        const files = fs.readdirSync(calendarsDir).filter(file => file.endsWith('.ics'));
+
+        it('exist', () => {
+            assert.ok(files.includes('all.ics'));
+        });
+
+        files.forEach(file => {
+            it(`${file} parses and round-trips`, () => {
+                parseStrict(fs.readFileSync(path.join(calendarsDir, file), 'utf8'));
+            });
+        });
+    });
+
+    describe('single-event downloads', () => {
+        const generator = new ICalGenerator(data, { timestamp: '2026-01-10T00:00:00Z' });
+
+        data.offerings.forEach(offering => {
+            it(`${offering.id} parses and round-trips`, () => {
+                const workshop = data.workshops.find(w => w.id === offering.workshop_id);
+                const calendar = parseStrict(AddToCalendar.generateICS(generator.toEvent(workshop, offering)));
+                const event = new ICAL.Event(calendar.getFirstSubcomponent('vevent'));
+
+                assert.equal(event.uid, `${offering.id}@${CalendarCore.UID_DOMAIN}`);
+                assert.equal(event.startDate.toJSDate().getTime(), new Date(offering.start).getTime());
+                assert.equal(event.endDate.toJSDate().getTime(), new Date(offering.end).getTime());
+            });
+        });
+    });
+
+    it('resolves times on both sides of a daylight saving change', () => {
+        const calendar = parseStrict(CalendarCore.wrapInCalendar([
+            CalendarCore.createEvent({ uid: 'winter', title: 'Winter', start: '2026-03-05T10:00:00-08:00', end: '2026-03-05T11:00:00-08:00' }),
+            CalendarCore.createEvent({ uid: 'summer', title: 'Summer', start: '2026-03-12T10:00:00-07:00', end: '2026-03-12T11:00:00-07:00' })
+        ]));
+        const starts = calendar.getAllSubcomponents('vevent').map(vevent => new ICAL.Event(vevent).startDate.toJSDate().toISOString());
+
+        assert.deepEqual(starts, ['2026-03-05T18:00:00.000Z', '2026-03-12T17:00:00.000Z']);
+    });
+
+    it('keeps long descriptions and non-ASCII text intact through folding', () => {
+        const description = `Résumé → portfolio 📅; ${'a, b\\c '.repeat(40)}\nSecond line`;
+        const calendar = parseStrict(CalendarCore.wrapInCalendar([
+            CalendarCore.createEvent({ uid: 'long', title: 'Über, long', description, start: '2026-02-11T10:00:00-08:00', end: '2026-02-11T11:00:00-08:00' })
+        ]));
+        const event = new ICAL.Event(calendar.getFirstSubcomponent('vevent'));
+
+        assert.equal(event.description, description);
+        assert.equal(event.summary, 'Über, long');
+    });
+
+    it('expands a series to the meetings the catalogue shows', () => {
+        const offering = data.offerings.find(o => o.id === 'off-scraping-series');
+        const workshop = data.workshops.find(w => w.id === offering.workshop_id);
+        const calendar = parseStrict(new ICalGenerator(data).generateForOfferings([offering]));
+        const [master, ...exceptions] = calendar.getAllSubcomponents('vevent').map(vevent => new ICAL.Event(vevent));
+
+        const starts = [];
+        const iterator = master.iterator();
+        for (let next = iterator.next(); next; next = iterator.next()) starts.push(next.toJSDate().getTime());
+
+        assert.deepEqual(starts, OfferingRecurrence.getMeetings(offering).map(meeting => meeting.start.getTime()));
+        assert.equal(exceptions.length, 1);
+        assert.equal(exceptions[0].recurrenceId.toJSDate().getTime(), new Date('2026-01-29T10:00:00-08:00').getTime());
+        assert.equal(exceptions[0].component.getFirstPropertyValue('status'), 'CANCELLED');
+        assert.equal(master.summary, workshop.title);
+    });
+});
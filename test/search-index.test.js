@@ -0,0 +1,60 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SearchIndex = require('../assets/js/search-index');
+const data = require('./fixtures/catalogue.json');
+
+const ranked = results => [...results.entries()]
+    .sort(([, a], [, b]) => b.score - a.score)
+    .map(([id]) => id);
+
+describe('SearchIndex', () => {
+    const index = new SearchIndex(data);
+
+    it('tokenize lowercases, strips accents and splits on punctuation', () => {
+        assert.deepEqual(SearchIndex.tokenize('Résumé: Web-Scraping 101'), ['resume', 'web', 'scraping', '101']);
+    });
+
+    it('parseQuery separates quoted phrases', () => {
+        assert.deepEqual(SearchIndex.parseQuery('python "data collection" "apis"'), {
+            terms: ['python', 'apis'],
+            phrases: [['data', 'collection']]
+        });
+    });
+
+    it('matches whole words, prefixes and typos', () => {
+        assert.deepEqual(ranked(index.search('obsidian')), ['ws-notes']);
+        assert.deepEqual(ranked(index.search('scrap')), ['ws-scraping']);
+        assert.deepEqual(ranked(index.search('obsidain')), ['ws-notes']);
+    });
+
+    it('requires every term', () => {
+        assert.deepEqual(ranked(index.search('python obsidian')), []);
+    });
+
+    it('ranks title matches above description matches', () => {
+        assert.deepEqual(ranked(index.search('python')), ['ws-scraping', 'ws-apis']);
+    });
+
+    it('matches phrases word for word', () => {
+        assert.deepEqual(ranked(index.search('"data collection"')), ['ws-apis']);
+        assert.deepEqual(ranked(index.search('"collection data"')), []);
+    });
+
+    it('searches instructors and locations', () => {
+        assert.deepEqual(ranked(index.search('hopper')).sort(), ['ws-notes', 'ws-scraping']);
+        assert.deepEqual(ranked(index.search('1312')), ['ws-scraping']);
+    });
+
+    it('returns nothing for an empty query', () => {
+        assert.equal(index.search('  ').size, 0);
+    });
+
+    it('highlight marks matched words and escapes the rest', () => {
+        const { words } = index.search('scraping').get('ws-scraping');
+
+        assert.equal(
+            SearchIndex.highlight('Web Scraping <b>& more</b>', words).toString(),
+            'Web <mark>Scraping</mark> &lt;b&gt;&amp; more&lt;/b&gt;'
+        );
+    });
+});
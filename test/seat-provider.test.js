@@ -0,0 +1,113 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const SeatProvider = require('../assets/js/seat-provider');
+
+// A stand-in for the registration system: each path answers in its own way
+const ROUTES = {
+    '/seats.json': (req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ 'off-a': 12, 'off-b': 0 }));
+    },
+    '/records.json': (req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify([{ id: 'off-a', left: 3 }, { id: 'off-b', left: -1 }]));
+    },
+    '/broken.json': (req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end('{ "off-a": ');
+    },
+    '/slow.json': (req, res) => {
+        setTimeout(() => res.end('{}'), 500);
+    }
+};
+
+describe('SeatProvider', () => {
+    describe('parseSeats', () => {
+        it('reads an id -> seats object', () => {
+            assert.deepEqual(SeatProvider.parseSeats({ 'off-a': 12, 'off-b': 0 }), new Map([['off-a', 12], ['off-b', 0]]));
+        });
+
+        it('reads records, with configurable fields', () => {
+            const records = [{ offering_id: 'off-a', seats_remaining: 4 }];
+
+            assert.deepEqual(SeatProvider.parseSeats(records), new Map([['off-a', 4]]));
+            assert.deepEqual(SeatProvider.parseSeats([{ id: 'off-a', left: 2 }], { idField: 'id', seatsField: 'left' }), new Map([['off-a', 2]]));
+        });
+
+        it('leaves out counts that are not non-negative integers', () => {
+            const body = { 'off-a': -1, 'off-b': 1.5, 'off-c': '3', 'off-d': null, 'off-e': 7 };
+
+            assert.deepEqual(SeatProvider.parseSeats(body), new Map([['off-e', 7]]));
+            assert.deepEqual(SeatProvider.parseSeats([null, { offering_id: 5, seats_remaining: 1 }]), new Map());
+            assert.deepEqual(SeatProvider.parseSeats(null), new Map());
+        });
+    });
+
+    describe('json provider', () => {
+        let server;
+        let baseUrl;
+        const provider = (path, config = {}) => SeatProvider.createJSONProvider({ url: `${baseUrl}${path}`, ...config });
+
+        before(async () => {
+            server = http.createServer((req, res) => {
+                const route = ROUTES[req.url];
+                if (route) return route(req, res);
+                res.statusCode = 503;
+                res.end();
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        after(() => {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        });
+
+        it('needs a url', () => {
+            assert.throws(() => SeatProvider.createJSONProvider({}), /needs a url/);
+        });
+
+        it('reads seat counts from the endpoint', async () => {
+            assert.deepEqual(await provider('/seats.json').fetchSeats([]), new Map([['off-a', 12], ['off-b', 0]]));
+        });
+
+        it('reads records with the configured fields', async () => {
+            const seats = await provider('/records.json', { idField: 'id', seatsField: 'left' }).fetchSeats([]);
+            assert.deepEqual(seats, new Map([['off-a', 3]]));
+        });
+
+        it('fails when the endpoint answers with an error status', async () => {
+            await assert.rejects(provider('/down.json').fetchSeats([]), /Seat provider answered 503/);
+        });
+
+        it('fails when the answer is not JSON', async () => {
+            await assert.rejects(provider('/broken.json').fetchSeats([]), SyntaxError);
+        });
+
+        it('gives up after the timeout', async () => {
+            await assert.rejects(provider('/slow.json', { timeout: 50 }).fetchSeats([]), { name: 'AbortError' });
+        });
+    });
+
+    describe('mock provider', () => {
+        const offerings = [{ id: 'off-a', capacity: 20 }, { id: 'off-b', capacity: 10 }, { id: 'off-c' }];
+
+        it('answers from its config and falls back to the capacity', async () => {
+            const seats = await SeatProvider.createMockProvider({ seats: { 'off-a': 0 } }).fetchSeats(offerings);
+            assert.deepEqual(seats, new Map([['off-a', 0], ['off-b', 10]]));
+        });
+
+        it('can be made unreachable', async () => {
+            await assert.rejects(SeatProvider.createMockProvider({ fail: true }).fetchSeats(offerings), /unreachable/);
+        });
+    });
+
+    it('create picks the adapter from the config', () => {
+        assert.equal(SeatProvider.create(null), null);
+        assert.equal(SeatProvider.create({ type: 'mock' }).name, 'mock');
+        assert.equal(SeatProvider.create({ type: 'json', url: '/seats.json' }).name, 'json');
+        assert.throws(() => SeatProvider.create({ type: 'ldap' }), /Unknown seat provider "ldap"/);
+    });
+});
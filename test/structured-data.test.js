@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const StructuredData = require('../assets/js/structured-data');
+const data = require('./fixtures/catalogue.json');
+
+const baseUrl = 'https://example.edu/catalogue/';
+const workshop = id => data.workshops.find(w => w.id === id);
+const offering = id => data.offerings.find(o => o.id === id);
+
+describe('StructuredData', () => {
+    describe('offer availability', () => {
+        const now = new Date('2026-01-20T00:00:00Z');
+        const availability = (session, options = {}) => new StructuredData(data, { baseUrl, now: () => now, ...options })
+            .createEvent(session, workshop(session.workshop_id))
+            .offers.availability.replace('https://schema.org/', '');
+
+        it('is in stock while registration is open', () => {
+            assert.equal(availability(offering('off-apis-feb')), 'InStock');
+        });
+
+        it('is a pre-order before registration opens', () => {
+            assert.equal(availability({ ...offering('off-apis-feb'), registration_opens: '2026-02-01T09:00:00-08:00' }), 'PreOrder');
+        });
+
+        it('follows the registration window and status', () => {
+            assert.equal(availability({ ...offering('off-apis-feb'), registration_closes: '2026-01-15T17:00:00-08:00' }), 'Discontinued');
+            assert.equal(availability({ ...offering('off-apis-feb'), registration_status: 'full' }), 'SoldOut');
+            assert.equal(availability({ ...offering('off-apis-feb'), registration_status: 'waitlist' }), 'LimitedAvailability');
+        });
+
+        it('is discontinued once the session has ended or is cancelled', () => {
+            assert.equal(availability(offering('off-notes-past')), 'Discontinued');
+            assert.equal(availability({ ...offering('off-apis-feb'), status: 'cancelled' }), 'Discontinued');
+        });
+
+        it('uses live seat counts', () => {
+            assert.equal(availability(offering('off-apis-feb'), { getSeats: () => 0 }), 'LimitedAvailability');
+            assert.equal(availability(offering('off-apis-feb'), { getSeats: () => 5 }), 'InStock');
+        });
+    });
+
+    describe('location', () => {
+        const structuredData = new StructuredData(data, { baseUrl });
+        const apis = workshop('ws-apis');
+        const location = (session, owner = workshop(session.workshop_id)) => structuredData.getLocation(session, owner);
+        const older = { ...offering('off-apis-jan'), location: 'Library 1312' };
+
+        it('describes venues and video calls', () => {
+            assert.deepEqual(location(offering('off-apis-feb')), { '@type': 'VirtualLocation', name: 'Zoom', url: 'https://ucsb.zoom.us/j/123456789' });
+            assert.equal(location(offering('off-scraping-series'))['@type'], 'Place');
+        });
+
+        it('reads a free-text location by the session\'s format', () => {
+            assert.equal(location(older)['@type'], 'VirtualLocation');
+            assert.deepEqual(location(older, { ...apis, format_id: 'fmt-in-person' }), { '@type': 'Place', name: 'Library 1312', address: 'Library 1312' });
+            assert.deepEqual(location({ ...older, format_id: 'fmt-hybrid' }).map(place => place['@type']), ['Place', 'VirtualLocation']);
+        });
+
+        it('matches the attendance mode', () => {
+            const event = new StructuredData(data, { baseUrl }).createEvent({ ...older, location: 'Zoom', format_id: 'fmt-in-person' }, apis);
+
+            assert.equal(event.eventAttendanceMode, 'https://schema.org/OfflineEventAttendanceMode');
+            assert.equal(event.location['@type'], 'Place');
+        });
+
+        it('leaves an in-person session without a location unplaced', () => {
+            assert.equal(location({ ...older, location: '' }, { ...apis, format_id: 'fmt-in-person' }), undefined);
+        });
+    });
+});
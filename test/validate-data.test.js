@@ -0,0 +1,159 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { validate } = require('../scripts/validate-data');
+
+const source = fs.readFileSync(path.join(__dirname, 'fixtures/catalogue.json'), 'utf8');
+
+/**
+ * The fixture with one piece of text replaced
+ * @param {string} from - Text to replace (must occur once)
+ * @param {string} to - Replacement
+ * @returns {string} Broken source
+ */
+function breakSource(from, to) {
+    assert.equal(source.split(from).length, 2, `${from} occurs once in the fixture`);
+    return source.replace(from, to);
+}
+
+/**
+ * Line and column where some text starts
+ * @param {string} text - Source
+ * @param {string} snippet - Text to find (the first occurrence)
+ * @param {number} offset - Characters to skip into the snippet
+ * @returns {Object} { line, column }
+ */
+function positionOf(text, snippet, offset = 0) {
+    const index = text.indexOf(snippet) + offset;
+    const lines = text.slice(0, index).split('\n');
+    return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+describe('validate-data.js', () => {
+    it('accepts the fixture', () => {
+        assert.deepEqual(validate(source), []);
+    });
+
+    describe('cross-references', () => {
+        it('reports an unknown offering, and the offering left unlisted', () => {
+            const text = breakSource('"offering_ids": ["off-notes-past"]', '"offering_ids": ["off-notes-gone"]');
+
+            assert.deepEqual(validate(text), [
+                { ...positionOf(text, '"off-notes-gone"'), path: 'workshops[2].offering_ids[0]', message: 'unknown offering "off-notes-gone"' },
+                {
+                    ...positionOf(text, '"workshop_id": "ws-notes"', '"workshop_id": '.length),
+                    path: 'offerings[3].workshop_id',
+                    message: 'workshop "ws-notes" does not list "off-notes-past" in offering_ids'
+                }
+            ]);
+        });
+
+        it('reports an offering listed by another workshop than its own', () => {
+            const text = breakSource('"offering_ids": ["off-scraping-series"]', '"offering_ids": ["off-scraping-series", "off-apis-jan"]');
+
+            assert.deepEqual(validate(text), [{
+                ...positionOf(text, '"off-scraping-series", "off-apis-jan"', '"off-scraping-series", '.length),
+                path: 'workshops[1].offering_ids[1]',
+                message: 'offering "off-apis-jan" belongs to workshop "ws-apis"'
+            }]);
+        });
+
+        it('reports an offering of an unknown workshop from both sides', () => {
+            const text = breakSource('"workshop_id": "ws-notes"', '"workshop_id": "ws-gone"');
+
+            assert.deepEqual(validate(text), [
+                {
+                    ...positionOf(text, '"off-notes-past"]'),
+                    path: 'workshops[2].offering_ids[0]',
+                    message: 'offering "off-notes-past" belongs to workshop "ws-gone"'
+                },
+                { ...positionOf(text, '"ws-gone"'), path: 'offerings[3].workshop_id', message: 'unknown workshop "ws-gone"' }
+            ]);
+        });
+
+        it('reports a series and workshop that disagree', () => {
+            const text = breakSource('"workshop_ids": ["ws-apis", "ws-scraping"]', '"workshop_ids": ["ws-apis", "ws-notes"]');
+
+            assert.deepEqual(validate(text), [
+                {
+                    ...positionOf(text, '"series_id": "ser-data",\n      "format_id": "fmt-in-person"', '"series_id": '.length),
+                    path: 'workshops[1].series_id',
+                    message: 'series "ser-data" does not list this workshop in workshop_ids'
+                },
+                { ...positionOf(text, '"ws-notes"]'), path: 'series[0].workshop_ids[1]', message: 'workshop "ws-notes" has series_id ""' }
+            ]);
+        });
+
+        it('reports an unknown series', () => {
+            const text = breakSource('"series_id": "ser-data",\n      "format_id": "fmt-in-person"', '"series_id": "ser-gone",\n      "format_id": "fmt-in-person"');
+
+            assert.deepEqual(validate(text), [
+                { ...positionOf(text, '"ser-gone"'), path: 'workshops[1].series_id', message: 'unknown series "ser-gone"' },
+                { ...positionOf(text, '"ws-scraping"]'), path: 'series[0].workshop_ids[1]', message: 'workshop "ws-scraping" has series_id "ser-gone"' }
+            ]);
+        });
+
+        it('reports unknown formats, areas, audiences, instructors and departments', () => {
+            let text = breakSource('"format_id": "fmt-in-person"', '"format_id": "fmt-radio"');
+            text = text.replace('"area_ids": ["area-data-mgmt"],', '"area_ids": ["area-data-mgmt", "area-math"],');
+            text = text.replace('"audience_ids": ["aud-all"]', '"audience_ids": ["aud-alumni"]');
+            text = text.replace('"instructor_ids": ["inst-ada"]', '"instructor_ids": ["inst-alan"]');
+            text = text.replace('"department_ids": ["dept-rds"]\n', '"department_ids": ["dept-gone"]\n');
+            text = text.replace('"department_id": "dept-dream"', '"department_id": "dept-lost"');
+            text = text.replace('"workshop_id": "ws-apis",', '"workshop_id": "ws-apis",\n      "format_id": "fmt-tv",');
+
+            assert.deepEqual(validate(text), [
+                { ...positionOf(text, '"inst-alan"'), path: 'workshops[0].instructor_ids[0]', message: 'unknown instructor "inst-alan"' },
+                { ...positionOf(text, '"fmt-radio"'), path: 'workshops[1].format_id', message: 'unknown format "fmt-radio"' },
+                { ...positionOf(text, '"area-math"'), path: 'workshops[1].area_ids[1]', message: 'unknown area "area-math"' },
+                { ...positionOf(text, '"aud-alumni"'), path: 'workshops[2].audience_ids[0]', message: 'unknown audience "aud-alumni"' },
+                { ...positionOf(text, '"dept-gone"'), path: 'series[0].department_ids[0]', message: 'unknown department "dept-gone"' },
+                { ...positionOf(text, '"fmt-tv"'), path: 'offerings[0].format_id', message: 'unknown format "fmt-tv"' },
+                { ...positionOf(text, '"dept-lost"'), path: 'instructors[1].department_id', message: 'unknown department "dept-lost"' }
+            ]);
+        });
+
+        it('reports duplicate ids at the repeated one', () => {
+            const text = breakSource('"id": "fmt-hybrid"', '"id": "fmt-online"');
+
+            assert.deepEqual(validate(text), [{
+                ...positionOf(text, '"id": "fmt-online", "label": "Hybrid"', '"id": '.length),
+                path: 'formats[2].id',
+                message: 'duplicate id "fmt-online"'
+            }]);
+        });
+    });
+
+    it('reports a session that ends before it starts', () => {
+        const text = breakSource('"end": "2026-02-11T11:30:00-08:00"', '"end": "2026-02-11T09:30:00-08:00"');
+
+        assert.deepEqual(validate(text), [{
+            ...positionOf(text, '"2026-02-11T09:30:00-08:00"'),
+            path: 'offerings[0].end',
+            message: 'end is not after start'
+        }]);
+    });
+
+    describe('recurrence days', () => {
+        it('reports an empty list instead of expanding it', () => {
+            const text = breakSource('"days": ["tue", "thu"]', '"days": []');
+
+            assert.deepEqual(validate(text), [{
+                ...positionOf(text, '"days": []', '"days": '.length),
+                path: 'offerings[2].recurrence.days',
+                message: 'must have at least 1 item'
+            }]);
+        });
+
+        it('reports a day name it doesn\'t know', () => {
+            const text = breakSource('"days": ["tue", "thu"]', '"days": ["tue", "thursday"]');
+
+            assert.deepEqual(validate(text), [{
+                ...positionOf(text, '"thursday"'),
+                path: 'offerings[2].recurrence.days[1]',
+                message: 'must be one of "sun", "mon", "tue", "wed", "thu", "fri", "sat"'
+            }]);
+        });
+    });
+});
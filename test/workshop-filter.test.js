@@ -0,0 +1,107 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const WorkshopFilter = require('../assets/js/workshop-filter');
+const data = require('./fixtures/catalogue.json');
+
+const ids = workshops => workshops.map(w => w.id);
+const filter = filters => ids(data.workshops.filter(workshop => WorkshopFilter.matches(workshop, filters)));
+
+// One hybrid run of the online APIs workshop
+const offerings = data.offerings.map(o => (o.id === 'off-apis-feb' ? { ...o, format_id: 'fmt-hybrid' } : o));
+const getOfferings = workshop => offerings.filter(o => o.workshop_id === workshop.id);
+const filterSessions = filters => ids(data.workshops.filter(workshop => WorkshopFilter.matches(workshop, filters, getOfferings(workshop))));
+
+describe('WorkshopFilter', () => {
+    describe('matches', () => {
+        it('passes everything without filters', () => {
+            assert.deepEqual(filter({}), ['ws-apis', 'ws-scraping', 'ws-notes']);
+        });
+
+        it('accepts a single id or a list', () => {
+            assert.deepEqual(filter({ area: 'area-humanities' }), ['ws-apis', 'ws-notes']);
+            assert.deepEqual(filter({ area: ['area-humanities'] }), ['ws-apis', 'ws-notes']);
+        });
+
+        it('matches any selected value by default', () => {
+            assert.deepEqual(filter({ audience: ['aud-postdoc', 'aud-faculty'] }), ['ws-apis', 'ws-scraping']);
+        });
+
+        it('matches every selected value in "and" mode', () => {
+            assert.deepEqual(filter({ audience: ['aud-grad', 'aud-postdoc'], audience_mode: 'and' }), ['ws-scraping']);
+        });
+
+        it('combines facets with AND', () => {
+            assert.deepEqual(filter({ series: ['ser-data'], instructor: ['inst-grace'] }), ['ws-scraping']);
+        });
+
+        it('matches a format when any session has it', () => {
+            assert.deepEqual(filterSessions({ format: ['fmt-hybrid'] }), ['ws-apis']);
+            assert.deepEqual(filterSessions({ format: ['fmt-online'] }), ['ws-apis', 'ws-notes']);
+            assert.deepEqual(filterSessions({ format: ['fmt-in-person'] }), ['ws-scraping']);
+        });
+
+        it('falls back to the workshop\'s format without sessions', () => {
+            assert.deepEqual(filter({ format: ['fmt-hybrid'] }), []);
+            assert.deepEqual(filter({ format: ['fmt-online'] }), ['ws-apis', 'ws-notes']);
+        });
+    });
+
+    it('matchesOffering checks a session\'s own format', () => {
+        const apis = data.workshops.find(w => w.id === 'ws-apis');
+        const [feb, jan] = getOfferings(apis);
+
+        assert.ok(WorkshopFilter.matchesOffering(feb, apis, { format: ['fmt-hybrid'] }));
+        assert.ok(!WorkshopFilter.matchesOffering(jan, apis, { format: ['fmt-hybrid'] }));
+        assert.ok(WorkshopFilter.matchesOffering(jan, apis, { format: 'fmt-online', area: ['area-x'] }));
+        assert.ok(WorkshopFilter.matchesOffering(jan, apis, {}));
+    });
+
+    describe('countValues', () => {
+        it('counts what each value would select, ignoring the facet itself', () => {
+            const counts = WorkshopFilter.countValues(data.workshops, { area: ['area-humanities'] }, 'area');
+            assert.deepEqual(counts, { 'area-data-mgmt': 2, 'area-humanities': 2 });
+        });
+
+        it('narrows by the selected values in "and" mode', () => {
+            const counts = WorkshopFilter.countValues(data.workshops, { audience: ['aud-grad'], audience_mode: 'and' }, 'audience');
+            assert.deepEqual(counts, { 'aud-grad': 2, 'aud-faculty': 1, 'aud-postdoc': 1 });
+        });
+
+        it('counts a workshop under every format its sessions have', () => {
+            const counts = WorkshopFilter.countValues(data.workshops, { format: ['fmt-hybrid'] }, 'format', getOfferings);
+            assert.deepEqual(counts, { 'fmt-online': 2, 'fmt-hybrid': 1, 'fmt-in-person': 1 });
+        });
+    });
+
+    it('normalize sorts, dedupes and drops modes that make no difference', () => {
+        assert.deepEqual(WorkshopFilter.normalize({
+            area: ['b', 'a', 'b'],
+            area_mode: 'and',
+            audience: ['x'],
+            audience_mode: 'and',
+            day: ['thu', 'tue'],
+            from: '2026-01-01',
+            search: 'python'
+        }), {
+            area: ['a', 'b'],
+            area_mode: 'and',
+            audience: ['x'],
+            day: ['thu', 'tue'].sort(),
+            from: '2026-01-01'
+        });
+    });
+
+    it('equals ignores order', () => {
+        assert.ok(WorkshopFilter.equals({ format: ['fmt-online', 'fmt-hybrid'] }, { format: ['fmt-hybrid', 'fmt-online'], search: 'x' }));
+        assert.ok(!WorkshopFilter.equals({ format: 'fmt-online' }, {}));
+    });
+
+    it('reads and writes URL parameters', () => {
+        const filters = { area: ['area-humanities', 'area-data-mgmt'], area_mode: 'and', time: ['evening'], from: '2026-01-05' };
+        const params = WorkshopFilter.toParams(filters);
+
+        assert.equal(params.toString(), 'area=area-data-mgmt%2Carea-humanities&area_mode=and&time=evening&from=2026-01-05');
+        assert.ok(WorkshopFilter.equals(WorkshopFilter.fromParams(params), filters));
+        assert.equal(WorkshopFilter.fromParams(new URLSearchParams('from=tomorrow')).from, '');
+    });
+});